@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * OpenClaw agents and the sessions they own.
+ *
+ * Every directory under agentsDir with a `sessions` folder is an agent, and
+ * its transcripts are agentsDir/<agent>/sessions/<sessionId>.jsonl. Which
+ * agent a run belongs to comes from its log line when OpenClaw writes it
+ * there, and otherwise from which agent has the session's file.
+ */
+
+// Sessions whose agent is remembered; older ones are looked up again.
+const MAX_SESSIONS = 1000;
+
+/**
+ * Agent names under agentsDir, sorted. Empty if the directory is missing.
+ */
+function listAgents(agentsDir) {
+    let entries;
+    try {
+        entries = fs.readdirSync(agentsDir, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+    return entries
+        .filter(function(entry) {
+            return entry.isDirectory() && fs.existsSync(path.join(agentsDir, entry.name, 'sessions'));
+        })
+        .map(function(entry) { return entry.name; })
+        .sort();
+}
+
+/**
+ * The agent named by a run's log fields: `agent=` or `agentId=`, or the
+ * `agent:<name>:...` prefix of its `sessionKey=`. Null if none of them is there.
+ */
+function agentFromFields(fields) {
+    if (!fields) return null;
+    if (fields.agent) return fields.agent;
+    if (fields.agentId) return fields.agentId;
+    const keyMatch = (fields.sessionKey || '').match(/^agent:([^:]+):/);
+    return keyMatch ? keyMatch[1] : null;
+}
+
+/**
+ * Create an index of which agent owns which session. The agent directories
+ * are listed again whenever a session is not found, so agents created while
+ * the daemon runs are picked up.
+ *
+ * Options: onAgent(name), called once for each agent as it is first seen.
+ */
+function createAgentIndex(options) {
+    const opts = options || {};
+    const known = new Set();
+    const bySession = new Map(); // sessionId -> agent
+
+    function agents(agentsDir) {
+        const names = listAgents(agentsDir);
+        for (const name of names) {
+            if (known.has(name)) continue;
+            known.add(name);
+            if (opts.onAgent) opts.onAgent(name);
+        }
+        return names;
+    }
+
+    function remember(sessionId, agent) {
+        bySession.delete(sessionId);
+        bySession.set(sessionId, agent);
+        if (bySession.size > MAX_SESSIONS) bySession.delete(bySession.keys().next().value);
+    }
+
+    /**
+     * The agent whose sessions directory has this session's transcript, or
+     * null if none has it (yet).
+     */
+    function agentForSession(sessionId, agentsDir) {
+        const cached = bySession.get(sessionId);
+        if (cached && fs.existsSync(sessionFile(agentsDir, cached, sessionId))) return cached;
+        for (const name of agents(agentsDir)) {
+            if (fs.existsSync(sessionFile(agentsDir, name, sessionId))) {
+                remember(sessionId, name);
+                return name;
+            }
+        }
+        return null;
+    }
+
+    return {
+        agents: agents,
+        agentForSession: agentForSession,
+        remember: remember,
+    };
+}
+
+function sessionFile(agentsDir, agent, sessionId) {
+    return path.join(agentsDir, agent, 'sessions', sessionId + '.jsonl');
+}
+
+module.exports = {
+    listAgents: listAgents,
+    agentFromFields: agentFromFields,
+    createAgentIndex: createAgentIndex,
+    sessionFile: sessionFile,
+};
@@ -0,0 +1,80 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { listAgents, agentFromFields, createAgentIndex, sessionFile } = require('./agents');
+
+var dir;
+
+beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-agents-'));
+});
+
+afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function addSession(agent, sessionId) {
+    fs.mkdirSync(path.join(dir, agent, 'sessions'), { recursive: true });
+    if (sessionId) fs.writeFileSync(sessionFile(dir, agent, sessionId), '');
+}
+
+describe('listAgents', function() {
+    test('lists directories that have a sessions folder', function() {
+        addSession('main');
+        addSession('support');
+        fs.mkdirSync(path.join(dir, 'empty'));
+        fs.writeFileSync(path.join(dir, 'notes.txt'), '');
+
+        expect(listAgents(dir)).toEqual(['main', 'support']);
+    });
+
+    test('is empty when the directory is missing', function() {
+        expect(listAgents(path.join(dir, 'nope'))).toEqual([]);
+    });
+});
+
+describe('agentFromFields', function() {
+    test('reads agent, agentId or the session key', function() {
+        expect(agentFromFields({ agent: 'ops' })).toBe('ops');
+        expect(agentFromFields({ agentId: 'ops' })).toBe('ops');
+        expect(agentFromFields({ sessionKey: 'agent:support:webchat:42' })).toBe('support');
+        expect(agentFromFields({ sessionKey: 'main' })).toBeNull();
+        expect(agentFromFields({})).toBeNull();
+        expect(agentFromFields(null)).toBeNull();
+    });
+});
+
+describe('createAgentIndex', function() {
+    test('finds the agent that has a session', function() {
+        addSession('main', 'sess-a');
+        addSession('support', 'sess-b');
+        var index = createAgentIndex();
+
+        expect(index.agentForSession('sess-a', dir)).toBe('main');
+        expect(index.agentForSession('sess-b', dir)).toBe('support');
+        expect(index.agentForSession('sess-c', dir)).toBeNull();
+    });
+
+    test('picks up agents created later', function() {
+        var seen = [];
+        var index = createAgentIndex({ onAgent: function(name) { seen.push(name); } });
+        addSession('main', 'sess-a');
+        expect(index.agentForSession('sess-new', dir)).toBeNull();
+
+        addSession('research', 'sess-new');
+        expect(index.agentForSession('sess-new', dir)).toBe('research');
+        expect(index.agentForSession('sess-a', dir)).toBe('main');
+        expect(seen).toEqual(['main', 'research']);
+    });
+
+    test('looks again when a remembered session has moved', function() {
+        addSession('main', 'sess-a');
+        var index = createAgentIndex();
+        expect(index.agentForSession('sess-a', dir)).toBe('main');
+
+        fs.rmSync(path.join(dir, 'main'), { recursive: true });
+        addSession('archive', 'sess-a');
+        expect(index.agentForSession('sess-a', dir)).toBe('archive');
+    });
+});
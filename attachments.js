@@ -0,0 +1,273 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { redactionFor, blockReason, redact } = require('./redaction');
+
+/**
+ * Images and files in an assistant reply.
+ *
+ * Content blocks of type `image`, `document` or `file` carry either the data
+ * itself (base64, as `data` or `source: { type: 'base64', data }`) or a
+ * reference to a file on this machine (`path`, `filePath` or
+ * `source: { type: 'file', path }`). Each one is sent after the reply text
+ * as a photo or a document, or, when it cannot be sent, becomes a line such
+ * as `[image omitted: 2.3 MB png]` at the end of the text.
+ *
+ * Referenced files are only read from the directories in attachmentDirs, so
+ * a transcript cannot send ~/.ssh/id_rsa. Text documents go through the
+ * redaction setting like the reply itself; file names and the placeholder
+ * lines are checked against its deny rules and redacted.
+ */
+
+const ATTACHMENT_BLOCKS = ['image', 'document', 'file'];
+
+// Image types chats show inline as photos. Other images are sent as documents.
+const PHOTO_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    json: 'application/json',
+    html: 'text/html',
+    zip: 'application/zip',
+};
+
+function mimeFromName(name) {
+    const ext = name ? path.extname(name).substring(1).toLowerCase() : '';
+    return MIME_TYPES[ext] || null;
+}
+
+/**
+ * A short name for a file's type: its extension, or the MIME subtype.
+ */
+function typeLabel(filename, mimeType) {
+    const ext = filename ? path.extname(filename).substring(1).toLowerCase() : '';
+    if (ext) return ext;
+    if (!mimeType) return null;
+    const subtype = mimeType.split('/')[1] || mimeType;
+    return subtype === 'jpeg' ? 'jpg' : subtype.split('+')[0];
+}
+
+/**
+ * "900 B", "12 KB", "2.3 MB".
+ */
+function formatSize(bytes) {
+    if (bytes < 1024) return bytes + ' B';
+    if (bytes < 1024 * 1024) return Math.round(bytes / 1024) + ' KB';
+    return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
+}
+
+/**
+ * The attachments in a transcript message, in order:
+ * [{ kind: 'image'|'file', filename, mimeType, data, path, url }], where
+ * exactly one of data (base64), path or url is set, or none if the block
+ * has no content. Empty for a message without content blocks.
+ */
+function extractAttachments(message) {
+    if (!Array.isArray(message.content)) return [];
+    const found = [];
+    for (const block of message.content) {
+        if (!block || !ATTACHMENT_BLOCKS.includes(block.type)) continue;
+        const source = block.source || {};
+        let data = typeof block.data === 'string' ? block.data : source.type === 'base64' ? source.data : null;
+        let mimeType = block.mimeType || block.mediaType || block.media_type || source.media_type || source.mediaType || null;
+        const dataUrl = data && data.match(/^data:([^;,]+);base64,/);
+        if (dataUrl) {
+            mimeType = mimeType || dataUrl[1];
+            data = data.substring(dataUrl[0].length);
+        }
+        const filePath = data ? null : block.path || block.filePath || source.path || null;
+        const url = data || filePath ? null : block.url || (source.type === 'url' ? source.url : null);
+        const filename = block.filename || block.fileName || block.name || (filePath ? path.basename(filePath) : null);
+        found.push({
+            kind: block.type === 'image' ? 'image' : 'file',
+            filename: filename,
+            mimeType: mimeType || mimeFromName(filename || url),
+            data: data || null,
+            path: filePath,
+            url: url,
+        });
+    }
+    return found;
+}
+
+// Content types whose bytes are text, so redaction can read them.
+const TEXT_TYPE = /^text\/|^application\/(json|xml|yaml|x-yaml|javascript|x-sh)$|\+(json|xml)$/;
+
+function resolvePath(filePath) {
+    if (filePath === '~' || filePath.startsWith('~/')) return path.join(os.homedir(), filePath.substring(1));
+    return path.isAbsolute(filePath) ? filePath : null;
+}
+
+/**
+ * The directories in attachmentDirs (comma-separated), with symlinks
+ * resolved. Ones that do not exist are left out.
+ */
+function allowedDirs(config) {
+    if (!config.attachmentDirs) return [];
+    const dirs = [];
+    for (const entry of config.attachmentDirs.split(',')) {
+        const dir = entry.trim() && resolvePath(entry.trim());
+        if (!dir) continue;
+        try {
+            dirs.push(fs.realpathSync(dir));
+        } catch {
+            // not there (yet); nothing in it can be sent
+        }
+    }
+    return dirs;
+}
+
+function isInside(filePath, dir) {
+    const relative = path.relative(dir, filePath);
+    return relative !== '' && !relative.startsWith('..' + path.sep) && relative !== '..' && !path.isAbsolute(relative);
+}
+
+function omitted(attachment, detail) {
+    return '[' + attachment.kind + ' omitted: ' + detail + ']';
+}
+
+/**
+ * The deny rules alone: file names and placeholder lines need not match an
+ * allow rule, which is about the reply's content.
+ */
+function denyOnly(redaction) {
+    return Object.assign({}, redaction, { allow: [] });
+}
+
+/**
+ * Decide how each extracted attachment is delivered under the config's
+ * mirrorAttachments, maxPhotoBytes, maxDocumentBytes, attachmentDirs and
+ * redaction. Returns { files, notes, counts }: files to send, as
+ *   { kind: 'photo'|'document', filename, contentType, size, key,
+ *     content + encoding: 'base64' | path }
+ * where `key` identifies the content for de-duplication; placeholder lines
+ * for the ones that are not sent (too large, missing, outside
+ * attachmentDirs, blocked, only a URL, or mirrorAttachments "placeholder");
+ * and what redaction replaced, as from redact(). Photos over maxPhotoBytes
+ * go as documents.
+ */
+function prepareAttachments(attachments, config) {
+    const result = { files: [], notes: [], counts: {} };
+    if (config.mirrorAttachments === 'off') return result;
+    const redaction = redactionFor(config);
+    const names = denyOnly(redaction);
+    let dirs = null;
+
+    function note(attachment, detail) {
+        const blocked = blockReason(detail, names);
+        result.notes.push(omitted(attachment, blocked ? 'blocked by ' + blocked : cleanText(detail)));
+    }
+
+    function cleanText(text) {
+        const redacted = redact(text, redaction);
+        for (const name of Object.keys(redacted.counts)) {
+            result.counts[name] = (result.counts[name] || 0) + redacted.counts[name];
+        }
+        return redacted.text;
+    }
+
+    attachments.forEach(function(attachment, i) {
+        let size = null;
+        let filePath = null;
+        let key = null;
+        if (attachment.data) {
+            size = Buffer.byteLength(attachment.data, 'base64');
+            key = crypto.createHash('sha256').update(attachment.data).digest('hex');
+        } else if (attachment.path) {
+            const name = path.basename(attachment.path);
+            try {
+                filePath = resolvePath(attachment.path) && fs.realpathSync(resolvePath(attachment.path));
+                const stat = filePath ? fs.statSync(filePath) : null;
+                if (stat && stat.isFile()) {
+                    size = stat.size;
+                    key = filePath + ':' + stat.size + ':' + stat.mtimeMs;
+                }
+            } catch {
+                // reported below
+            }
+            if (size === null) {
+                note(attachment, name + ' not found');
+                return;
+            }
+            dirs = dirs || allowedDirs(config);
+            if (!dirs.some(function(dir) { return isInside(filePath, dir); })) {
+                note(attachment, name + ' is not in attachmentDirs');
+                return;
+            }
+        } else {
+            note(attachment, attachment.url || 'no content');
+            return;
+        }
+
+        const contentType = attachment.mimeType || 'application/octet-stream';
+        const label = typeLabel(attachment.filename, contentType);
+        const description = formatSize(size) + (label ? ' ' + label : '');
+        const asPhoto = attachment.kind === 'image' && PHOTO_TYPES.includes(contentType) && size <= config.maxPhotoBytes;
+        if (config.mirrorAttachments === 'placeholder' || (!asPhoto && size > config.maxDocumentBytes)) {
+            note(attachment, description);
+            return;
+        }
+
+        const filename = attachment.filename || attachment.kind + '-' + (i + 1) + (label ? '.' + label : '');
+        const nameBlocked = blockReason(filename, names);
+        if (nameBlocked) {
+            note(attachment, 'blocked by ' + nameBlocked);
+            return;
+        }
+        const file = {
+            kind: asPhoto ? 'photo' : 'document',
+            filename: cleanText(filename),
+            contentType: contentType,
+            size: size,
+            key: key,
+        };
+        if (filePath) {
+            file.path = filePath;
+        } else {
+            file.content = attachment.data;
+            file.encoding = 'base64';
+        }
+
+        if (!asPhoto && TEXT_TYPE.test(contentType)) {
+            let text;
+            try {
+                text = filePath ? fs.readFileSync(filePath, 'utf8') : Buffer.from(attachment.data, 'base64').toString('utf8');
+            } catch {
+                note(attachment, path.basename(filename) + ' not found');
+                return;
+            }
+            const blocked = blockReason(text, redaction);
+            if (blocked) {
+                note(attachment, 'blocked by ' + blocked);
+                return;
+            }
+            const redacted = cleanText(text);
+            if (redacted !== text) {
+                delete file.path;
+                file.content = Buffer.from(redacted, 'utf8').toString('base64');
+                file.encoding = 'base64';
+                file.size = Buffer.byteLength(redacted, 'utf8');
+                file.key = crypto.createHash('sha256').update(file.content).digest('hex');
+            }
+        }
+        result.files.push(file);
+    });
+    return result;
+}
+
+module.exports = {
+    PHOTO_TYPES: PHOTO_TYPES,
+    extractAttachments: extractAttachments,
+    prepareAttachments: prepareAttachments,
+    formatSize: formatSize,
+};
@@ -0,0 +1,162 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { extractAttachments, prepareAttachments, formatSize } = require('./attachments');
+const { defaultConfig } = require('./config');
+const { compileRedaction } = require('./redaction');
+
+var dir;
+
+beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-attach-'));
+});
+
+afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+var png = Buffer.from('fake png bytes').toString('base64');
+
+describe('extractAttachments', function() {
+    test('finds base64 images, file references and URLs in order', function() {
+        var message = {
+            role: 'assistant',
+            content: [
+                { type: 'text', text: 'Here you go' },
+                { type: 'image', source: { type: 'base64', media_type: 'image/png', data: png } },
+                { type: 'image', data: png, mimeType: 'image/jpeg' },
+                { type: 'file', path: '/tmp/out/report.pdf' },
+                { type: 'image', source: { type: 'url', url: 'https://example.com/cat.gif' } },
+            ],
+        };
+        expect(extractAttachments(message)).toEqual([
+            { kind: 'image', filename: null, mimeType: 'image/png', data: png, path: null, url: null },
+            { kind: 'image', filename: null, mimeType: 'image/jpeg', data: png, path: null, url: null },
+            { kind: 'file', filename: 'report.pdf', mimeType: 'application/pdf', data: null, path: '/tmp/out/report.pdf', url: null },
+            { kind: 'image', filename: null, mimeType: 'image/gif', data: null, path: null, url: 'https://example.com/cat.gif' },
+        ]);
+    });
+
+    test('unwraps data URLs', function() {
+        var found = extractAttachments({ content: [{ type: 'image', data: 'data:image/webp;base64,' + png }] });
+        expect(found[0]).toMatchObject({ mimeType: 'image/webp', data: png });
+    });
+
+    test('is empty for string content and text-only messages', function() {
+        expect(extractAttachments({ content: 'just text' })).toEqual([]);
+        expect(extractAttachments({ content: [{ type: 'text', text: 'hi' }] })).toEqual([]);
+    });
+});
+
+describe('prepareAttachments', function() {
+    function prepare(attachments, overrides) {
+        return prepareAttachments(attachments, Object.assign(defaultConfig(), overrides));
+    }
+
+    test('sends inline images as photos with a generated name', function() {
+        var result = prepare(extractAttachments({ content: [{ type: 'image', data: png, mimeType: 'image/png' }] }));
+        expect(result.notes).toEqual([]);
+        expect(result.files).toEqual([{
+            kind: 'photo',
+            filename: 'image-1.png',
+            contentType: 'image/png',
+            size: 14,
+            key: expect.any(String),
+            content: png,
+            encoding: 'base64',
+        }]);
+    });
+
+    test('sends referenced files as documents by path', function() {
+        var file = path.join(dir, 'report.pdf');
+        fs.writeFileSync(file, '%PDF-1.4');
+        var result = prepare(extractAttachments({ content: [{ type: 'document', path: file }] }), { attachmentDirs: '/nowhere, ' + dir });
+        expect(result.files).toEqual([{
+            kind: 'document', filename: 'report.pdf', contentType: 'application/pdf', size: 8, key: expect.any(String), path: fs.realpathSync(file),
+        }]);
+    });
+
+    test('only reads referenced files inside attachmentDirs', function() {
+        var inside = path.join(dir, 'shared');
+        fs.mkdirSync(inside);
+        fs.writeFileSync(path.join(dir, 'id_rsa'), 'secret');
+        fs.symlinkSync(path.join(dir, 'id_rsa'), path.join(inside, 'key.txt'));
+        var attachments = extractAttachments({ content: [
+            { type: 'file', path: path.join(dir, 'id_rsa') },
+            { type: 'file', path: path.join(inside, '..', 'id_rsa') },
+            { type: 'file', path: path.join(inside, 'key.txt') },
+        ] });
+
+        expect(prepare(attachments).notes).toEqual([
+            '[file omitted: id_rsa is not in attachmentDirs]',
+            '[file omitted: id_rsa is not in attachmentDirs]',
+            '[file omitted: key.txt is not in attachmentDirs]',
+        ]);
+        expect(prepare(attachments, { attachmentDirs: inside }).files).toEqual([]);
+    });
+
+    test('text documents and file names go through redaction', function() {
+        var text = function(body) { return Buffer.from(body).toString('base64'); };
+        var result = prepare(extractAttachments({ content: [
+            { type: 'document', filename: 'notes.txt', data: text('token: Bearer abcdefghijklmnop1234') },
+            { type: 'document', filename: 'secret-plan.md', data: text('fine') },
+            { type: 'document', filename: 'ok.json', data: text('{"internal only": true}') },
+            { type: 'document', filename: 'dev@example.com report.pdf', data: text('%PDF') },
+        ] }), { redaction: compileRedaction({ builtins: ['bearer-token', 'email'], deny: ['secret-plan', '/internal only/'] }) });
+
+        expect(result.notes).toEqual([
+            '[file omitted: blocked by deny rule "secret-plan"]',
+            '[file omitted: blocked by deny rule "/internal only/"]',
+        ]);
+        expect(result.files.map(function(f) { return f.filename; })).toEqual(['notes.txt', '[REDACTED:email] report.pdf']);
+        expect(Buffer.from(result.files[0].content, 'base64').toString()).toBe('token: Bearer [REDACTED:bearer-token]');
+        expect(result.files[0].size).toBe(37);
+        expect(result.counts).toEqual({ 'bearer-token': 1, email: 1 });
+    });
+
+    test('images that are not photo types, or too big for a photo, go as documents', function() {
+        var result = prepare(extractAttachments({ content: [
+            { type: 'image', data: png, mimeType: 'image/gif' },
+            { type: 'image', data: png, mimeType: 'image/png' },
+        ] }), { maxPhotoBytes: 10 });
+        expect(result.files.map(function(f) { return f.kind + ' ' + f.filename; })).toEqual(['document image-1.gif', 'document image-2.png']);
+    });
+
+    test('leaves a placeholder for what cannot be sent', function() {
+        var big = Buffer.alloc(2400000).toString('base64');
+        var result = prepare(extractAttachments({ content: [
+            { type: 'image', data: big, mimeType: 'image/png' },
+            { type: 'file', path: path.join(dir, 'gone.csv') },
+            { type: 'file', path: 'relative/out.txt' },
+            { type: 'image', url: 'https://example.com/cat.gif' },
+        ] }), { maxPhotoBytes: 1000, maxDocumentBytes: 2000000 });
+        expect(result.files).toEqual([]);
+        expect(result.notes).toEqual([
+            '[image omitted: 2.3 MB png]',
+            '[file omitted: gone.csv not found]',
+            '[file omitted: out.txt not found]',
+            '[image omitted: https://example.com/cat.gif]',
+        ]);
+    });
+
+    test('mirrorAttachments "placeholder" never sends files, "off" drops them', function() {
+        var attachments = extractAttachments({ content: [{ type: 'image', data: png, mimeType: 'image/jpeg' }] });
+        expect(prepare(attachments, { mirrorAttachments: 'placeholder' })).toEqual({ files: [], notes: ['[image omitted: 14 B jpg]'], counts: {} });
+        expect(prepare(attachments, { mirrorAttachments: 'off' })).toEqual({ files: [], notes: [], counts: {} });
+    });
+
+    test('the key changes with the content', function() {
+        var a = prepare(extractAttachments({ content: [{ type: 'image', data: png, mimeType: 'image/png' }] })).files[0];
+        var b = prepare(extractAttachments({ content: [{ type: 'image', data: Buffer.from('other').toString('base64'), mimeType: 'image/png' }] })).files[0];
+        expect(a.key).not.toBe(b.key);
+    });
+});
+
+describe('formatSize', function() {
+    test('uses B, KB and MB', function() {
+        expect(formatSize(900)).toBe('900 B');
+        expect(formatSize(12 * 1024)).toBe('12 KB');
+        expect(formatSize(2.3 * 1024 * 1024)).toBe('2.3 MB');
+    });
+});
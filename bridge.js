@@ -0,0 +1,176 @@
+const { parseFields } = require('./run_metadata');
+
+/**
+ * Two-way bridge: answers in a destination chat to messages the daemon sent
+ * go back into the session those messages were mirrored from.
+ *
+ * Transports that learn the ID of a message they send (the telegram http
+ * flavor, and gateways that answer with one) report it, and the daemon
+ * remembers which session each sent message came from. Inbound messages are
+ * read from the `gateway/channels/<channel>` log lines; one that replies to
+ * a remembered message is passed to the bridge transport's inject().
+ */
+
+// Sent messages remembered; answers to older ones are not bridged.
+const MAX_MESSAGES = 1000;
+// Inbound messages remembered as handled, so none is injected twice.
+const MAX_HANDLED = 1000;
+
+const FIELD_NAMES = {
+    chatId: ['chatId', 'chat_id', 'chat'],
+    messageId: ['messageId', 'message_id', 'msgId'],
+    replyTo: ['replyToMessageId', 'reply_to_message_id', 'replyToId', 'replyTo'],
+    from: ['from', 'sender', 'username', 'senderId'],
+    text: ['text', 'body', 'message'],
+};
+
+function pick(fields, names) {
+    for (const name of names) {
+        if (fields[name] !== undefined && fields[name] !== null && fields[name] !== '') return String(fields[name]);
+    }
+    return null;
+}
+
+/**
+ * Quoted values (name="a \"quoted\" value") in a log message, unescaped.
+ */
+function parseQuotedFields(msg) {
+    const fields = {};
+    const re = /([A-Za-z_][\w.-]*)="((?:[^"\\]|\\.)*)"/g;
+    let match;
+    while ((match = re.exec(msg)) !== null) {
+        try {
+            fields[match[1]] = JSON.parse('"' + match[2] + '"');
+        } catch {
+            fields[match[1]] = match[2];
+        }
+    }
+    return fields;
+}
+
+/**
+ * Parse an inbound message from a channel's log line, e.g.
+ *   gateway/channels/telegram  inbound message: chatId=-100123 messageId=57
+ *                              replyToMessageId=55 from=@alice text="Friday works"
+ * Fields may also come as an object in the entry's next argument. Returns
+ * { channel, chatId, messageId, replyTo, from, text } (replyTo and from may
+ * be null), or null if the line is not an inbound message with text.
+ */
+function parseInboundMessage(line) {
+    if (!line || !line.trim()) return null;
+    let entry;
+    try {
+        entry = JSON.parse(line);
+    } catch {
+        return null;
+    }
+
+    let subsystem = null;
+    try {
+        subsystem = JSON.parse(entry['0']).subsystem;
+    } catch {
+        return null;
+    }
+    const channelMatch = typeof subsystem === 'string' && subsystem.match(/^gateway\/channels\/([\w-]+)$/);
+    const msg = entry['1'];
+    if (!channelMatch || typeof msg !== 'string' || !/\binbound\b/i.test(msg)) return null;
+
+    const extra = entry['2'] && typeof entry['2'] === 'object' ? entry['2'] : {};
+    const fields = Object.assign(parseFields(msg), parseQuotedFields(msg), extra);
+    const inbound = {
+        channel: channelMatch[1],
+        chatId: pick(fields, FIELD_NAMES.chatId),
+        messageId: pick(fields, FIELD_NAMES.messageId),
+        replyTo: pick(fields, FIELD_NAMES.replyTo),
+        from: pick(fields, FIELD_NAMES.from),
+        text: pick(fields, FIELD_NAMES.text),
+    };
+    if (!inbound.chatId || !inbound.messageId || !inbound.text) return null;
+    return inbound;
+}
+
+function messageKey(channel, chatId, messageId) {
+    return channel + ':' + chatId + ':' + messageId;
+}
+
+/**
+ * Create the index of sent messages: channel, chat and message ID -> the
+ * session ({ sessionId, agent }) the message was mirrored from. Keeps the
+ * newest 1000 messages.
+ */
+function createSentIndex() {
+    const sent = new Map();
+    const handled = new Set();
+
+    function remember(channel, chatId, messageId, session) {
+        const key = messageKey(channel, chatId, messageId);
+        sent.delete(key);
+        sent.set(key, { sessionId: session.sessionId, agent: session.agent || null });
+        if (sent.size > MAX_MESSAGES) sent.delete(sent.keys().next().value);
+    }
+
+    function lookup(channel, chatId, messageId) {
+        return sent.get(messageKey(channel, chatId, messageId)) || null;
+    }
+
+    /**
+     * Mark an inbound message as handled. False if it already was.
+     */
+    function claim(inbound) {
+        const key = messageKey(inbound.channel, inbound.chatId, inbound.messageId);
+        if (handled.has(key)) return false;
+        handled.add(key);
+        if (handled.size > MAX_HANDLED) handled.delete(handled.values().next().value);
+        return true;
+    }
+
+    function snapshot() {
+        return Object.fromEntries(sent);
+    }
+
+    function restore(saved) {
+        for (const key of Object.keys(saved || {})) sent.set(key, saved[key]);
+        while (sent.size > MAX_MESSAGES) sent.delete(sent.keys().next().value);
+    }
+
+    function clear() {
+        sent.clear();
+        handled.clear();
+    }
+
+    return {
+        remember: remember,
+        lookup: lookup,
+        claim: claim,
+        snapshot: snapshot,
+        restore: restore,
+        clear: clear,
+    };
+}
+
+/**
+ * Whether an inbound sender may use the bridge under bridgeAllowFrom (a
+ * comma-separated list of sender names or IDs; unset allows everyone).
+ */
+function senderAllowed(from, allowFrom) {
+    if (!allowFrom) return true;
+    if (!from) return false;
+    const wanted = from.replace(/^@/, '').toLowerCase();
+    return allowFrom.split(',').some(function(entry) {
+        return entry.trim().replace(/^@/, '').toLowerCase() === wanted;
+    });
+}
+
+/**
+ * The text injected into the session: the answer, labelled with where it came from.
+ */
+function formatInjected(inbound) {
+    return '[' + inbound.channel + ' reply' + (inbound.from ? ' from ' + inbound.from : '') + '] ' + inbound.text;
+}
+
+module.exports = {
+    parseInboundMessage: parseInboundMessage,
+    createSentIndex: createSentIndex,
+    senderAllowed: senderAllowed,
+    formatInjected: formatInjected,
+};
@@ -0,0 +1,82 @@
+const { parseInboundMessage, createSentIndex, senderAllowed, formatInjected } = require('./bridge');
+
+function logLine(subsystem, message, extra) {
+    var entry = { '0': JSON.stringify({ subsystem: subsystem }), '1': message, time: new Date().toISOString() };
+    if (extra) entry['2'] = extra;
+    return JSON.stringify(entry);
+}
+
+describe('parseInboundMessage', function() {
+    test('reads key=value fields and a quoted text', function() {
+        var line = logLine('gateway/channels/telegram',
+            'inbound message: chatId=-100123 messageId=57 replyToMessageId=55 from=@alice text="Friday \\"works\\" for me"');
+        expect(parseInboundMessage(line)).toEqual({
+            channel: 'telegram',
+            chatId: '-100123',
+            messageId: '57',
+            replyTo: '55',
+            from: '@alice',
+            text: 'Friday "works" for me',
+        });
+    });
+
+    test('reads fields from an object argument', function() {
+        var line = logLine('gateway/channels/telegram', 'inbound message', { chat_id: -100, message_id: 9, reply_to_message_id: 8, text: 'ok' });
+        expect(parseInboundMessage(line)).toMatchObject({ chatId: '-100', messageId: '9', replyTo: '8', from: null, text: 'ok' });
+    });
+
+    test('ignores other subsystems, other lines and messages without text', function() {
+        expect(parseInboundMessage(logLine('gateway/ws', 'inbound message: chatId=1 messageId=2 text="x"'))).toBeNull();
+        expect(parseInboundMessage(logLine('gateway/channels/telegram', 'starting provider'))).toBeNull();
+        expect(parseInboundMessage(logLine('gateway/channels/telegram', 'inbound message: chatId=1 messageId=2'))).toBeNull();
+        expect(parseInboundMessage('not json')).toBeNull();
+    });
+});
+
+describe('sent index', function() {
+    test('maps sent messages to their session', function() {
+        var index = createSentIndex();
+        index.remember('telegram', '-100', '55', { sessionId: 's1', agent: 'main' });
+        expect(index.lookup('telegram', '-100', '55')).toEqual({ sessionId: 's1', agent: 'main' });
+        expect(index.lookup('telegram', '-200', '55')).toBeNull();
+    });
+
+    test('keeps the newest 1000 messages', function() {
+        var index = createSentIndex();
+        for (var i = 0; i < 1001; i++) index.remember('telegram', '1', String(i), { sessionId: 's' + i });
+        expect(index.lookup('telegram', '1', '0')).toBeNull();
+        expect(index.lookup('telegram', '1', '1000')).toEqual({ sessionId: 's1000', agent: null });
+    });
+
+    test('claims each inbound message once', function() {
+        var index = createSentIndex();
+        var inbound = { channel: 'telegram', chatId: '1', messageId: '2' };
+        expect(index.claim(inbound)).toBe(true);
+        expect(index.claim(inbound)).toBe(false);
+    });
+
+    test('snapshot and restore', function() {
+        var index = createSentIndex();
+        index.remember('telegram', '1', '2', { sessionId: 's1' });
+        var restored = createSentIndex();
+        restored.restore(JSON.parse(JSON.stringify(index.snapshot())));
+        expect(restored.lookup('telegram', '1', '2')).toEqual({ sessionId: 's1', agent: null });
+    });
+});
+
+describe('senderAllowed', function() {
+    test('allows everyone without a list, and matches names without @ or case', function() {
+        expect(senderAllowed(null, null)).toBe(true);
+        expect(senderAllowed('@Alice', 'bob, alice')).toBe(true);
+        expect(senderAllowed('12345', '@bob,12345')).toBe(true);
+        expect(senderAllowed('@mallory', 'bob, alice')).toBe(false);
+        expect(senderAllowed(null, 'alice')).toBe(false);
+    });
+});
+
+describe('formatInjected', function() {
+    test('labels the text with its channel and sender', function() {
+        expect(formatInjected({ channel: 'telegram', from: '@alice', text: 'Friday' })).toBe('[telegram reply from @alice] Friday');
+        expect(formatInjected({ channel: 'telegram', from: null, text: 'Friday' })).toBe('[telegram reply] Friday');
+    });
+});
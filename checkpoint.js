@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CHECKPOINT_VERSION = 1;
+
+/**
+ * Write JSON so readers only ever see the old file or the complete new one:
+ * write a temp file next to the target, fsync it, then rename over the target.
+ */
+function writeJsonAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = filePath + '.' + process.pid + '.tmp';
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2) + '\n');
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Load a checkpoint written by saveCheckpoint.
+ * Returns null when there is none; throws if the file exists but is unusable.
+ */
+function loadCheckpoint(filePath) {
+    let raw;
+    try {
+        raw = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+    }
+
+    const state = JSON.parse(raw);
+    if (!state || state.version !== CHECKPOINT_VERSION) {
+        throw new Error('Unsupported checkpoint version in ' + filePath + ': ' + (state && state.version));
+    }
+    return {
+        logPath: state.logPath || null,
+        offset: Number.isInteger(state.offset) ? state.offset : 0,
+        openRuns: state.openRuns || {},
+        pendingRuns: state.pendingRuns || {},
+        processedRuns: state.processedRuns || [],
+        sentHashes: state.sentHashes || [],
+        threads: state.threads || {},
+        sentMessages: state.sentMessages || {},
+        muted: state.muted || [],
+        paused: state.paused === true,
+        sessionModes: state.sessionModes || {},
+        savedAt: state.savedAt || null,
+    };
+}
+
+/**
+ * Persist daemon state:
+ *   logPath, offset   where in which log file to resume
+ *   openRuns          runId -> run, started but not yet done
+ *   pendingRuns       runId -> run, done but not yet delivered
+ *   processedRuns     recently handled runIds
+ *   sentHashes        hashes of recently sent messages (see hashMessage)
+ *   threads           destination -> sessionId -> thread ID (see threads.js)
+ *   sentMessages      sent message -> session it came from (see bridge.js)
+ *   muted             sessions muted through the control socket
+ *   paused            whether sending was paused through the control socket
+ *   sessionModes      sessionId -> setting from /mirror directives (see directives.js)
+ */
+function saveCheckpoint(filePath, state) {
+    writeJsonAtomic(filePath, {
+        version: CHECKPOINT_VERSION,
+        logPath: state.logPath,
+        offset: state.offset,
+        openRuns: state.openRuns,
+        pendingRuns: state.pendingRuns,
+        processedRuns: state.processedRuns,
+        sentHashes: state.sentHashes,
+        threads: state.threads || {},
+        sentMessages: state.sentMessages || {},
+        muted: state.muted || [],
+        paused: state.paused === true,
+        sessionModes: state.sessionModes || {},
+        savedAt: new Date().toISOString(),
+    });
+}
+
+/**
+ * Fixed-size key for the sent-message cache, so the checkpoint never
+ * stores reply text.
+ */
+function hashMessage(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+module.exports = {
+    writeJsonAtomic: writeJsonAtomic,
+    loadCheckpoint: loadCheckpoint,
+    saveCheckpoint: saveCheckpoint,
+    hashMessage: hashMessage,
+};
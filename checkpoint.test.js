@@ -0,0 +1,106 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    writeJsonAtomic,
+    loadCheckpoint,
+    saveCheckpoint,
+    hashMessage,
+} = require('./checkpoint');
+
+var dir;
+
+beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-checkpoint-'));
+});
+
+afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+describe('writeJsonAtomic', function() {
+    test('creates parent directories and leaves no temp file', function() {
+        var file = path.join(dir, 'nested', 'state.json');
+        writeJsonAtomic(file, { a: 1 });
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ a: 1 });
+        expect(fs.readdirSync(path.dirname(file))).toEqual(['state.json']);
+    });
+
+    test('replaces an existing file', function() {
+        var file = path.join(dir, 'state.json');
+        writeJsonAtomic(file, { a: 1 });
+        writeJsonAtomic(file, { a: 2 });
+        expect(JSON.parse(fs.readFileSync(file, 'utf8'))).toEqual({ a: 2 });
+    });
+});
+
+describe('loadCheckpoint / saveCheckpoint', function() {
+    test('returns null when there is no checkpoint', function() {
+        expect(loadCheckpoint(path.join(dir, 'missing.json'))).toBeNull();
+    });
+
+    test('round-trips state', function() {
+        var file = path.join(dir, 'state.json');
+        saveCheckpoint(file, {
+            logPath: '/tmp/openclaw/openclaw-2026-01-01.log',
+            offset: 1234,
+            openRuns: { 'run-1': { sessionId: 's1', messageChannel: 'webchat', model: null } },
+            pendingRuns: { 'run-2': { sessionId: 's2', messageChannel: 'webchat', model: 'opus' } },
+            processedRuns: ['run-0', 'run-2'],
+            sentHashes: [hashMessage('x')],
+            threads: { 'telegram:-100#topic': { s1: 7 } },
+            muted: ['s3'],
+            paused: true,
+            sessionModes: { s4: { mode: 'to', alias: 'team' } },
+        });
+
+        var state = loadCheckpoint(file);
+        expect(state.logPath).toBe('/tmp/openclaw/openclaw-2026-01-01.log');
+        expect(state.offset).toBe(1234);
+        expect(state.openRuns['run-1'].sessionId).toBe('s1');
+        expect(state.pendingRuns['run-2'].model).toBe('opus');
+        expect(state.processedRuns).toEqual(['run-0', 'run-2']);
+        expect(state.sentHashes).toEqual([hashMessage('x')]);
+        expect(state.threads).toEqual({ 'telegram:-100#topic': { s1: 7 } });
+        expect(state.muted).toEqual(['s3']);
+        expect(state.paused).toBe(true);
+        expect(state.sessionModes).toEqual({ s4: { mode: 'to', alias: 'team' } });
+        expect(typeof state.savedAt).toBe('string');
+    });
+
+    test('fills in missing fields', function() {
+        var file = path.join(dir, 'state.json');
+        fs.writeFileSync(file, JSON.stringify({ version: 1 }));
+        expect(loadCheckpoint(file)).toEqual({
+            logPath: null,
+            offset: 0,
+            openRuns: {},
+            pendingRuns: {},
+            processedRuns: [],
+            sentHashes: [],
+            threads: {},
+            sentMessages: {},
+            muted: [],
+            paused: false,
+            sessionModes: {},
+            savedAt: null,
+        });
+    });
+
+    test('rejects unknown versions and corrupt files', function() {
+        var file = path.join(dir, 'state.json');
+        fs.writeFileSync(file, JSON.stringify({ version: 99 }));
+        expect(function() { loadCheckpoint(file); }).toThrow('Unsupported checkpoint version');
+        fs.writeFileSync(file, '{ truncated');
+        expect(function() { loadCheckpoint(file); }).toThrow();
+    });
+});
+
+describe('hashMessage', function() {
+    test('is stable and does not contain the text', function() {
+        expect(hashMessage('secret reply')).toBe(hashMessage('secret reply'));
+        expect(hashMessage('secret reply')).not.toBe(hashMessage('other reply'));
+        expect(hashMessage('secret reply')).toMatch(/^[0-9a-f]{64}$/);
+    });
+});
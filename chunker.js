@@ -0,0 +1,167 @@
+/**
+ * Split long Markdown replies into message-sized chunks.
+ *
+ * Splits happen between paragraphs where possible, then between lines, and
+ * only as a last resort inside a line. A fenced code block is never cut
+ * without closing it: when one has to be split, the piece is closed with its
+ * fence and the next chunk reopens it with the same opening line (so the
+ * language tag carries over).
+ */
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})/;
+
+/**
+ * Break text into blocks: fenced code blocks (kept whole, fences included)
+ * and runs of ordinary lines separated by blank lines.
+ */
+function toBlocks(text) {
+    const lines = text.split('\n');
+    const blocks = [];
+    let current = null;
+
+    function flush() {
+        if (current && current.lines.length) blocks.push(current);
+        current = null;
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const fence = line.match(FENCE_RE);
+        if (fence) {
+            flush();
+            const marker = fence[1];
+            const block = { code: true, open: line, close: null, lines: [] };
+            let j = i + 1;
+            for (; j < lines.length; j++) {
+                const closing = lines[j].match(FENCE_RE);
+                if (closing && closing[1][0] === marker[0] && closing[1].length >= marker.length && lines[j].trim() === closing[1]) {
+                    block.close = lines[j];
+                    break;
+                }
+                block.lines.push(lines[j]);
+            }
+            // An unterminated fence runs to the end of the text, as in CommonMark.
+            block.close = block.close || marker;
+            blocks.push(block);
+            i = j;
+            continue;
+        }
+        if (line.trim() === '') {
+            flush();
+            continue;
+        }
+        if (!current) current = { code: false, lines: [] };
+        current.lines.push(line);
+    }
+    flush();
+    return blocks;
+}
+
+function renderBlock(block) {
+    if (!block.code) return block.lines.join('\n');
+    return [block.open].concat(block.lines, [block.close]).join('\n');
+}
+
+/**
+ * Cut one overlong line, preferring the last space before the limit.
+ */
+function splitLongLine(line, limit) {
+    const pieces = [];
+    let rest = line;
+    while (rest.length > limit) {
+        let cut = rest.lastIndexOf(' ', limit);
+        if (cut <= limit / 2) cut = limit;
+        pieces.push(rest.substring(0, cut).replace(/\s+$/, ''));
+        rest = rest.substring(cut).replace(/^\s+/, '');
+    }
+    if (rest.length) pieces.push(rest);
+    return pieces;
+}
+
+/**
+ * Pack lines into pieces no longer than limit, joined with newlines.
+ */
+function packLines(lines, limit) {
+    const pieces = [];
+    let current = [];
+    let length = 0;
+    for (const line of lines) {
+        const parts = line.length > limit ? splitLongLine(line, limit) : [line];
+        for (const part of parts) {
+            const added = current.length ? part.length + 1 : part.length;
+            if (current.length && length + added > limit) {
+                pieces.push(current.join('\n'));
+                current = [];
+                length = 0;
+            }
+            length += current.length ? part.length + 1 : part.length;
+            current.push(part);
+        }
+    }
+    if (current.length) pieces.push(current.join('\n'));
+    return pieces;
+}
+
+/**
+ * Split a block that does not fit in one chunk. Code pieces each get the
+ * block's opening and closing fence lines.
+ */
+function splitBlock(block, limit) {
+    if (!block.code) return packLines(block.lines, limit);
+    const overhead = block.open.length + block.close.length + 2;
+    const inner = Math.max(1, limit - overhead);
+    return packLines(block.lines.length ? block.lines : [''], inner).map(function(body) {
+        return block.open + '\n' + body + '\n' + block.close;
+    });
+}
+
+/**
+ * Split text into chunks of at most `limit` characters.
+ */
+function splitMessage(text, limit) {
+    if (text.length <= limit) return [text];
+
+    const chunks = [];
+    let current = '';
+    for (const block of toBlocks(text)) {
+        const rendered = renderBlock(block);
+        const pieces = rendered.length <= limit ? [rendered] : splitBlock(block, limit);
+        for (const piece of pieces) {
+            if (current && current.length + 2 + piece.length <= limit) {
+                current += '\n\n' + piece;
+            } else {
+                if (current) chunks.push(current);
+                current = piece;
+            }
+        }
+    }
+    if (current) chunks.push(current);
+    return chunks;
+}
+
+/**
+ * Prefix each chunk with "(i/n) " when there is more than one. A chunk that
+ * opens with a code fence gets the label on its own line so the fence still
+ * starts a line. `escape` adapts the label to the chunks' format.
+ */
+function numberChunks(chunks, escape) {
+    if (chunks.length < 2) return chunks.slice();
+    return chunks.map(function(chunk, i) {
+        let label = '(' + (i + 1) + '/' + chunks.length + ')';
+        if (escape) label = escape(label);
+        return label + (FENCE_RE.test(chunk) ? '\n' : ' ') + chunk;
+    });
+}
+
+/**
+ * Room to leave for the "(i/n) " prefix of a reply split into many chunks.
+ */
+// Long enough for the escaped MarkdownV2 form, \(999/999\).
+const NUMBERING_RESERVE = '\\(999/999\\) '.length;
+
+module.exports = {
+    FENCE_RE: FENCE_RE,
+    NUMBERING_RESERVE: NUMBERING_RESERVE,
+    splitMessage: splitMessage,
+    numberChunks: numberChunks,
+};
@@ -0,0 +1,104 @@
+const { splitMessage, numberChunks, NUMBERING_RESERVE } = require('./chunker');
+
+function paragraph(word, count) {
+    return new Array(count).fill(word).join(' ');
+}
+
+// Every chunk must have balanced fences on its own.
+function fenceCount(chunk) {
+    return chunk.split('\n').filter(function(line) { return /^```/.test(line); }).length;
+}
+
+describe('splitMessage', function() {
+    test('returns short text unchanged', function() {
+        expect(splitMessage('hello', 100)).toEqual(['hello']);
+    });
+
+    test('splits between paragraphs and keeps every chunk under the limit', function() {
+        var text = [paragraph('alpha', 10), paragraph('beta', 10), paragraph('gamma', 10)].join('\n\n');
+        var chunks = splitMessage(text, 70);
+        expect(chunks.length).toBeGreaterThan(1);
+        chunks.forEach(function(chunk) { expect(chunk.length).toBeLessThanOrEqual(70); });
+        expect(chunks.join('\n\n')).toBe(text);
+    });
+
+    test('falls back to line breaks, then to words', function() {
+        var lines = splitMessage('one two three\nfour five six\nseven eight nine', 20);
+        expect(lines).toEqual(['one two three', 'four five six', 'seven eight nine']);
+
+        var words = splitMessage(paragraph('word', 20), 24);
+        words.forEach(function(chunk) {
+            expect(chunk.length).toBeLessThanOrEqual(24);
+            expect(chunk).toMatch(/^word( word)*$/);
+        });
+    });
+
+    test('cuts a line with no spaces at the limit', function() {
+        expect(splitMessage('x'.repeat(25), 10)).toEqual(['x'.repeat(10), 'x'.repeat(10), 'x'.repeat(5)]);
+    });
+
+    test('keeps a code block that fits in one chunk whole', function() {
+        var code = '```js\nconst a = 1;\nconst b = 2;\n```';
+        var chunks = splitMessage(paragraph('intro', 12) + '\n\n' + code, 75);
+        expect(chunks).toContain(code);
+    });
+
+    test('closes and reopens a split code block with its language tag', function() {
+        var body = [];
+        for (var i = 0; i < 20; i++) body.push('print(' + i + ')');
+        var text = 'Here:\n\n```python\n' + body.join('\n') + '\n```\n\nDone.';
+        var chunks = splitMessage(text, 60);
+
+        expect(chunks.length).toBeGreaterThan(2);
+        chunks.forEach(function(chunk) {
+            expect(chunk.length).toBeLessThanOrEqual(60);
+            expect(fenceCount(chunk) % 2).toBe(0);
+        });
+        var codeChunks = chunks.filter(function(chunk) { return chunk.includes('print('); });
+        codeChunks.forEach(function(chunk) {
+            expect(chunk).toMatch(/(^|\n)```python\n/);
+            expect(chunk).toMatch(/\n```(\n|$)/);
+        });
+        var printed = codeChunks.join('\n').match(/print\(\d+\)/g);
+        expect(printed).toEqual(body);
+    });
+
+    test('treats an unterminated fence as running to the end', function() {
+        var text = '```\n' + ['a', 'b', 'c', 'd', 'e', 'f'].map(function(c) { return c.repeat(8); }).join('\n');
+        var chunks = splitMessage(text, 24);
+        chunks.forEach(function(chunk) {
+            expect(chunk.startsWith('```\n')).toBe(true);
+            expect(chunk.endsWith('\n```')).toBe(true);
+        });
+    });
+
+    test('tilde fences are not closed by backticks', function() {
+        var text = '~~~\n```\nstill code\n~~~\n\nafter';
+        var chunks = splitMessage(text, 24);
+        expect(chunks[0]).toBe('~~~\n```\nstill code\n~~~');
+        expect(chunks[1]).toBe('after');
+    });
+});
+
+describe('numberChunks', function() {
+    test('leaves a single chunk alone', function() {
+        expect(numberChunks(['only'])).toEqual(['only']);
+    });
+
+    test('prefixes each chunk with its position', function() {
+        expect(numberChunks(['a', 'b', 'c'])).toEqual(['(1/3) a', '(2/3) b', '(3/3) c']);
+    });
+
+    test('puts the label on its own line before a fence', function() {
+        expect(numberChunks(['text', '```js\nx\n```'])).toEqual(['(1/2) text', '(2/2)\n```js\nx\n```']);
+    });
+
+    test('escapes labels for the target format', function() {
+        var escape = function(label) { return label.replace(/[()]/g, '\\$&'); };
+        expect(numberChunks(['a', 'b'], escape)).toEqual(['\\(1/2\\) a', '\\(2/2\\) b']);
+    });
+
+    test('reserve covers escaped labels up to 999 chunks', function() {
+        expect(NUMBERING_RESERVE).toBeGreaterThanOrEqual('\\(999/999\\) '.length);
+    });
+});
@@ -0,0 +1,369 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+const { compileRoutes } = require('./routing');
+const { compileTransports, hasTransport, canCreateThreads, canInject, reportsMessageIds } = require('./transports');
+const { FORMATS } = require('./formatter');
+const { compileRedaction } = require('./redaction');
+
+class ConfigError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConfigError';
+    }
+}
+
+/**
+ * Every recognised setting. `env` and `flag` names are derived from the key:
+ * logDir -> MIRROR_LOG_DIR / --log-dir. Structured settings (`routes`,
+ * `transports`, `redaction`) can only come from the config file. Settings
+ * marked `restart` are only read at startup, so a reload cannot change them.
+ */
+const SCHEMA = {
+    logDir: { type: 'string', default: '/tmp/openclaw', restart: true },
+    logTimezone: { type: 'string', default: null, restart: true },
+    rotationGraceMs: { type: 'integer', default: 30000, min: 0 },
+    agentsDir: { type: 'string', default: path.join(os.homedir(), '.openclaw/agents') },
+    sessionsDir: { type: 'string', default: null },
+    telegramTarget: { type: 'string', default: null },
+    ignoreTag: { type: 'string', default: '[mirrored]' },
+    cacheSize: { type: 'integer', default: 50 },
+    processedRunsMax: { type: 'integer', default: 100 },
+    maxMessageLength: { type: 'integer', default: 3900 },
+    documentThreshold: { type: 'integer', default: 0, min: 0 },
+    mirrorAttachments: { type: 'string', default: 'send', values: ['send', 'placeholder', 'off'] },
+    maxPhotoBytes: { type: 'integer', default: 10485760 },
+    maxDocumentBytes: { type: 'integer', default: 52428800 },
+    attachmentDirs: { type: 'string', default: null },
+    messageFormat: { type: 'string', default: 'markdown', values: FORMATS },
+    mirrorMode: { type: 'string', default: 'reply', values: ['reply', 'turn'] },
+    toolSummary: { type: 'string', default: 'off', values: ['off', 'footer'] },
+    messageHeader: { type: 'string', default: null },
+    messageFooter: { type: 'string', default: null },
+    runTtlMs: { type: 'integer', default: 1800000 },
+    alertTarget: { type: 'string', default: null },
+    alertChannel: { type: 'string', default: 'telegram' },
+    alertTransport: { type: 'string', default: null },
+    transcriptStableMs: { type: 'integer', default: 500, min: 0 },
+    transcriptTimeoutMs: { type: 'integer', default: 15000 },
+    transcriptPollMs: { type: 'integer', default: 100 },
+    stateFile: { type: 'string', default: path.join(os.homedir(), '.openclaw/mirror-state.json'), restart: true },
+    checkpointIntervalMs: { type: 'integer', default: 1000, restart: true },
+    queueFile: { type: 'string', default: path.join(os.homedir(), '.openclaw/mirror-queue.json'), restart: true },
+    deadLetterFile: { type: 'string', default: path.join(os.homedir(), '.openclaw/mirror-dead-letters.jsonl'), restart: true },
+    sendMaxAttempts: { type: 'integer', default: 5, restart: true },
+    retryBaseDelayMs: { type: 'integer', default: 1000, restart: true },
+    retryMaxDelayMs: { type: 'integer', default: 300000, restart: true },
+    rateLimitPerTargetMs: { type: 'integer', default: 1000, min: 0, restart: true },
+    bridge: { type: 'string', default: 'off', values: ['off', 'replies'] },
+    bridgeTransport: { type: 'string', default: null },
+    bridgeAllowFrom: { type: 'string', default: null },
+    statusPort: { type: 'integer', default: null, restart: true },
+    statusHost: { type: 'string', default: '127.0.0.1', restart: true },
+    logFormat: { type: 'string', default: 'text', values: ['text', 'json'], restart: true },
+    controlSocket: { type: 'string', default: null, restart: true },
+    drainTimeoutMs: { type: 'integer', default: 10000, min: 0 },
+    routes: { type: 'routes', default: null },
+    transports: { type: 'transports', default: null },
+    redaction: { type: 'redaction', default: null },
+};
+
+/**
+ * Options of subcommands (e.g. `replay --date 2026-02-01 --dry-run`). They
+ * are not settings: they only come from the command line and are returned
+ * apart from the config. `switch` options take no value.
+ */
+const COMMAND_OPTIONS = {
+    date: 'value',
+    from: 'value',
+    to: 'value',
+    session: 'value',
+    run: 'value',
+    dryRun: 'switch',
+};
+
+function isScalar(key) {
+    return SCHEMA[key].type === 'string' || SCHEMA[key].type === 'integer';
+}
+
+const DEFAULT_CONFIG_FILES = ['mirror.json', 'mirror.yaml', 'mirror.yml'];
+
+function toKebab(key) {
+    return key.replace(/[A-Z]/g, function(c) { return '-' + c.toLowerCase(); });
+}
+
+function toEnvName(key) {
+    return 'MIRROR_' + key.replace(/[A-Z]/g, function(c) { return '_' + c; }).toUpperCase();
+}
+
+function defaultConfig() {
+    const config = {};
+    for (const key of Object.keys(SCHEMA)) {
+        config[key] = SCHEMA[key].default;
+    }
+    return config;
+}
+
+/**
+ * Parse argv (without node and script) into setting overrides and command
+ * options. Accepts both `--flag value` and `--flag=value`.
+ */
+function parseArgs(argv) {
+    const result = { overrides: {}, configPath: null, printConfig: false, positionals: [], options: {} };
+    const flagToKey = {};
+    for (const key of Object.keys(SCHEMA)) {
+        if (isScalar(key)) flagToKey['--' + toKebab(key)] = key;
+    }
+    const flagToOption = {};
+    for (const name of Object.keys(COMMAND_OPTIONS)) {
+        flagToOption['--' + toKebab(name)] = name;
+    }
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            result.positionals.push(arg);
+            continue;
+        }
+
+        const eq = arg.indexOf('=');
+        const flag = eq === -1 ? arg : arg.substring(0, eq);
+        let value = eq === -1 ? undefined : arg.substring(eq + 1);
+
+        if (flag === '--print-config') {
+            result.printConfig = true;
+            continue;
+        }
+        const option = flagToOption[flag];
+        if (option && COMMAND_OPTIONS[option] === 'switch') {
+            if (value !== undefined) throw new ConfigError('Option ' + flag + ' does not take a value');
+            result.options[option] = true;
+            continue;
+        }
+        if (flag !== '--config' && !flagToKey[flag] && !option) {
+            throw new ConfigError('Unknown option ' + flag);
+        }
+        if (value === undefined) {
+            if (i + 1 >= argv.length || argv[i + 1].startsWith('--')) {
+                throw new ConfigError('Option ' + flag + ' requires a value');
+            }
+            value = argv[++i];
+        }
+
+        if (flag === '--config') {
+            result.configPath = value;
+        } else if (option) {
+            result.options[option] = value;
+        } else {
+            result.overrides[flagToKey[flag]] = value;
+        }
+    }
+    return result;
+}
+
+function readConfigFile(filePath) {
+    let raw;
+    try {
+        raw = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+        throw new ConfigError('Cannot read config file ' + filePath + ': ' + err.message);
+    }
+
+    let parsed;
+    try {
+        parsed = /\.ya?ml$/i.test(filePath) ? YAML.parse(raw) : JSON.parse(raw);
+    } catch (err) {
+        throw new ConfigError('Cannot parse config file ' + filePath + ': ' + err.message);
+    }
+
+    if (parsed === null || parsed === undefined) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new ConfigError('Config file ' + filePath + ' must contain an object');
+    }
+    return parsed;
+}
+
+function findDefaultConfigFile(homeDir) {
+    for (const name of DEFAULT_CONFIG_FILES) {
+        const candidate = path.join(homeDir, '.openclaw', name);
+        if (fs.existsSync(candidate)) return candidate;
+    }
+    return null;
+}
+
+/**
+ * Coerce a single value to the type its schema entry declares.
+ * `source` names where the value came from so errors point at it.
+ */
+function coerce(key, value, source) {
+    const spec = SCHEMA[key];
+    if (spec.type === 'integer') {
+        const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        const min = spec.min === undefined ? 1 : spec.min;
+        if (typeof n !== 'number' || !Number.isInteger(n) || n < min) {
+            throw new ConfigError(key + ' (from ' + source + ') must be an integer >= ' + min + ', got ' + JSON.stringify(value));
+        }
+        return n;
+    }
+    if (spec.type === 'routes' || spec.type === 'transports' || spec.type === 'redaction') {
+        try {
+            if (spec.type === 'redaction') return compileRedaction(value);
+            return spec.type === 'routes' ? compileRoutes(value) : compileTransports(value);
+        } catch (err) {
+            throw new ConfigError(err.message + ' (in ' + source + ')');
+        }
+    }
+    if (typeof value !== 'string' || value.length === 0) {
+        throw new ConfigError(key + ' (from ' + source + ') must be a non-empty string, got ' + JSON.stringify(value));
+    }
+    if (spec.values && !spec.values.includes(value)) {
+        throw new ConfigError(key + ' (from ' + source + ') must be one of ' + spec.values.join(', ') + ', got ' + JSON.stringify(value));
+    }
+    return value;
+}
+
+function applyLayer(config, values, source) {
+    for (const key of Object.keys(values)) {
+        if (!SCHEMA[key]) {
+            throw new ConfigError('Unknown setting "' + key + '" in ' + source);
+        }
+        if (values[key] === null) {
+            config[key] = null;
+            continue;
+        }
+        config[key] = coerce(key, values[key], source);
+    }
+}
+
+function validateConfig(config) {
+    if (!config.telegramTarget && !config.routes) {
+        throw new ConfigError('telegramTarget is required unless routes are configured (set it in the config file, MIRROR_TELEGRAM_TARGET or --telegram-target)');
+    }
+    if (config.logTimezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: config.logTimezone });
+        } catch {
+            throw new ConfigError('logTimezone must be an IANA time zone such as "Europe/Berlin", got ' + JSON.stringify(config.logTimezone));
+        }
+    }
+    if (config.statusPort !== null && config.statusPort > 65535) {
+        throw new ConfigError('statusPort must be a TCP port (1-65535), got ' + config.statusPort);
+    }
+    if (config.bridgeTransport && !hasTransport(config, config.bridgeTransport)) {
+        throw new ConfigError('bridgeTransport names unknown transport "' + config.bridgeTransport + '"');
+    }
+    if (config.bridge !== 'off' && !canInject(config, config.bridgeTransport || 'cli')) {
+        throw new ConfigError('bridgeTransport "' + config.bridgeTransport + '" cannot pass messages into sessions (use cli, a gateway http transport or file)');
+    }
+    if (config.alertTransport && !hasTransport(config, config.alertTransport)) {
+        throw new ConfigError('alertTransport names unknown transport "' + config.alertTransport + '"');
+    }
+    for (const route of config.routes || []) {
+        for (const destination of route.destinations) {
+            if (destination.transport && !hasTransport(config, destination.transport)) {
+                throw new ConfigError('Route "' + route.name + '" uses unknown transport "' + destination.transport + '"');
+            }
+            if (destination.threads && !canCreateThreads(config, destination.transport)) {
+                throw new ConfigError('Route "' + route.name + '" has threads for ' + destination.channel + ':' + destination.target +
+                    ', but transport "' + (destination.transport || 'cli') + '" cannot create threads (use an http transport with the telegram flavor)');
+            }
+        }
+    }
+    if (config.bridge !== 'off') {
+        const destinations = [].concat.apply([], (config.routes || []).map(function(route) { return route.destinations; }));
+        if (!destinations.some(function(destination) { return reportsMessageIds(config, destination.transport); })) {
+            throw new ConfigError('bridge "' + config.bridge + '" needs a route destination whose transport reports message ids ' +
+                '(an http transport with the telegram or gateway flavor); replies to messages sent through cli or file transports cannot be matched');
+        }
+    }
+    return config;
+}
+
+/**
+ * Render a resolved config for --print-config. Compiled patterns print as their source.
+ */
+function formatConfig(config) {
+    return JSON.stringify(config, function(key, value) {
+        return value instanceof RegExp ? value.source : value;
+    }, 2);
+}
+
+/**
+ * Resolve the effective configuration from, in increasing priority:
+ * defaults, config file, MIRROR_* environment variables, command-line flags.
+ * Returns { config, configPath, printConfig, positionals, options }.
+ */
+function loadConfig(options) {
+    const opts = options || {};
+    const argv = opts.argv || [];
+    const env = opts.env || {};
+    const homeDir = opts.homeDir || os.homedir();
+
+    const args = parseArgs(argv);
+    const config = defaultConfig();
+
+    let configPath = args.configPath || env.MIRROR_CONFIG || null;
+    if (configPath) {
+        if (!fs.existsSync(configPath)) {
+            throw new ConfigError('Config file not found: ' + configPath);
+        }
+    } else {
+        configPath = findDefaultConfigFile(homeDir);
+    }
+    if (configPath) {
+        applyLayer(config, readConfigFile(configPath), configPath);
+    }
+
+    const envValues = {};
+    for (const key of Object.keys(SCHEMA)) {
+        if (!isScalar(key)) continue;
+        const name = toEnvName(key);
+        if (env[name] !== undefined && env[name] !== '') envValues[key] = env[name];
+    }
+    applyLayer(config, envValues, 'environment');
+    applyLayer(config, args.overrides, 'command line');
+
+    validateConfig(config);
+
+    return {
+        config: config,
+        configPath: configPath,
+        printConfig: args.printConfig,
+        positionals: args.positionals,
+        options: args.options,
+    };
+}
+
+/**
+ * The settings whose values differ between two resolved configurations.
+ */
+function changedSettings(before, after) {
+    return Object.keys(SCHEMA).filter(function(key) {
+        return formatConfig(before[key]) !== formatConfig(after[key]);
+    });
+}
+
+/**
+ * Resolve a configuration from settings given in code, e.g. by a service
+ * embedding the daemon: the defaults with `settings` applied the way a
+ * config file's are, then validated. Throws ConfigError like loadConfig().
+ */
+function resolveConfig(settings) {
+    const config = defaultConfig();
+    applyLayer(config, settings || {}, 'options');
+    return validateConfig(config);
+}
+
+module.exports = {
+    ConfigError: ConfigError,
+    SCHEMA: SCHEMA,
+    defaultConfig: defaultConfig,
+    parseArgs: parseArgs,
+    loadConfig: loadConfig,
+    resolveConfig: resolveConfig,
+    changedSettings: changedSettings,
+    validateConfig: validateConfig,
+    formatConfig: formatConfig,
+    toEnvName: toEnvName,
+};
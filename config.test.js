@@ -0,0 +1,343 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const {
+    ConfigError,
+    defaultConfig,
+    parseArgs,
+    loadConfig,
+    resolveConfig,
+    changedSettings,
+    toEnvName,
+    formatConfig,
+} = require('./config');
+
+var tmpHome;
+
+beforeEach(function() {
+    tmpHome = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-config-'));
+    fs.mkdirSync(path.join(tmpHome, '.openclaw'));
+});
+
+afterEach(function() {
+    fs.rmSync(tmpHome, { recursive: true, force: true });
+});
+
+function writeHomeFile(name, content) {
+    var filePath = path.join(tmpHome, '.openclaw', name);
+    fs.writeFileSync(filePath, content);
+    return filePath;
+}
+
+describe('defaultConfig', function() {
+    test('matches the previous hardcoded values', function() {
+        var config = defaultConfig();
+        expect(config.logDir).toBe('/tmp/openclaw');
+        expect(config.ignoreTag).toBe('[mirrored]');
+        expect(config.cacheSize).toBe(50);
+        expect(config.processedRunsMax).toBe(100);
+        expect(config.maxMessageLength).toBe(3900);
+        expect(config.transcriptStableMs).toBe(500);
+    });
+
+    test('agentsDir is under the current home directory', function() {
+        expect(defaultConfig().agentsDir).toBe(path.join(os.homedir(), '.openclaw/agents'));
+        expect(defaultConfig().sessionsDir).toBeNull();
+    });
+
+    test('returns a fresh object each time', function() {
+        var a = defaultConfig();
+        a.cacheSize = 1;
+        expect(defaultConfig().cacheSize).toBe(50);
+    });
+});
+
+describe('parseArgs', function() {
+    test('accepts --flag value and --flag=value', function() {
+        var args = parseArgs(['--log-dir', '/var/log/oc', '--cache-size=10']);
+        expect(args.overrides).toEqual({ logDir: '/var/log/oc', cacheSize: '10' });
+    });
+
+    test('recognises --config and --print-config', function() {
+        var args = parseArgs(['--config', 'x.json', '--print-config']);
+        expect(args.configPath).toBe('x.json');
+        expect(args.printConfig).toBe(true);
+    });
+
+    test('collects positionals', function() {
+        expect(parseArgs(['run', '--ignore-tag', '[m]']).positionals).toEqual(['run']);
+    });
+
+    test('collects command options apart from settings', function() {
+        var args = parseArgs(['replay', '--date', '2026-02-01', '--run=r1', '--dry-run', '--log-dir', '/l']);
+        expect(args.positionals).toEqual(['replay']);
+        expect(args.options).toEqual({ date: '2026-02-01', run: 'r1', dryRun: true });
+        expect(args.overrides).toEqual({ logDir: '/l' });
+        expect(function() { parseArgs(['--dry-run=yes']); }).toThrow('does not take a value');
+    });
+
+    test('rejects unknown flags', function() {
+        expect(function() { parseArgs(['--nope']); }).toThrow(ConfigError);
+        expect(function() { parseArgs(['--nope']); }).toThrow('Unknown option --nope');
+    });
+
+    test('rejects a flag without a value', function() {
+        expect(function() { parseArgs(['--log-dir']); }).toThrow('requires a value');
+        expect(function() { parseArgs(['--log-dir', '--print-config']); }).toThrow('requires a value');
+    });
+});
+
+describe('toEnvName', function() {
+    test('derives MIRROR_* names', function() {
+        expect(toEnvName('logDir')).toBe('MIRROR_LOG_DIR');
+        expect(toEnvName('processedRunsMax')).toBe('MIRROR_PROCESSED_RUNS_MAX');
+    });
+});
+
+describe('loadConfig', function() {
+    test('requires telegramTarget', function() {
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow('telegramTarget is required');
+    });
+
+    test('reads ~/.openclaw/mirror.json by default', function() {
+        var file = writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: '123', cacheSize: 7 }));
+        var result = loadConfig({ homeDir: tmpHome });
+        expect(result.configPath).toBe(file);
+        expect(result.config.telegramTarget).toBe('123');
+        expect(result.config.cacheSize).toBe(7);
+        expect(result.config.logDir).toBe('/tmp/openclaw');
+    });
+
+    test('reads YAML config files', function() {
+        writeHomeFile('mirror.yaml', 'telegramTarget: "456"\ntranscriptStableMs: 0\n');
+        var config = loadConfig({ homeDir: tmpHome }).config;
+        expect(config.telegramTarget).toBe('456');
+        expect(config.transcriptStableMs).toBe(0);
+    });
+
+    test('layers file < env < flags', function() {
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: 'file', ignoreTag: '[file]', logDir: '/file' }));
+        var config = loadConfig({
+            homeDir: tmpHome,
+            env: { MIRROR_IGNORE_TAG: '[env]', MIRROR_LOG_DIR: '/env' },
+            argv: ['--log-dir', '/flag'],
+        }).config;
+        expect(config.telegramTarget).toBe('file');
+        expect(config.ignoreTag).toBe('[env]');
+        expect(config.logDir).toBe('/flag');
+    });
+
+    test('explicit --config overrides the default location', function() {
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: 'home' }));
+        var other = path.join(tmpHome, 'other.json');
+        fs.writeFileSync(other, JSON.stringify({ telegramTarget: 'other' }));
+        expect(loadConfig({ homeDir: tmpHome, argv: ['--config', other] }).config.telegramTarget).toBe('other');
+        expect(loadConfig({ homeDir: tmpHome, env: { MIRROR_CONFIG: other } }).config.telegramTarget).toBe('other');
+    });
+
+    test('missing explicit config file is an error', function() {
+        expect(function() {
+            loadConfig({ homeDir: tmpHome, argv: ['--config', path.join(tmpHome, 'missing.json')] });
+        }).toThrow('Config file not found');
+    });
+
+    test('unparseable config file is an error', function() {
+        writeHomeFile('mirror.json', '{ not json');
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow('Cannot parse config file');
+    });
+
+    test('unknown keys in the config file are rejected', function() {
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: '1', cachSize: 5 }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow('Unknown setting "cachSize"');
+    });
+
+    test('integers are validated and coerced from strings', function() {
+        var env = { MIRROR_TELEGRAM_TARGET: '1', MIRROR_CACHE_SIZE: '25' };
+        expect(loadConfig({ homeDir: tmpHome, env: env }).config.cacheSize).toBe(25);
+
+        env.MIRROR_CACHE_SIZE = 'lots';
+        expect(function() { loadConfig({ homeDir: tmpHome, env: env }); })
+            .toThrow('cacheSize (from environment) must be an integer >= 1, got "lots"');
+
+        expect(function() {
+            loadConfig({ homeDir: tmpHome, argv: ['--telegram-target', '1', '--max-message-length', '0'] });
+        }).toThrow('maxMessageLength (from command line)');
+    });
+
+    test('strings must be non-empty', function() {
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: '1', ignoreTag: '' }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow('ignoreTag');
+    });
+
+    test('messageFormat must be a known format', function() {
+        var env = { MIRROR_TELEGRAM_TARGET: '1', MIRROR_MESSAGE_FORMAT: 'markdownv2' };
+        expect(loadConfig({ homeDir: tmpHome, env: env }).config.messageFormat).toBe('markdownv2');
+
+        env.MIRROR_MESSAGE_FORMAT = 'bbcode';
+        expect(function() { loadConfig({ homeDir: tmpHome, env: env }); })
+            .toThrow('messageFormat (from environment) must be one of markdown, markdownv2, html, plain, got "bbcode"');
+    });
+
+    test('reports printConfig and positionals', function() {
+        var result = loadConfig({ homeDir: tmpHome, argv: ['--telegram-target', '9', '--print-config'] });
+        expect(result.printConfig).toBe(true);
+        expect(result.positionals).toEqual([]);
+    });
+});
+
+describe('loadConfig routes', function() {
+    test('routes make telegramTarget optional', function() {
+        writeHomeFile('mirror.json', JSON.stringify({
+            routes: [{ match: { channel: 'webchat' }, destinations: [{ channel: 'telegram', target: '1' }] }],
+        }));
+        var config = loadConfig({ homeDir: tmpHome }).config;
+        expect(config.telegramTarget).toBeNull();
+        expect(config.routes[0].channels).toEqual(['webchat']);
+    });
+
+    test('route errors name the route and the file', function() {
+        var file = writeHomeFile('mirror.json', JSON.stringify({ routes: [{ destinations: 'x' }] }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); })
+            .toThrow('routes[0].destinations must be a non-empty array (in ' + file + ')');
+    });
+
+    test('routes cannot be set from flags', function() {
+        expect(function() { parseArgs(['--routes', '[]']); }).toThrow('Unknown option --routes');
+    });
+
+    test('formatConfig prints patterns as source', function() {
+        writeHomeFile('mirror.json', JSON.stringify({
+            routes: [{ match: { session: '^team-' }, destinations: [{ channel: 'telegram', target: '1' }] }],
+        }));
+        var printed = JSON.parse(formatConfig(loadConfig({ homeDir: tmpHome }).config));
+        expect(printed.routes[0].session).toBe('^team-');
+    });
+});
+
+describe('loadConfig transports', function() {
+    test('destinations may name configured transports', function() {
+        writeHomeFile('mirror.json', JSON.stringify({
+            transports: { outbox: { type: 'file', path: '/tmp/outbox.jsonl' } },
+            routes: [{ destinations: [{ channel: 'telegram', target: '1', transport: 'outbox' }] }],
+        }));
+        var config = loadConfig({ homeDir: tmpHome }).config;
+        expect(config.transports.outbox.type).toBe('file');
+    });
+
+    test('unknown transport names are rejected', function() {
+        writeHomeFile('mirror.json', JSON.stringify({
+            routes: [{ name: 'r', destinations: [{ channel: 'telegram', target: '1', transport: 'bot' }] }],
+        }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow('Route "r" uses unknown transport "bot"');
+    });
+
+    test('threads need a transport that can create them', function() {
+        writeHomeFile('mirror.json', JSON.stringify({
+            transports: { bot: { type: 'http', flavor: 'telegram', token: '1:a' } },
+            routes: [{ destinations: [{ channel: 'telegram', target: '-100', transport: 'bot', threads: 'topic' }] }],
+        }));
+        expect(loadConfig({ homeDir: tmpHome }).config.routes[0].destinations[0].threads).toBe('topic');
+
+        writeHomeFile('mirror.json', JSON.stringify({
+            routes: [{ name: 'r', destinations: [{ channel: 'telegram', target: '-100', threads: 'topic' }] }],
+        }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); })
+            .toThrow('Route "r" has threads for telegram:-100, but transport "cli" cannot create threads');
+    });
+
+    test('the bridge needs a transport that can inject into sessions', function() {
+        var bot = { type: 'http', flavor: 'telegram', token: '1:a' };
+        var routes = [{ destinations: [{ channel: 'telegram', target: '1', transport: 'bot' }] }];
+        writeHomeFile('mirror.json', JSON.stringify({ bridge: 'replies', routes: routes, transports: { bot: bot } }));
+        expect(loadConfig({ homeDir: tmpHome }).config.bridge).toBe('replies');
+
+        writeHomeFile('mirror.json', JSON.stringify({ bridge: 'replies', bridgeTransport: 'bot', routes: routes, transports: { bot: bot } }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow('bridgeTransport "bot" cannot pass messages into sessions');
+    });
+
+    test('the bridge needs a destination that reports message ids', function() {
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: '1', bridge: 'replies' }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow('bridge "replies" needs a route destination whose transport reports message ids');
+
+        writeHomeFile('mirror.json', JSON.stringify({
+            bridge: 'replies',
+            routes: [{ destinations: [{ channel: 'telegram', target: '1' }, { channel: 'file', target: 'log', transport: 'archive' }] }],
+            transports: { archive: { type: 'file', path: '/tmp/mirror-archive.jsonl' } },
+        }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow('bridge "replies" needs a route destination');
+
+        writeHomeFile('mirror.json', JSON.stringify({
+            bridge: 'replies',
+            routes: [{ destinations: [{ channel: 'telegram', target: '1' }, { channel: 'webchat', target: 'ops', transport: 'gw' }] }],
+            transports: { gw: { type: 'http' } },
+        }));
+        expect(loadConfig({ homeDir: tmpHome }).config.bridge).toBe('replies');
+    });
+
+    test('alertTransport must name a known transport', function() {
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: '1', alertTarget: 'ops', alertTransport: 'pager' }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow('alertTransport names unknown transport "pager"');
+    });
+
+    test('status server and log format settings', function() {
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: '1' }));
+        var config = loadConfig({ homeDir: tmpHome, env: { MIRROR_STATUS_PORT: '9464' }, argv: ['--log-format', 'json'] }).config;
+        expect(config.statusPort).toBe(9464);
+        expect(config.statusHost).toBe('127.0.0.1');
+        expect(config.logFormat).toBe('json');
+        expect(function() { loadConfig({ homeDir: tmpHome, argv: ['--status-port', '70000'] }); }).toThrow('statusPort must be a TCP port');
+        expect(function() { loadConfig({ homeDir: tmpHome, argv: ['--log-format', 'xml'] }); }).toThrow('logFormat (from command line) must be one of text, json');
+    });
+
+    test('logTimezone must be a known time zone', function() {
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: '1', logTimezone: 'Europe/Berlin' }));
+        expect(loadConfig({ homeDir: tmpHome }).config.logTimezone).toBe('Europe/Berlin');
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: '1', logTimezone: 'Mars/Olympus' }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow('logTimezone must be an IANA time zone');
+    });
+
+    test('redaction is compiled from the config file', function() {
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: '1', redaction: { builtins: ['email'], deny: ['secret'] } }));
+        var redaction = loadConfig({ homeDir: tmpHome }).config.redaction;
+        expect(redaction.detectors.map(function(d) { return d.name; })).toEqual(['email']);
+        expect(redaction.deny[0].rule).toBe('secret');
+
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: '1', redaction: { builtins: ['nope'] } }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow(/redaction.builtins has unknown detector "nope".*\(in /);
+    });
+
+    test('invalid transport settings are rejected', function() {
+        writeHomeFile('mirror.json', JSON.stringify({ telegramTarget: '1', transports: { bot: { type: 'http', flavor: 'telegram' } } }));
+        expect(function() { loadConfig({ homeDir: tmpHome }); }).toThrow('transports.bot.token is required');
+    });
+});
+
+describe('resolveConfig', function() {
+    test('applies settings over the defaults and compiles routes', function() {
+        var config = resolveConfig({
+            logDir: '/var/log/openclaw',
+            cacheSize: '20',
+            routes: [{ match: { channel: 'webchat' }, destinations: [{ channel: 'telegram', target: '-100' }] }],
+        });
+        expect(config.logDir).toBe('/var/log/openclaw');
+        expect(config.cacheSize).toBe(20);
+        expect(config.routes[0].destinations[0].target).toBe('-100');
+        expect(config.ignoreTag).toBe('[mirrored]');
+    });
+
+    test('validates like loadConfig', function() {
+        expect(function() { resolveConfig({}); }).toThrow(ConfigError);
+        expect(function() { resolveConfig({ telegramTarget: '1', colour: 'red' }); }).toThrow('Unknown setting "colour" in options');
+    });
+});
+
+describe('changedSettings', function() {
+    test('lists the settings that differ, comparing routes by content', function() {
+        var routes = [{ match: { channel: 'webchat' }, destinations: [{ channel: 'telegram', target: '1' }] }];
+        var before = resolveConfig({ routes: routes, cacheSize: 10 });
+        var after = resolveConfig({ routes: routes, cacheSize: 20, logDir: '/elsewhere' });
+        expect(changedSettings(before, after)).toEqual(['logDir', 'cacheSize']);
+        expect(changedSettings(before, resolveConfig({ routes: routes, cacheSize: 10 }))).toEqual([]);
+    });
+});
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const net = require('net');
+
+/**
+ * Control socket: a Unix socket on which a running daemon takes commands,
+ * sent by `node mirror_daemon.js ctl <command> [argument]`. Each connection
+ * carries one request line, {"command": ..., "args": [...]}, and gets one
+ * answer line, {"ok": true, "result": ...} or {"ok": false, "error": ...}.
+ */
+
+const COMMANDS = ['status', 'pause', 'resume', 'flush', 'mute', 'unmute', 'send-test'];
+
+// Longest request line accepted; commands are a word and an ID or two.
+const MAX_REQUEST_BYTES = 64 * 1024;
+
+/**
+ * Whether something answers on a Unix socket.
+ */
+function isListening(socketPath) {
+    return new Promise(function(resolve) {
+        const socket = net.connect(socketPath);
+        socket.once('connect', function() {
+            socket.destroy();
+            resolve(true);
+        });
+        socket.once('error', function() {
+            resolve(false);
+        });
+    });
+}
+
+/**
+ * Create the control server.
+ *
+ * Options:
+ *   socketPath                        where to listen
+ *   handle(command, args) -> result   runs a command; may return a Promise;
+ *                                     a thrown error is sent back as the answer
+ *
+ * Returns { start() -> Promise, stop() -> Promise }. start() removes a socket
+ * file left behind by a daemon that is gone, but fails if one still answers.
+ * The socket is accessible to its owner only, from the moment it is created.
+ */
+function createControlServer(options) {
+    const opts = options || {};
+    let server = null;
+
+    function answer(socket, response) {
+        socket.end(JSON.stringify(response) + '\n');
+    }
+
+    function onConnection(socket) {
+        let buffer = '';
+        socket.setEncoding('utf8');
+        socket.on('error', function() {
+            // The client went away; nothing to answer.
+        });
+        socket.on('data', function(chunk) {
+            if (buffer === null) return;
+            buffer += chunk;
+            const newline = buffer.indexOf('\n');
+            if (newline === -1) {
+                if (buffer.length > MAX_REQUEST_BYTES) {
+                    buffer = null;
+                    answer(socket, { ok: false, error: 'Request too long' });
+                }
+                return;
+            }
+            const line = buffer.substring(0, newline);
+            buffer = null;
+
+            let request;
+            try {
+                request = JSON.parse(line);
+            } catch {
+                answer(socket, { ok: false, error: 'Request is not JSON' });
+                return;
+            }
+            const args = Array.isArray(request.args) ? request.args.map(String) : [];
+            Promise.resolve().then(function() {
+                return opts.handle(String(request.command), args);
+            }).then(function(result) {
+                answer(socket, { ok: true, result: result === undefined ? null : result });
+            }, function(err) {
+                answer(socket, { ok: false, error: err.message });
+            });
+        });
+    }
+
+    function listen() {
+        return new Promise(function(resolve, reject) {
+            const candidate = net.createServer(onConnection);
+            candidate.once('error', reject);
+            // The socket file is created, with the umask's mode, inside listen(); make
+            // it owner-only from the start rather than only once chmod has run.
+            let umask = null;
+            try {
+                umask = process.umask(0o177);
+            } catch {
+                // Worker threads cannot change the umask; start() still chmods.
+            }
+            try {
+                candidate.listen(opts.socketPath, function() {
+                    candidate.removeListener('error', reject);
+                    resolve(candidate);
+                });
+            } finally {
+                if (umask !== null) process.umask(umask);
+            }
+        });
+    }
+
+    function start() {
+        if (server) return Promise.resolve();
+        return listen().catch(function(err) {
+            if (err.code !== 'EADDRINUSE') throw err;
+            return isListening(opts.socketPath).then(function(live) {
+                if (live) throw new Error('Another daemon is listening on ' + opts.socketPath);
+                fs.unlinkSync(opts.socketPath);
+                return listen();
+            });
+        }).then(function(listening) {
+            server = listening;
+            fs.chmodSync(opts.socketPath, 0o600);
+        });
+    }
+
+    function stop() {
+        if (!server) return Promise.resolve();
+        const closing = server;
+        server = null;
+        return new Promise(function(resolve) {
+            closing.close(function() { resolve(); });
+        });
+    }
+
+    return {
+        start: start,
+        stop: stop,
+    };
+}
+
+/**
+ * Send one command to a daemon's control socket. Resolves with its result,
+ * or rejects with the daemon's error, or if no daemon answers within
+ * timeoutMs (default 30000).
+ */
+function sendControlCommand(socketPath, command, args, timeoutMs) {
+    return new Promise(function(resolve, reject) {
+        const socket = net.connect(socketPath);
+        let response = '';
+        socket.setEncoding('utf8');
+        socket.setTimeout(timeoutMs || 30000, function() {
+            socket.destroy();
+            reject(new Error('No answer from ' + socketPath + ' within ' + (timeoutMs || 30000) + 'ms'));
+        });
+        socket.on('connect', function() {
+            socket.write(JSON.stringify({ command: command, args: args || [] }) + '\n');
+        });
+        socket.on('data', function(chunk) {
+            response += chunk;
+        });
+        socket.on('end', function() {
+            let parsed;
+            try {
+                parsed = JSON.parse(response);
+            } catch {
+                reject(new Error('Unreadable answer from ' + socketPath));
+                return;
+            }
+            if (parsed.ok) resolve(parsed.result);
+            else reject(new Error(parsed.error));
+        });
+        socket.on('error', function(err) {
+            if (err.code === 'ENOENT' || err.code === 'ECONNREFUSED') {
+                reject(new Error('No daemon is listening on ' + socketPath));
+            } else {
+                reject(err);
+            }
+        });
+    });
+}
+
+module.exports = {
+    COMMANDS: COMMANDS,
+    isListening: isListening,
+    createControlServer: createControlServer,
+    sendControlCommand: sendControlCommand,
+};
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const { createControlServer, sendControlCommand } = require('./control');
+
+var dir;
+var socketPath;
+var server;
+
+beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-ctl-'));
+    socketPath = path.join(dir, 'mirror.sock');
+    server = createControlServer({
+        socketPath: socketPath,
+        handle: function(command, args) {
+            if (command === 'mute') return Promise.resolve({ muted: args });
+            if (command === 'status') return { paused: false };
+            throw new Error('Unknown command "' + command + '"');
+        },
+    });
+});
+
+afterEach(function() {
+    return server.stop().then(function() {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+});
+
+describe('control socket', function() {
+    test('runs commands and answers with their result', async function() {
+        await server.start();
+        expect(fs.statSync(socketPath).mode & 0o777).toBe(0o600);
+        expect(await sendControlCommand(socketPath, 'status')).toEqual({ paused: false });
+        expect(await sendControlCommand(socketPath, 'mute', ['sess-1'])).toEqual({ muted: ['sess-1'] });
+    });
+
+    test('the socket is owner-only as soon as it exists', async function() {
+        var umask = process.umask(0);
+        var chmod = jest.spyOn(fs, 'chmodSync').mockImplementation(function() {});
+        try {
+            await server.start();
+            expect(fs.statSync(socketPath).mode & 0o777).toBe(0o600);
+            expect(process.umask()).toBe(0);
+        } finally {
+            chmod.mockRestore();
+            process.umask(umask);
+        }
+    });
+
+    test('passes errors back to the client', async function() {
+        await server.start();
+        await expect(sendControlCommand(socketPath, 'reboot')).rejects.toThrow('Unknown command "reboot"');
+    });
+
+    test('the client says when no daemon is listening', async function() {
+        await expect(sendControlCommand(socketPath, 'status')).rejects.toThrow('No daemon is listening on ' + socketPath);
+    });
+
+    test('replaces a stale socket file, but not a live one', async function() {
+        var stale = net.createServer();
+        await new Promise(function(resolve) { stale.listen(socketPath, resolve); });
+        var other = createControlServer({ socketPath: socketPath, handle: function() {} });
+        await expect(other.start()).rejects.toThrow('Another daemon is listening on ' + socketPath);
+        await new Promise(function(resolve) { stale.close(resolve); });
+
+        fs.writeFileSync(socketPath, '');
+        await server.start();
+        expect(await sendControlCommand(socketPath, 'status')).toEqual({ paused: false });
+    });
+});
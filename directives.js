@@ -0,0 +1,126 @@
+const { FENCE_RE } = require('./chunker');
+
+/**
+ * Mirror directives: a user can opt a session in or out of mirroring from
+ * the chat itself, by starting a line of their message with one of
+ *
+ *   /mirror off         stop mirroring the session, from this turn on
+ *   /mirror on          mirror it again, through the routes that match it
+ *   /mirror once        mirror this turn, even though the session is off
+ *   /mirror to <alias>  mirror the session only through the route named <alias>
+ *
+ * Directives are taken out of the message before it is mirrored. Anything
+ * after one on the same line is kept. Lines inside fenced code blocks are
+ * never directives. A session's setting lasts until another directive
+ * changes it, and applies from the run whose message holds it, whether that
+ * run is mirrored, fails or is aborted.
+ */
+
+const DIRECTIVE = /^\s*\/mirror\s+(on|off|once|to\s+(\S+))(?:\s+|$)/i;
+
+/**
+ * Find the directives in a user message. Returns { directives, text }:
+ * directives in order, as { action: 'on' | 'off' | 'once' } or
+ * { action: 'to', alias }, and the message without them (null if nothing
+ * else was in it). Text without directives is returned as it is.
+ */
+function parseDirectives(text) {
+    const directives = [];
+    if (!text) return { directives: directives, text: text };
+
+    const lines = [];
+    let fence = null; // marker of the open code block
+    for (const line of text.split('\n')) {
+        const marker = line.match(FENCE_RE);
+        if (fence) {
+            if (marker && marker[1][0] === fence[0] && marker[1].length >= fence.length && line.trim() === marker[1]) fence = null;
+            lines.push(line);
+            continue;
+        }
+        if (marker) {
+            fence = marker[1];
+            lines.push(line);
+            continue;
+        }
+        const match = line.match(DIRECTIVE);
+        if (!match) {
+            lines.push(line);
+            continue;
+        }
+        const action = match[1].split(/\s/)[0].toLowerCase();
+        directives.push(action === 'to' ? { action: 'to', alias: match[2] } : { action: action });
+        const rest = line.substring(match[0].length);
+        if (rest.trim()) lines.push(rest);
+    }
+    if (directives.length === 0) return { directives: directives, text: text };
+    return { directives: directives, text: lines.join('\n').trim() || null };
+}
+
+/**
+ * Create the per-session settings: sessionId -> { mode: 'off' } or
+ * { mode: 'to', alias }. Sessions mirrored as usual are not stored. Nothing
+ * is ever evicted, so a session that was turned off stays off.
+ */
+function createSessionModes() {
+    const modes = new Map();
+
+    /**
+     * Apply a turn's directives to its session, in order, and say how that
+     * turn is mirrored: { mirror, alias }, with alias null for the routes
+     * that match the run.
+     */
+    function apply(sessionId, directives) {
+        let mode = modes.get(sessionId) || null;
+        let once = false;
+        for (const directive of directives || []) {
+            if (directive.action === 'once') once = true;
+            else if (directive.action === 'on') mode = null;
+            else if (directive.action === 'off') mode = { mode: 'off' };
+            else if (directive.action === 'to') mode = { mode: 'to', alias: directive.alias };
+        }
+        if (mode) modes.set(sessionId, mode);
+        else modes.delete(sessionId);
+        return {
+            mirror: !mode || mode.mode !== 'off' || once,
+            alias: mode && mode.mode === 'to' ? mode.alias : null,
+        };
+    }
+
+    function get(sessionId) {
+        return modes.get(sessionId) || null;
+    }
+
+    function snapshot() {
+        return Object.fromEntries(modes);
+    }
+
+    function restore(saved) {
+        for (const sessionId of Object.keys(saved || {})) modes.set(sessionId, saved[sessionId]);
+    }
+
+    function clear() {
+        modes.clear();
+    }
+
+    return {
+        apply: apply,
+        get: get,
+        snapshot: snapshot,
+        restore: restore,
+        clear: clear,
+    };
+}
+
+/**
+ * A session's setting in words, for the log: "on", "off" or "to <alias>".
+ */
+function describeMode(mode) {
+    if (!mode) return 'on';
+    return mode.mode === 'to' ? 'to ' + mode.alias : mode.mode;
+}
+
+module.exports = {
+    parseDirectives: parseDirectives,
+    createSessionModes: createSessionModes,
+    describeMode: describeMode,
+};
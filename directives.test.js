@@ -0,0 +1,65 @@
+const { parseDirectives, createSessionModes, describeMode } = require('./directives');
+
+describe('parseDirectives', function() {
+    test('finds each directive and takes it out of the text', function() {
+        expect(parseDirectives('/mirror off\nScratch notes for later')).toEqual({
+            directives: [{ action: 'off' }],
+            text: 'Scratch notes for later',
+        });
+        expect(parseDirectives('  /Mirror TO team  Ship it\n/mirror once')).toEqual({
+            directives: [{ action: 'to', alias: 'team' }, { action: 'once' }],
+            text: 'Ship it',
+        });
+    });
+
+    test('a message with only directives has no text left', function() {
+        expect(parseDirectives('/mirror on')).toEqual({ directives: [{ action: 'on' }], text: null });
+    });
+
+    test('leaves other text alone', function() {
+        var text = 'Why does /mirror off not work?\n/mirroring is on\n/mirror offline\n/mirror to';
+        expect(parseDirectives(text)).toEqual({ directives: [], text: text });
+        expect(parseDirectives(null)).toEqual({ directives: [], text: null });
+    });
+
+    test('skips fenced code blocks', function() {
+        var text = 'Why does this fail?\n```sh\n/mirror off\n```\n~~~\n/mirror on\n~~~';
+        expect(parseDirectives(text)).toEqual({ directives: [], text: text });
+        expect(parseDirectives('````\n```\n/mirror off\n````\n/mirror once')).toEqual({
+            directives: [{ action: 'once' }],
+            text: '````\n```\n/mirror off\n````',
+        });
+    });
+});
+
+describe('session modes', function() {
+    test('off lasts until on, and once lets one turn through', function() {
+        var modes = createSessionModes();
+        expect(modes.apply('s1', [])).toEqual({ mirror: true, alias: null });
+        expect(modes.apply('s1', [{ action: 'off' }])).toEqual({ mirror: false, alias: null });
+        expect(modes.apply('s1', [])).toEqual({ mirror: false, alias: null });
+        expect(modes.apply('s1', [{ action: 'once' }])).toEqual({ mirror: true, alias: null });
+        expect(modes.apply('s1', [])).toEqual({ mirror: false, alias: null });
+        expect(modes.apply('s1', [{ action: 'on' }])).toEqual({ mirror: true, alias: null });
+        expect(modes.get('s1')).toBeNull();
+    });
+
+    test('to picks a route until another directive changes it', function() {
+        var modes = createSessionModes();
+        expect(modes.apply('s1', [{ action: 'to', alias: 'team' }])).toEqual({ mirror: true, alias: 'team' });
+        expect(modes.apply('s2', [])).toEqual({ mirror: true, alias: null });
+        expect(modes.apply('s1', [])).toEqual({ mirror: true, alias: 'team' });
+        expect(describeMode(modes.get('s1'))).toBe('to team');
+        expect(modes.apply('s1', [{ action: 'off' }, { action: 'on' }])).toEqual({ mirror: true, alias: null });
+    });
+
+    test('snapshot and restore', function() {
+        var modes = createSessionModes();
+        modes.apply('s1', [{ action: 'off' }]);
+        var restored = createSessionModes();
+        restored.restore(JSON.parse(JSON.stringify(modes.snapshot())));
+        expect(restored.get('s1')).toEqual({ mode: 'off' });
+        expect(describeMode(restored.get('s1'))).toBe('off');
+        expect(describeMode(restored.get('s2'))).toBe('on');
+    });
+});
@@ -0,0 +1,394 @@
+/**
+ * Convert the Markdown that assistants write into what a destination renders.
+ *
+ * Formats:
+ *   markdown    the transcript text as is (default)
+ *   markdownv2  Telegram MarkdownV2, with every reserved character escaped
+ *   html        Telegram HTML (<b>, <i>, <s>, <code>, <pre>, <a>, <blockquote>)
+ *   plain       markup stripped
+ *
+ * Telegram has no tables or nested lists, so tables become an aligned
+ * monospace block and nested list items are indented with a bullet per level.
+ */
+
+const FORMATS = ['markdown', 'markdownv2', 'html', 'plain'];
+
+// Telegram parse_mode for formats that need one.
+const PARSE_MODES = { markdownv2: 'MarkdownV2', html: 'HTML' };
+
+const FENCE_RE = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING_RE = /^ {0,3}#{1,6}\s+(.*?)(\s+#+)?\s*$/;
+const RULE_RE = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const LIST_RE = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const QUOTE_RE = /^ {0,3}>\s?(.*)$/;
+const TABLE_SEPARATOR_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+
+const BULLETS = ['•', '◦', '▪'];
+const RULE = '——————';
+
+// --- Escaping ---
+
+function escapeMarkdownV2(text) {
+    return text.replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+function escapeHtml(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Escape literal text (a tag, a label) so it shows up unchanged in `format`.
+ */
+function escapeText(text, format) {
+    if (format === 'markdownv2') return escapeMarkdownV2(text);
+    if (format === 'html') return escapeHtml(text);
+    return text;
+}
+
+// --- Inline parsing ---
+
+function isSpace(ch) {
+    return ch === undefined || /\s/.test(ch);
+}
+
+function isWordChar(ch) {
+    return ch !== undefined && /[\p{L}\p{N}]/u.test(ch);
+}
+
+/**
+ * Find the closing delimiter for an emphasis run opened at `start`, or -1.
+ * The content must not start or end with whitespace; `_` only works at word
+ * boundaries so snake_case names are left alone.
+ */
+function findCloser(src, start, delim) {
+    const open = start + delim.length;
+    if (isSpace(src[open])) return -1;
+    if (delim[0] === '_' && isWordChar(src[start - 1])) return -1;
+    let j = open;
+    while ((j = src.indexOf(delim, j + 1)) !== -1) {
+        if (src[j - 1] === '\\' || isSpace(src[j - 1])) continue;
+        // A single * or _ must not be half of a double one.
+        if (delim.length === 1 && (src[j + 1] === delim || src[j - 1] === delim)) {
+            j++;
+            continue;
+        }
+        if (delim[0] === '_' && isWordChar(src[j + delim.length])) continue;
+        return j;
+    }
+    return -1;
+}
+
+/**
+ * Parse `[label](url)` starting at the `[` at `start`. Returns
+ * { label, url, end } or null.
+ */
+function parseLink(src, start) {
+    let depth = 0;
+    let i = start;
+    for (; i < src.length; i++) {
+        if (src[i] === '\\') {
+            i++;
+            continue;
+        }
+        if (src[i] === '[') depth++;
+        if (src[i] === ']' && --depth === 0) break;
+    }
+    if (i >= src.length || src[i + 1] !== '(') return null;
+    // The URL may itself contain balanced parentheses.
+    let close = i + 2;
+    for (depth = 1; close < src.length; close++) {
+        if (src[close] === '(') depth++;
+        if (src[close] === ')' && --depth === 0) break;
+    }
+    if (close >= src.length) return null;
+    const url = src.substring(i + 2, close).trim().split(/\s+/)[0];
+    if (!url) return null;
+    return { label: src.substring(start + 1, i), url: url, end: close + 1 };
+}
+
+const EMPHASIS = [
+    { delim: '**', type: 'bold' },
+    { delim: '__', type: 'bold' },
+    { delim: '~~', type: 'strike' },
+    { delim: '*', type: 'italic' },
+    { delim: '_', type: 'italic' },
+];
+
+/**
+ * Parse inline Markdown into nodes: text, code, bold, italic, strike, link.
+ */
+function parseInline(src) {
+    const nodes = [];
+    let text = '';
+    let i = 0;
+
+    function pushText() {
+        if (text) nodes.push({ type: 'text', value: text });
+        text = '';
+    }
+
+    outer:
+    while (i < src.length) {
+        const ch = src[i];
+
+        if (ch === '\\' && /[!-/:-@[-`{-~]/.test(src[i + 1] || '')) {
+            text += src[i + 1];
+            i += 2;
+            continue;
+        }
+
+        if (ch === '`') {
+            let n = 1;
+            while (src[i + n] === '`') n++;
+            const ticks = src.substr(i, n);
+            let close = src.indexOf(ticks, i + n);
+            while (close !== -1 && src[close + n] === '`') close = src.indexOf(ticks, close + n + 1);
+            if (close === -1) {
+                text += ticks;
+                i += n;
+                continue;
+            }
+            let value = src.substring(i + n, close).replace(/\n/g, ' ');
+            if (/^ .*[^ ].* $/.test(value)) value = value.slice(1, -1);
+            pushText();
+            nodes.push({ type: 'code', value: value });
+            i = close + n;
+            continue;
+        }
+
+        if (ch === '[' || (ch === '!' && src[i + 1] === '[')) {
+            const link = parseLink(src, ch === '!' ? i + 1 : i);
+            if (link) {
+                pushText();
+                nodes.push({ type: 'link', url: link.url, children: parseInline(link.label || link.url) });
+                i = link.end;
+                continue;
+            }
+        }
+
+        for (const em of EMPHASIS) {
+            if (!src.startsWith(em.delim, i)) continue;
+            const close = findCloser(src, i, em.delim);
+            if (close === -1) continue;
+            pushText();
+            nodes.push({ type: em.type, children: parseInline(src.substring(i + em.delim.length, close)) });
+            i = close + em.delim.length;
+            continue outer;
+        }
+
+        text += ch;
+        i++;
+    }
+    pushText();
+    return nodes;
+}
+
+// --- Inline rendering ---
+
+function plainText(nodes) {
+    return nodes.map(function(node) {
+        if (node.type === 'text' || node.type === 'code') return node.value;
+        const label = plainText(node.children);
+        if (node.type === 'link') return label === node.url ? label : label + ' (' + node.url + ')';
+        return label;
+    }).join('');
+}
+
+const WRAPPERS = {
+    markdownv2: { bold: ['*', '*'], italic: ['_', '_'], strike: ['~', '~'] },
+    html: { bold: ['<b>', '</b>'], italic: ['<i>', '</i>'], strike: ['<s>', '</s>'] },
+};
+
+/**
+ * Render inline nodes. Styles already applied by an enclosing node are not
+ * applied again, since MarkdownV2 cannot nest the same entity.
+ */
+function renderInline(nodes, format, active) {
+    if (format === 'plain') return plainText(nodes);
+    const styles = active || {};
+    return nodes.map(function(node) {
+        switch (node.type) {
+        case 'text':
+            return escapeText(node.value, format);
+        case 'code':
+            return format === 'html'
+                ? '<code>' + escapeHtml(node.value) + '</code>'
+                : '`' + node.value.replace(/[`\\]/g, '\\$&') + '`';
+        case 'link': {
+            const label = renderInline(node.children, format, styles);
+            return format === 'html'
+                ? '<a href="' + escapeHtml(node.url).replace(/"/g, '&quot;') + '">' + label + '</a>'
+                : '[' + label + '](' + node.url.replace(/[)\\]/g, '\\$&') + ')';
+        }
+        default: {
+            const inner = renderInline(node.children, format, Object.assign({}, styles, { [node.type]: true }));
+            if (styles[node.type]) return inner;
+            const wrap = WRAPPERS[format][node.type];
+            return wrap[0] + inner + wrap[1];
+        }
+        }
+    }).join('');
+}
+
+// --- Blocks ---
+
+function splitRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.substring(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.substring(0, row.length - 1);
+    return row.split(/(?<!\\)\|/).map(function(cell) {
+        return plainText(parseInline(cell.trim()));
+    });
+}
+
+/**
+ * Lay a table out as aligned columns for a monospace block.
+ */
+function layoutTable(rows) {
+    const widths = [];
+    rows.forEach(function(row) {
+        row.forEach(function(cell, c) {
+            widths[c] = Math.max(widths[c] || 0, cell.length);
+        });
+    });
+    function line(row) {
+        return widths.map(function(w, c) { return (row[c] || '').padEnd(w); }).join(' | ').replace(/\s+$/, '');
+    }
+    const separator = widths.map(function(w) { return '-'.repeat(w); }).join('-+-');
+    return [line(rows[0]), separator].concat(rows.slice(1).map(line)).join('\n');
+}
+
+function renderPre(code, language, format) {
+    if (format === 'html') {
+        const cls = language ? ' class="language-' + escapeHtml(language).replace(/"/g, '&quot;') + '"' : '';
+        return '<pre><code' + cls + '>' + escapeHtml(code) + '</code></pre>';
+    }
+    if (format === 'markdownv2') {
+        return '```' + language + '\n' + code.replace(/[`\\]/g, '\\$&') + '\n```';
+    }
+    return code;
+}
+
+/**
+ * Convert a Markdown document to `format`.
+ */
+function formatMarkdown(markdown, format) {
+    if (!format || format === 'markdown') return markdown;
+
+    const lines = markdown.replace(/\r\n/g, '\n').split('\n');
+    const out = [];
+    let paragraph = [];
+    let list = null; // { indents: [], lines: [] }
+
+    function flushParagraph() {
+        if (paragraph.length) out.push(renderInline(parseInline(paragraph.join('\n')), format));
+        paragraph = [];
+    }
+
+    function flushList() {
+        if (list) out.push(list.lines.join('\n'));
+        list = null;
+    }
+
+    function flush() {
+        flushParagraph();
+        flushList();
+    }
+
+    function listLine(depth, marker, content) {
+        const bullet = /\d/.test(marker) ? marker.replace(')', '.') : BULLETS[Math.min(depth, BULLETS.length - 1)];
+        return '  '.repeat(depth) + escapeText(bullet, format) + ' ' + renderInline(parseInline(content), format);
+    }
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        const fence = line.match(FENCE_RE);
+        if (fence) {
+            flush();
+            const marker = fence[1];
+            const body = [];
+            let j = i + 1;
+            for (; j < lines.length; j++) {
+                const trimmed = lines[j].trim();
+                if (trimmed.startsWith(marker) && trimmed.replace(new RegExp('^\\' + marker[0] + '+'), '') === '') break;
+                body.push(lines[j]);
+            }
+            out.push(renderPre(body.join('\n'), fence[2], format));
+            i = j;
+            continue;
+        }
+
+        if (line.includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') && TABLE_SEPARATOR_RE.test(lines[i + 1])) {
+            flush();
+            const rows = [splitRow(line)];
+            let j = i + 2;
+            for (; j < lines.length && lines[j].includes('|') && lines[j].trim(); j++) rows.push(splitRow(lines[j]));
+            out.push(renderPre(layoutTable(rows), '', format));
+            i = j - 1;
+            continue;
+        }
+
+        if (!line.trim()) {
+            flush();
+            continue;
+        }
+
+        const item = line.match(LIST_RE);
+        if (item && !RULE_RE.test(line)) {
+            flushParagraph();
+            if (!list) list = { indents: [], lines: [] };
+            const indent = item[1].replace(/\t/g, '    ').length;
+            while (list.indents.length && indent < list.indents[list.indents.length - 1]) list.indents.pop();
+            if (!list.indents.length || indent > list.indents[list.indents.length - 1]) list.indents.push(indent);
+            list.lines.push(listLine(list.indents.length - 1, item[2], item[3]));
+            continue;
+        }
+        if (list && /^\s/.test(line)) {
+            // Continuation of the previous list item.
+            list.lines[list.lines.length - 1] += ' ' + renderInline(parseInline(line.trim()), format);
+            continue;
+        }
+
+        const heading = line.match(HEADING_RE);
+        if (heading) {
+            flush();
+            const nodes = parseInline(heading[1]);
+            out.push(format === 'plain' ? plainText(nodes) : renderInline([{ type: 'bold', children: nodes }], format));
+            continue;
+        }
+
+        if (RULE_RE.test(line)) {
+            flush();
+            out.push(RULE);
+            continue;
+        }
+
+        const quote = line.match(QUOTE_RE);
+        if (quote) {
+            flush();
+            const quoted = [quote[1]];
+            while (i + 1 < lines.length && QUOTE_RE.test(lines[i + 1])) quoted.push(lines[++i].match(QUOTE_RE)[1]);
+            if (format === 'html') {
+                out.push('<blockquote>' + renderInline(parseInline(quoted.join('\n')), format) + '</blockquote>');
+            } else if (format === 'markdownv2') {
+                out.push(quoted.map(function(q) { return '>' + renderInline(parseInline(q), format); }).join('\n'));
+            } else {
+                out.push(quoted.map(function(q) { return plainText(parseInline(q)); }).join('\n'));
+            }
+            continue;
+        }
+
+        flushList();
+        paragraph.push(line);
+    }
+    flush();
+    return out.join('\n\n');
+}
+
+module.exports = {
+    FORMATS: FORMATS,
+    PARSE_MODES: PARSE_MODES,
+    escapeText: escapeText,
+    formatMarkdown: formatMarkdown,
+};
@@ -0,0 +1,136 @@
+const { formatMarkdown, escapeText, FORMATS, PARSE_MODES } = require('./formatter');
+
+function v2(md) {
+    return formatMarkdown(md, 'markdownv2');
+}
+
+function html(md) {
+    return formatMarkdown(md, 'html');
+}
+
+function plain(md) {
+    return formatMarkdown(md, 'plain');
+}
+
+describe('formats', function() {
+    test('markdown passes text through unchanged', function() {
+        var md = '# Title\n\n**bold** 1.5 (x)';
+        expect(formatMarkdown(md, 'markdown')).toBe(md);
+        expect(formatMarkdown(md)).toBe(md);
+    });
+
+    test('Telegram parse modes', function() {
+        expect(FORMATS).toEqual(['markdown', 'markdownv2', 'html', 'plain']);
+        expect(PARSE_MODES).toEqual({ markdownv2: 'MarkdownV2', html: 'HTML' });
+    });
+});
+
+describe('MarkdownV2 escaping', function() {
+    test('escapes every reserved character in text', function() {
+        expect(v2('_ * [ ] ( ) ~ ` > # + - = | { } . ! \\'))
+            .toBe('\\_ \\* \\[ \\] \\( \\) \\~ \\` \\> \\# \\+ \\- \\= \\| \\{ \\} \\. \\! \\\\');
+    });
+
+    test('escapes punctuation in ordinary prose', function() {
+        expect(v2('Version 1.2.3 costs $5 (approx.) - really!')).toBe('Version 1\\.2\\.3 costs $5 \\(approx\\.\\) \\- really\\!');
+    });
+
+    test('leaves snake_case and lone asterisks as literal text', function() {
+        expect(v2('call get_user_id now')).toBe('call get\\_user\\_id now');
+        expect(v2('2 * 3 = 6')).toBe('2 \\* 3 \\= 6');
+    });
+
+    test('converts emphasis', function() {
+        expect(v2('**bold** __also__ *it* _it_ ~~gone~~')).toBe('*bold* *also* _it_ _it_ ~gone~');
+    });
+
+    test('escapes inside emphasis', function() {
+        expect(v2('**v1.0 (beta)**')).toBe('*v1\\.0 \\(beta\\)*');
+    });
+
+    test('does not nest the same style', function() {
+        expect(v2('# Heading with **bold**')).toBe('*Heading with bold*');
+    });
+
+    test('escapes only backtick and backslash in code', function() {
+        expect(v2('run `a_b.c(1) \\ x`')).toBe('run `a_b.c(1) \\\\ x`');
+        expect(v2('``has ` tick``')).toBe('`has \\` tick`');
+        expect(v2('```sh\necho "*.txt" `pwd` \\n\n```')).toBe('```sh\necho "*.txt" \\`pwd\\` \\\\n\n```');
+    });
+
+    test('escapes ) and \\ in link URLs but not the rest', function() {
+        expect(v2('[the docs](https://x.dev/a_(b)?q=1.2)')).toBe('[the docs](https://x.dev/a_(b\\)?q=1.2)');
+        expect(v2('see [v1.2](http://h/)')).toBe('see [v1\\.2](http://h/)');
+    });
+
+    test('honours Markdown backslash escapes', function() {
+        expect(v2('\\*not italic\\*')).toBe('\\*not italic\\*');
+    });
+
+    test('unmatched markers stay literal', function() {
+        expect(v2('**open and `tick')).toBe('\\*\\*open and \\`tick');
+        expect(v2('[not a link]')).toBe('\\[not a link\\]');
+    });
+});
+
+describe('HTML', function() {
+    test('escapes &, < and >', function() {
+        expect(html('a < b && c > d')).toBe('a &lt; b &amp;&amp; c &gt; d');
+    });
+
+    test('converts inline markup', function() {
+        expect(html('**b** *i* ~~s~~ `<code>` [x](http://h/?a=1&b="2")'))
+            .toBe('<b>b</b> <i>i</i> <s>s</s> <code>&lt;code&gt;</code> <a href="http://h/?a=1&amp;b=&quot;2&quot;">x</a>');
+    });
+
+    test('code blocks keep their language', function() {
+        expect(html('```js\nif (a < b) {}\n```')).toBe('<pre><code class="language-js">if (a &lt; b) {}</code></pre>');
+    });
+
+    test('blockquotes', function() {
+        expect(html('> first\n> *second*')).toBe('<blockquote>first\n<i>second</i></blockquote>');
+    });
+});
+
+describe('plain', function() {
+    test('strips markup and keeps link targets', function() {
+        expect(plain('# Title\n\n**bold** and `code` and [docs](https://x.dev)')).toBe('Title\n\nbold and code and docs (https://x.dev)');
+    });
+
+    test('code blocks lose their fences', function() {
+        expect(plain('```\nls -la\n```')).toBe('ls -la');
+    });
+});
+
+describe('degrading structure', function() {
+    test('nested lists indent with a bullet per level', function() {
+        var md = '- one\n  - two\n    - three\n  - two b\n- four';
+        expect(plain(md)).toBe('• one\n  ◦ two\n    ▪ three\n  ◦ two b\n• four');
+        expect(v2('1. first\n2) second')).toBe('1\\. first\n2\\. second');
+    });
+
+    test('wrapped list items are joined', function() {
+        expect(plain('- a long\n  item\n- next')).toBe('• a long item\n• next');
+    });
+
+    test('tables become an aligned monospace block', function() {
+        var md = '| Name | Size |\n|:-----|-----:|\n| **a** | 1 |\n| long name | 22 |';
+        var table = 'Name      | Size\n----------+-----\na         | 1\nlong name | 22';
+        expect(plain(md)).toBe(table);
+        expect(html(md)).toBe('<pre><code>' + table + '</code></pre>');
+        expect(v2(md)).toBe('```\n' + table + '\n```');
+    });
+
+    test('horizontal rules', function() {
+        expect(v2('a\n\n---\n\nb')).toBe('a\n\n——————\n\nb');
+    });
+});
+
+describe('escapeText', function() {
+    test('escapes literal text for each format', function() {
+        expect(escapeText('[mirrored] (1/2)', 'markdownv2')).toBe('\\[mirrored\\] \\(1/2\\)');
+        expect(escapeText('<mirrored> & co', 'html')).toBe('&lt;mirrored&gt; &amp; co');
+        expect(escapeText('[mirrored]', 'plain')).toBe('[mirrored]');
+        expect(escapeText('[mirrored]', 'markdown')).toBe('[mirrored]');
+    });
+});
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const READ_CHUNK_SIZE = 64 * 1024;
+const NEWLINE = 0x0a;
+
+/**
+ * Follow a growing log file the way `tail -F` does, without spawning it.
+ *
+ * Returns an EventEmitter with start(), stop(), check() and getOffset().
+ * Events:
+ *   'line'      (line, offset)  a complete line; offset is the byte position just past it
+ *   'truncated' ()              the file shrank below our offset; reading restarts at 0
+ *   'rotated'   ()              a different file (new inode) now lives at the path
+ *   'missing'   ()              the file was deleted; we wait for it to come back
+ *   'error'     (err)           an unexpected fs error, or a 'line' listener that
+ *                               threw; following continues with the next line
+ *
+ * Options:
+ *   startOffset     byte offset to start from, or 'end' (default) to skip existing content
+ *   pollIntervalMs  fallback stat interval, since fs.watch can miss events (default 1000)
+ */
+function createLogFollower(filePath, options) {
+    const opts = options || {};
+    const pollIntervalMs = opts.pollIntervalMs || 1000;
+    const follower = new EventEmitter();
+
+    let fd = null;
+    let inode = null;
+    let readOffset = 0;          // bytes read from the current file
+    let pending = Buffer.alloc(0); // bytes after the last newline, not yet emitted
+    let startOffset = opts.startOffset === undefined ? 'end' : opts.startOffset;
+    let watcher = null;
+    let pollTimer = null;
+    let running = false;
+
+    function closeFile() {
+        if (fd !== null) {
+            try {
+                fs.closeSync(fd);
+            } catch {
+                // already closed
+            }
+        }
+        fd = null;
+        inode = null;
+    }
+
+    function openFile(stat, offset) {
+        fd = fs.openSync(filePath, 'r');
+        inode = stat.ino;
+        readOffset = Math.min(offset, stat.size);
+        pending = Buffer.alloc(0);
+    }
+
+    /**
+     * Hand one line to the listeners. The offset has already moved past it,
+     * so a listener that throws must not stop the lines after it.
+     */
+    function emitLine(line, offset) {
+        try {
+            follower.emit('line', line, offset);
+        } catch (err) {
+            follower.emit('error', err);
+        }
+    }
+
+    /**
+     * Split everything after the last emitted line into lines, keeping any
+     * trailing partial line buffered until its newline arrives.
+     */
+    function emitLines(data) {
+        const buf = pending.length ? Buffer.concat([pending, data]) : data;
+        const base = readOffset - buf.length;
+        let start = 0;
+        let idx;
+        while ((idx = buf.indexOf(NEWLINE, start)) !== -1) {
+            emitLine(buf.toString('utf8', start, idx), base + idx + 1);
+            start = idx + 1;
+        }
+        pending = buf.subarray(start);
+    }
+
+    function readToEnd(size) {
+        while (fd !== null && readOffset < size) {
+            const length = Math.min(READ_CHUNK_SIZE, size - readOffset);
+            const chunk = Buffer.alloc(length);
+            const bytesRead = fs.readSync(fd, chunk, 0, length, readOffset);
+            if (bytesRead === 0) break;
+            readOffset += bytesRead;
+            emitLines(chunk.subarray(0, bytesRead));
+        }
+    }
+
+    /**
+     * Whatever is still unread in a file that is going away, including a
+     * final line without a trailing newline.
+     */
+    function drainAndClose() {
+        try {
+            readToEnd(fs.fstatSync(fd).size);
+        } catch (err) {
+            follower.emit('error', err);
+        }
+        if (pending.length) {
+            const line = pending.toString('utf8');
+            pending = Buffer.alloc(0);
+            emitLine(line, readOffset);
+        }
+        closeFile();
+    }
+
+    /**
+     * Catch up with the file: handle deletion, rotation and truncation, then
+     * read any new bytes. Called on every watch event and poll tick.
+     */
+    function check() {
+        let stat;
+        try {
+            stat = fs.statSync(filePath);
+        } catch (err) {
+            if (err.code !== 'ENOENT') {
+                follower.emit('error', err);
+                return;
+            }
+            if (fd !== null) {
+                drainAndClose();
+                follower.emit('missing');
+            }
+            // Anything written once the file appears is new.
+            if (startOffset === 'end') startOffset = 0;
+            return;
+        }
+
+        try {
+            if (fd === null) {
+                // First open, or the file came back after being deleted.
+                const first = startOffset !== null;
+                const offset = startOffset === 'end' ? stat.size : (startOffset || 0);
+                startOffset = null;
+                openFile(stat, offset);
+                if (!first) follower.emit('rotated');
+            } else if (stat.ino !== inode) {
+                drainAndClose();
+                openFile(stat, 0);
+                follower.emit('rotated');
+            } else if (stat.size < readOffset) {
+                readOffset = 0;
+                pending = Buffer.alloc(0);
+                follower.emit('truncated');
+            }
+
+            readToEnd(stat.size);
+        } catch (err) {
+            follower.emit('error', err);
+        }
+    }
+
+    /**
+     * Watch the directory rather than the file so deletes and re-creates are
+     * seen. The directory may not exist yet; the poll timer keeps retrying.
+     */
+    function watchDirectory() {
+        const base = path.basename(filePath);
+        try {
+            watcher = fs.watch(path.dirname(filePath), function(eventType, name) {
+                if (!name || name === base) check();
+            });
+        } catch {
+            watcher = null;
+            return;
+        }
+        watcher.on('error', function() {
+            if (watcher) watcher.close();
+            watcher = null;
+        });
+    }
+
+    follower.start = function() {
+        if (running) return follower;
+        running = true;
+        check();
+        watchDirectory();
+        // fs.watch can miss events (network filesystems, some editors), so poll too.
+        pollTimer = setInterval(function() {
+            if (!watcher) watchDirectory();
+            check();
+        }, pollIntervalMs);
+        return follower;
+    };
+
+    follower.stop = function() {
+        running = false;
+        if (watcher) watcher.close();
+        watcher = null;
+        if (pollTimer) clearInterval(pollTimer);
+        pollTimer = null;
+        closeFile();
+    };
+
+    follower.check = check;
+
+    /**
+     * Byte offset just past the last complete line handed to 'line' listeners.
+     * Resuming from it never repeats or skips a line.
+     */
+    follower.getOffset = function() {
+        return readOffset - pending.length;
+    };
+
+    follower.getPath = function() {
+        return filePath;
+    };
+
+    follower.isRunning = function() {
+        return running;
+    };
+
+    return follower;
+}
+
+module.exports = {
+    createLogFollower: createLogFollower,
+};
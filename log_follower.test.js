@@ -0,0 +1,189 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLogFollower } = require('./log_follower');
+
+var dir;
+var logPath;
+
+beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-follow-'));
+    logPath = path.join(dir, 'openclaw.log');
+});
+
+afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function collect(follower) {
+    var events = { lines: [], offsets: [], truncated: 0, rotated: 0, missing: 0, errors: [] };
+    follower.on('line', function(line, offset) {
+        events.lines.push(line);
+        events.offsets.push(offset);
+    });
+    follower.on('truncated', function() { events.truncated++; });
+    follower.on('rotated', function() { events.rotated++; });
+    follower.on('missing', function() { events.missing++; });
+    follower.on('error', function(err) { events.errors.push(err); });
+    return events;
+}
+
+describe('createLogFollower', function() {
+    test('starts at the end of an existing file by default', function() {
+        fs.writeFileSync(logPath, 'old line\n');
+        var follower = createLogFollower(logPath);
+        var events = collect(follower);
+
+        follower.check();
+        expect(events.lines).toEqual([]);
+        expect(follower.getOffset()).toBe(9);
+
+        fs.appendFileSync(logPath, 'new line\n');
+        follower.check();
+        expect(events.lines).toEqual(['new line']);
+        follower.stop();
+    });
+
+    test('starts from a given offset', function() {
+        fs.writeFileSync(logPath, 'one\ntwo\nthree\n');
+        var follower = createLogFollower(logPath, { startOffset: 4 });
+        var events = collect(follower);
+        follower.check();
+        expect(events.lines).toEqual(['two', 'three']);
+        expect(events.offsets).toEqual([8, 14]);
+        follower.stop();
+    });
+
+    test('a listener that throws on one line does not lose the lines after it', function() {
+        fs.writeFileSync(logPath, 'one\nbad\nthree\nfour\n');
+        var follower = createLogFollower(logPath, { startOffset: 0 });
+        var events = collect(follower);
+        follower.on('line', function(line) {
+            if (line === 'bad') throw new Error('queue file not writable');
+        });
+
+        follower.check();
+        expect(events.lines).toEqual(['one', 'bad', 'three', 'four']);
+        expect(events.errors.map(function(err) { return err.message; })).toEqual(['queue file not writable']);
+        expect(follower.getOffset()).toBe(19);
+    });
+
+    test('buffers a line split across writes', function() {
+        fs.writeFileSync(logPath, '');
+        var follower = createLogFollower(logPath);
+        var events = collect(follower);
+        follower.check();
+
+        var line = JSON.stringify({ '0': '{"subsystem":"agent/embedded"}', '1': 'embedded run done: runId=r1' });
+        fs.appendFileSync(logPath, line.substring(0, 20));
+        follower.check();
+        expect(events.lines).toEqual([]);
+        expect(follower.getOffset()).toBe(0);
+
+        fs.appendFileSync(logPath, line.substring(20) + '\n');
+        follower.check();
+        expect(events.lines).toEqual([line]);
+        expect(JSON.parse(events.lines[0])['1']).toBe('embedded run done: runId=r1');
+        expect(follower.getOffset()).toBe(line.length + 1);
+        follower.stop();
+    });
+
+    test('does not split multi-byte characters across reads', function() {
+        fs.writeFileSync(logPath, '');
+        var follower = createLogFollower(logPath);
+        var events = collect(follower);
+        follower.check();
+
+        var bytes = Buffer.from('héllo 🔧\n');
+        fs.appendFileSync(logPath, bytes.subarray(0, 2));
+        follower.check();
+        fs.appendFileSync(logPath, bytes.subarray(2));
+        follower.check();
+        expect(events.lines).toEqual(['héllo 🔧']);
+        expect(follower.getOffset()).toBe(bytes.length);
+        follower.stop();
+    });
+
+    test('detects truncation and restarts from the beginning', function() {
+        fs.writeFileSync(logPath, 'aaaa\nbbbb\n');
+        var follower = createLogFollower(logPath);
+        var events = collect(follower);
+        follower.check();
+
+        fs.writeFileSync(logPath, 'c\n');
+        follower.check();
+        expect(events.truncated).toBe(1);
+        expect(events.lines).toEqual(['c']);
+        expect(follower.getOffset()).toBe(2);
+        follower.stop();
+    });
+
+    test('detects rotation by inode and drains the old file first', function() {
+        fs.writeFileSync(logPath, '');
+        var follower = createLogFollower(logPath);
+        var events = collect(follower);
+        follower.check();
+
+        fs.appendFileSync(logPath, 'last old line\nunterminated');
+        fs.renameSync(logPath, logPath + '.1');
+        fs.writeFileSync(logPath, 'first new line\n');
+        follower.check();
+
+        expect(events.rotated).toBe(1);
+        expect(events.lines).toEqual(['last old line', 'unterminated', 'first new line']);
+        expect(follower.getOffset()).toBe(15);
+        follower.stop();
+    });
+
+    test('recovers when the file is deleted and recreated', function() {
+        fs.writeFileSync(logPath, '');
+        var follower = createLogFollower(logPath);
+        var events = collect(follower);
+        follower.check();
+
+        fs.appendFileSync(logPath, 'before delete\n');
+        fs.unlinkSync(logPath);
+        follower.check();
+        expect(events.missing).toBe(1);
+        expect(events.lines).toEqual(['before delete']);
+
+        follower.check();
+        expect(events.missing).toBe(1);
+
+        fs.writeFileSync(logPath, 'after recreate\n');
+        follower.check();
+        expect(events.rotated).toBe(1);
+        expect(events.lines).toEqual(['before delete', 'after recreate']);
+        follower.stop();
+    });
+
+    test('reads a file that did not exist at start from the beginning', function() {
+        var follower = createLogFollower(logPath);
+        var events = collect(follower);
+        follower.check();
+        expect(events.missing).toBe(0);
+
+        fs.writeFileSync(logPath, 'hello\n');
+        follower.check();
+        expect(events.lines).toEqual(['hello']);
+        expect(events.rotated).toBe(0);
+        follower.stop();
+    });
+
+    test('follows appends once started', async function() {
+        fs.writeFileSync(logPath, '');
+        var follower = createLogFollower(logPath, { pollIntervalMs: 20 });
+        var events = collect(follower);
+        follower.start();
+        expect(follower.isRunning()).toBe(true);
+
+        fs.appendFileSync(logPath, 'live line\n');
+        await new Promise(function(resolve) { setTimeout(resolve, 100); });
+        follower.stop();
+
+        expect(events.lines).toEqual(['live line']);
+        expect(follower.isRunning()).toBe(false);
+        expect(events.errors).toEqual([]);
+    });
+});
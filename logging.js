@@ -0,0 +1,44 @@
+const util = require('util');
+
+/**
+ * Structured logs for logFormat "json": each console.log and console.error
+ * line becomes one JSON object per line, for log shippers that parse JSON.
+ *
+ *   {"time":"2026-02-03T10:00:00.000Z","level":"info","msg":"Tracking webchat run: ..."}
+ *
+ * The daemon's "[Mirror] " prefix is dropped from msg; other prefixes, such
+ * as "[Sent to telegram:123]", are kept.
+ */
+
+/**
+ * One log record as a JSON line (without the newline).
+ */
+function formatLogLine(level, args, now) {
+    const msg = util.format.apply(util, args).replace(/^\[Mirror\] /, '');
+    return JSON.stringify({ time: (now || new Date()).toISOString(), level: level, msg: msg });
+}
+
+/**
+ * Send console.log and console.error through formatLogLine, to stdout and
+ * stderr as before. Returns a function that puts the old ones back.
+ */
+function useJsonLogs(stdout, stderr) {
+    const out = stdout || process.stdout;
+    const err = stderr || process.stderr;
+    const original = { log: console.log, error: console.error };
+    console.log = function() {
+        out.write(formatLogLine('info', arguments) + '\n');
+    };
+    console.error = function() {
+        err.write(formatLogLine('error', arguments) + '\n');
+    };
+    return function restore() {
+        console.log = original.log;
+        console.error = original.error;
+    };
+}
+
+module.exports = {
+    formatLogLine: formatLogLine,
+    useJsonLogs: useJsonLogs,
+};
@@ -0,0 +1,33 @@
+const { formatLogLine, useJsonLogs } = require('./logging');
+
+describe('formatLogLine', function() {
+    test('writes time, level and the message without the [Mirror] prefix', function() {
+        var line = formatLogLine('info', ['[Mirror] Tracking webchat run: %s', 'run-1'], new Date('2026-02-03T10:00:00Z'));
+        expect(JSON.parse(line)).toEqual({ time: '2026-02-03T10:00:00.000Z', level: 'info', msg: 'Tracking webchat run: run-1' });
+    });
+
+    test('keeps other prefixes and escapes newlines', function() {
+        var line = formatLogLine('info', ['[Sent to telegram:1] a\nb']);
+        expect(line).not.toContain('\n');
+        expect(JSON.parse(line).msg).toBe('[Sent to telegram:1] a\nb');
+    });
+});
+
+describe('useJsonLogs', function() {
+    test('routes console.log and console.error until restored', function() {
+        var out = [];
+        var err = [];
+        var restore = useJsonLogs({ write: function(s) { out.push(s); } }, { write: function(s) { err.push(s); } });
+        try {
+            console.log('[Mirror] hello');
+            console.error('[Mirror] Failed to save checkpoint: %s', 'EACCES');
+        } finally {
+            restore();
+        }
+
+        expect(out).toHaveLength(1);
+        expect(JSON.parse(out[0])).toMatchObject({ level: 'info', msg: 'hello' });
+        expect(JSON.parse(err[0])).toMatchObject({ level: 'error', msg: 'Failed to save checkpoint: EACCES' });
+        expect(out[0].endsWith('\n')).toBe(true);
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Counters and gauges for the status server's /metrics endpoint, rendered in
+ * the Prometheus text exposition format.
+ *
+ * Counters are kept per daemon by createMetrics() and only ever go up.
+ * Gauges describe the daemon's state at the moment of a scrape, so the daemon
+ * computes them when asked instead of storing them here.
+ */
+
+const PREFIX = 'mirror_';
+
+const COUNTERS = {
+    runsTracked: { name: 'runs_tracked_total', help: 'Runs that matched a route and were tracked.' },
+    runsMirrored: { name: 'runs_mirrored_total', help: 'Finished runs whose reply was queued for at least one destination.' },
+    messagesSent: { name: 'messages_sent_total', help: 'Messages delivered to a destination.' },
+    sendFailures: { name: 'send_failures_total', help: 'Failed send attempts, including ones that were retried.' },
+    deadLetters: { name: 'dead_letters_total', help: 'Messages given up on after sendMaxAttempts.' },
+    echoesIgnored: { name: 'echoes_ignored_total', help: 'Replies and inbound messages skipped because they carry a mirror tag.' },
+    alerts: { name: 'alerts_total', help: 'Runs reported as aborted, failed or stuck.' },
+};
+
+const GAUGES = {
+    tailUp: { name: 'tail_up', help: 'Whether a log file is being followed (1) or not (0).' },
+    lastLineTime: { name: 'last_line_timestamp_seconds', help: 'When the last log line was read, as a Unix time.' },
+    logOffset: { name: 'log_offset_bytes', help: 'How far into the current log file the daemon has read.' },
+    openRuns: { name: 'open_runs', help: 'Tracked runs that have started but not finished.' },
+    pendingRuns: { name: 'pending_runs', help: 'Finished runs whose reply has not been queued yet.' },
+    queueDepth: { name: 'queue_depth', help: 'Messages waiting in the outbound queue.' },
+    deliveryLag: { name: 'delivery_lag_seconds', help: 'Time from "run done" to delivery, for the last message sent.' },
+    queuedLag: { name: 'queued_lag_seconds', help: 'Time since "run done" for the oldest message still queued.' },
+};
+
+/**
+ * Create a set of counters, all at zero.
+ */
+function createMetrics() {
+    const counts = {};
+    for (const key of Object.keys(COUNTERS)) counts[key] = 0;
+
+    function increment(key, by) {
+        if (!(key in counts)) throw new Error('Unknown counter "' + key + '"');
+        counts[key] += by === undefined ? 1 : by;
+    }
+
+    function get(key) {
+        return counts[key];
+    }
+
+    function snapshot() {
+        return Object.assign({}, counts);
+    }
+
+    return {
+        increment: increment,
+        get: get,
+        snapshot: snapshot,
+    };
+}
+
+function formatNumber(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    if (Number.isNaN(value)) return 'NaN';
+    return String(value);
+}
+
+/**
+ * Render counter values (from snapshot()) and gauge values, both keyed as in
+ * COUNTERS and GAUGES, as Prometheus text. Gauges that are null or missing
+ * are left out, e.g. the delivery lag before anything has been sent.
+ */
+function formatMetrics(counters, gauges) {
+    const lines = [];
+    function add(spec, type, value) {
+        lines.push('# HELP ' + PREFIX + spec.name + ' ' + spec.help);
+        lines.push('# TYPE ' + PREFIX + spec.name + ' ' + type);
+        lines.push(PREFIX + spec.name + ' ' + formatNumber(value));
+    }
+    for (const key of Object.keys(COUNTERS)) {
+        add(COUNTERS[key], 'counter', (counters && counters[key]) || 0);
+    }
+    for (const key of Object.keys(GAUGES)) {
+        const value = gauges && gauges[key];
+        if (value === null || value === undefined) continue;
+        add(GAUGES[key], 'gauge', value);
+    }
+    return lines.join('\n') + '\n';
+}
+
+module.exports = {
+    COUNTERS: COUNTERS,
+    GAUGES: GAUGES,
+    createMetrics: createMetrics,
+    formatMetrics: formatMetrics,
+};
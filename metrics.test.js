@@ -0,0 +1,33 @@
+const { createMetrics, formatMetrics } = require('./metrics');
+
+describe('createMetrics', function() {
+    test('counts from zero, per instance', function() {
+        var a = createMetrics();
+        var b = createMetrics();
+        a.increment('runsTracked');
+        a.increment('messagesSent', 3);
+        expect(a.get('runsTracked')).toBe(1);
+        expect(a.snapshot().messagesSent).toBe(3);
+        expect(b.get('runsTracked')).toBe(0);
+    });
+
+    test('rejects unknown counters', function() {
+        expect(function() { createMetrics().increment('runsTrackd'); }).toThrow('Unknown counter "runsTrackd"');
+    });
+});
+
+describe('formatMetrics', function() {
+    test('renders counters and gauges in the Prometheus text format', function() {
+        var metrics = createMetrics();
+        metrics.increment('sendFailures', 2);
+        var text = formatMetrics(metrics.snapshot(), { queueDepth: 4, deliveryLag: 1.25, queuedLag: null });
+
+        expect(text).toContain('# HELP mirror_send_failures_total Failed send attempts, including ones that were retried.\n' +
+            '# TYPE mirror_send_failures_total counter\nmirror_send_failures_total 2\n');
+        expect(text).toContain('mirror_runs_tracked_total 0\n');
+        expect(text).toContain('# TYPE mirror_queue_depth gauge\nmirror_queue_depth 4\n');
+        expect(text).toContain('mirror_delivery_lag_seconds 1.25\n');
+        expect(text).not.toContain('mirror_queued_lag_seconds');
+        expect(text.endsWith('\n')).toBe(true);
+    });
+});
@@ -1,23 +1,31 @@
 const fs = require('fs');
 const path = require('path');
-const spawn = require('child_process').spawn;
-const { execSync } = require('child_process');
+const EventEmitter = require('events');
+const { SCHEMA, loadConfig, defaultConfig, formatConfig, changedSettings, ConfigError } = require('./config');
+const { routesFor, matchRoutes, collectIgnoreTags } = require('./routing');
+const { createLogFollower } = require('./log_follower');
+const { loadCheckpoint, saveCheckpoint, hashMessage } = require('./checkpoint');
+const { getTransport, forgetTransports } = require('./transports');
+const { createOutboundQueue, takeDeadLetters, spoolDirFor, unspool } = require('./outbound_queue');
+const { splitMessage, numberChunks, NUMBERING_RESERVE } = require('./chunker');
+const { formatMarkdown, escapeText } = require('./formatter');
+const { recordToolEvent, formatToolSummary } = require('./tool_usage');
+const { parseFields, formatDuration, templateValues, renderTemplate } = require('./run_metadata');
+const { waitForStableMatch } = require('./transcript_watch');
+const { createSessionReader, walkForward } = require('./session_reader');
+const { agentFromFields, createAgentIndex, sessionFile } = require('./agents');
+const { redactionFor, blockReason, redact, formatCounts } = require('./redaction');
+const { extractAttachments, prepareAttachments } = require('./attachments');
+const { threadTitle, createThreadRegistry } = require('./threads');
+const { parseInboundMessage, createSentIndex, senderAllowed, formatInjected } = require('./bridge');
+const { parseDirectives, createSessionModes, describeMode } = require('./directives');
+const { createMetrics, formatMetrics } = require('./metrics');
+const { createStatusServer } = require('./status_server');
+const { useJsonLogs } = require('./logging');
+const { COMMANDS, isListening, createControlServer, sendControlCommand } = require('./control');
 
-const LOG_DIR = '/tmp/openclaw';
-const SESSIONS_DIR = path.join(process.env.HOME || '/Users/liao', '.openclaw/agents/main/sessions');
-const TELEGRAM_TARGET = '7380936103';
-const IGNORE_TAG = '[mirrored]';
-const CACHE_SIZE = 50;
-const mirroredCache = new Set();
-
-// Track which runIds we've already processed to avoid duplicates
-const processedRuns = new Set();
-const PROCESSED_RUNS_MAX = 100;
-
-let currentTail = null;
-let currentLogDate = null;
-
-// --- Exported helpers for testing ---
+const DEFAULT_CONFIG = defaultConfig();
+const IGNORE_TAG = DEFAULT_CONFIG.ignoreTag;
 
 /**
  * Parse the subsystem from entry["0"], which is a JSON string like '{"subsystem":"agent/embedded"}'
@@ -33,9 +41,20 @@ function parseSubsystem(entry) {
     }
 }
 
+/**
+ * The timestamp of a log entry in epoch milliseconds, or now if it has none.
+ */
+function entryTime(entry) {
+    const time = Date.parse(entry.time || (entry._meta && entry._meta.date));
+    return Number.isNaN(time) ? Date.now() : time;
+}
+
 /**
  * Parse a log line and determine if it's a webchat "run done" event.
- * Returns { sessionId, runId } if it is, null otherwise.
+ * Returns { sessionId, runId, durationMs, aborted, fields, at } if it is, null
+ * otherwise. `fields` holds every key=value pair on the line, as strings;
+ * `durationMs` is null when the line does not carry one. `at` is the line's
+ * timestamp in epoch milliseconds.
  */
 function parseWebchatRunDone(line) {
     if (!line || !line.trim()) return null;
@@ -58,12 +77,24 @@ function parseWebchatRunDone(line) {
     const runMatch = msg.match(/runId=([a-zA-Z0-9_-]+)/);
     if (!sessionMatch || !runMatch) return null;
 
-    return { sessionId: sessionMatch[1], runId: runMatch[1] };
+    const fields = parseFields(msg.substring(msg.indexOf('embedded run done:')));
+    const durationMs = Number(fields.durationMs);
+    return {
+        sessionId: sessionMatch[1],
+        runId: runMatch[1],
+        durationMs: fields.durationMs !== undefined && Number.isFinite(durationMs) ? durationMs : null,
+        aborted: fields.aborted === 'true',
+        fields: fields,
+        at: entryTime(entry),
+    };
 }
 
 /**
  * Parse a log line and determine if it's an "embedded run start" event.
- * Returns { sessionId, runId, messageChannel } if it is, null otherwise.
+ * Returns { sessionId, runId, messageChannel, model, fields, at } if it is, null
+ * otherwise. `model` is null when the line does not carry one; `fields` holds
+ * every key=value pair on the line (provider, thinking, ...), as strings.
+ * `at` is the line's timestamp in epoch milliseconds.
  */
 function parseRunStart(line) {
     if (!line || !line.trim()) return null;
@@ -85,225 +116,2074 @@ function parseRunStart(line) {
     const sessionMatch = msg.match(/sessionId=([a-zA-Z0-9_-]+)/);
     const runMatch = msg.match(/runId=([a-zA-Z0-9_-]+)/);
     const channelMatch = msg.match(/messageChannel=(\S+)/);
+    const modelMatch = msg.match(/\bmodel=(\S+)/);
     if (!sessionMatch || !runMatch || !channelMatch) return null;
 
     return {
         sessionId: sessionMatch[1],
         runId: runMatch[1],
         messageChannel: channelMatch[1],
+        model: modelMatch ? modelMatch[1] : null,
+        fields: parseFields(msg.substring(msg.indexOf('embedded run start:'))),
+        at: entryTime(entry),
     };
 }
 
 /**
- * Read the last assistant text message from a session JSONL file.
- * Returns the text content or null.
+ * Parse a log line and determine if it's an "embedded run tool start/end" event.
+ * Returns { phase, runId, tool, toolCallId, at, durationMs, failed } if it is,
+ * null otherwise. `at` is the line's timestamp in epoch milliseconds.
  */
-function getLastAssistantText(sessionId) {
-    const filePath = path.join(SESSIONS_DIR, sessionId + '.jsonl');
-    if (!fs.existsSync(filePath)) return null;
-
+function parseToolEvent(line) {
+    if (!line || !line.trim()) return null;
+    let entry;
     try {
-        const content = fs.readFileSync(filePath, 'utf8');
-        const lines = content.trim().split('\n');
+        entry = JSON.parse(line);
+    } catch {
+        return null;
+    }
 
-        for (let i = lines.length - 1; i >= 0; i--) {
-            try {
-                const entry = JSON.parse(lines[i]);
-                if (entry.type !== 'message') continue;
-                if (!entry.message || entry.message.role !== 'assistant') continue;
+    const subsystem = parseSubsystem(entry);
+    if (subsystem !== 'agent/embedded') return null;
 
-                const contentArr = entry.message.content;
-                if (!Array.isArray(contentArr)) continue;
+    const msg = entry['1'];
+    if (typeof msg !== 'string') return null;
 
-                const textParts = contentArr
-                    .filter(c => c.type === 'text' && c.text)
-                    .map(c => c.text.trim())
-                    .filter(t => t.length > 0);
+    const phaseMatch = msg.match(/embedded run tool (start|end):/);
+    if (!phaseMatch) return null;
 
-                if (textParts.length > 0) {
-                    return textParts.join('\n');
-                }
-            } catch {
-                continue;
-            }
-        }
+    const runMatch = msg.match(/runId=([a-zA-Z0-9_-]+)/);
+    const toolMatch = msg.match(/\btool=(\S+)/);
+    const callMatch = msg.match(/toolCallId=(\S+)/);
+    const durationMatch = msg.match(/durationMs=(\d+)/);
+    if (!runMatch || !toolMatch) return null;
+
+    return {
+        phase: phaseMatch[1],
+        runId: runMatch[1],
+        tool: toolMatch[1],
+        toolCallId: callMatch ? callMatch[1] : null,
+        at: entryTime(entry),
+        durationMs: durationMatch ? Number(durationMatch[1]) : null,
+        failed: /\bisError=true\b|\berror=/.test(msg),
+    };
+}
+
+/**
+ * Parse an ERROR or FATAL level log line. Returns { runId, sessionId, message }
+ * (ids null when the line names none), or null for other lines.
+ */
+function parseErrorLine(line) {
+    if (!line || !line.trim()) return null;
+    let entry;
+    try {
+        entry = JSON.parse(line);
     } catch {
         return null;
     }
 
-    return null;
+    const level = entry._meta && entry._meta.logLevelName;
+    if (level !== 'ERROR' && level !== 'FATAL') return null;
+
+    const keys = parseSubsystem(entry) ? ['1', '2'] : ['0', '1', '2'];
+    const message = keys
+        .map(function(key) { return entry[key]; })
+        .filter(function(value) { return typeof value === 'string' && value.trim(); })
+        .join(' ');
+    if (!message) return null;
+
+    const runMatch = message.match(/runId=([a-zA-Z0-9_-]+)/);
+    const sessionMatch = message.match(/sessionId=([a-zA-Z0-9_-]+)/);
+    return {
+        runId: runMatch ? runMatch[1] : null,
+        sessionId: sessionMatch ? sessionMatch[1] : null,
+        message: message,
+    };
+}
+
+/**
+ * The text blocks of a message, joined. Thinking, tool calls and anything
+ * else that is not a text block are skipped. Returns null if there are none.
+ */
+function messageText(message) {
+    const contentArr = typeof message.content === 'string'
+        ? [{ type: 'text', text: message.content }]
+        : message.content;
+    if (!Array.isArray(contentArr)) return null;
+
+    const textParts = contentArr
+        .filter(c => c.type === 'text' && c.text)
+        .map(c => c.text.trim())
+        .filter(t => t.length > 0);
+    return textParts.length > 0 ? textParts.join('\n') : null;
+}
+
+// Allowance for transcript timestamps that are slightly off the log's.
+const TRANSCRIPT_SLACK_MS = 2000;
+
+/**
+ * Render a turn as one Markdown message with a label on each part.
+ */
+function formatTurn(turn) {
+    const parts = [];
+    if (turn.prompt) parts.push('**User:**\n' + turn.prompt);
+    for (const text of turn.progress) {
+        parts.push('**Assistant (working):**\n' + text);
+    }
+    if (turn.reply) parts.push('**Assistant:**\n' + turn.reply);
+    return parts.join('\n\n');
 }
 
 /**
  * Check if text should be ignored (echo loop prevention).
+ * Any route's tag counts, so a reply mirrored by one route is never picked up by another.
  */
-function shouldIgnore(text) {
+function shouldIgnore(text, config) {
+    config = config || DEFAULT_CONFIG;
     if (!text) return true;
-    if (text.includes(IGNORE_TAG)) return true;
+    for (const tag of collectIgnoreTags(config)) {
+        if (text.includes(tag)) return true;
+    }
     if (text.trim().length === 0) return true;
     return false;
 }
 
-// --- End exported helpers ---
+function getLogPath(config) {
+    return logPathFor(getDateStr(new Date(), config.logTimezone), config);
+}
+
+function logPathFor(date, config) {
+    return path.join(config.logDir, 'openclaw-' + date + '.log');
+}
 
-function getLogPath() {
-    const now = new Date();
-    const yyyy = now.getFullYear();
-    const mm = String(now.getMonth() + 1).padStart(2, '0');
-    const dd = String(now.getDate()).padStart(2, '0');
-    return LOG_DIR + '/openclaw-' + yyyy + '-' + mm + '-' + dd + '.log';
+function dateParts(now, timeZone) {
+    const parts = {};
+    const format = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    for (const part of format.formatToParts(now)) parts[part.type] = part.value;
+    return parts;
 }
 
-function getDateStr() {
-    const now = new Date();
-    return now.getFullYear() + '-' + String(now.getMonth() + 1).padStart(2, '0') + '-' + String(now.getDate()).padStart(2, '0');
+/**
+ * The date (YYYY-MM-DD) in `timeZone`, or in the host's zone when it is null.
+ */
+function getDateStr(now, timeZone) {
+    const parts = dateParts(now || new Date(), timeZone);
+    return parts.year + '-' + parts.month + '-' + parts.day;
 }
 
-function sendToTelegram(text) {
-    if (mirroredCache.has(text)) return;
+/**
+ * Milliseconds from `now` until the date next changes in `timeZone`.
+ * Off by the shift on a day with a DST change; callers check the date again.
+ */
+function msUntilNextDay(now, timeZone) {
+    const parts = dateParts(now, timeZone);
+    const elapsed = ((Number(parts.hour) % 24) * 3600 + Number(parts.minute) * 60 + Number(parts.second)) * 1000 +
+        now.getMilliseconds();
+    return 86400000 - elapsed;
+}
 
-    mirroredCache.add(text);
-    if (mirroredCache.size > CACHE_SIZE) {
-        const first = mirroredCache.values().next().value;
-        mirroredCache.delete(first);
+/**
+ * The time in ms of a wall-clock time (YYYY-MM-DD, h, m, s) in `timeZone`,
+ * or in the host's zone when it is null.
+ */
+function zonedTime(date, hour, minute, second, timeZone) {
+    const [year, month, day] = date.split('-').map(Number);
+    if (!timeZone) return new Date(year, month - 1, day, hour, minute, second).getTime();
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    let time = wall;
+    // Correct by the zone's offset at the guess; twice, for when the guess is across a DST change.
+    for (let i = 0; i < 2; i++) {
+        const parts = dateParts(new Date(time), timeZone);
+        const shown = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+            Number(parts.hour), Number(parts.minute), Number(parts.second));
+        time += wall - shown;
     }
+    return time;
+}
 
-    let sendText = text;
-    if (sendText.length > 3900) {
-        sendText = sendText.substring(0, 3900) + '\n\n[...truncated]';
-    }
+const LOG_FILE_NAME = /^openclaw-(\d{4}-\d{2}-\d{2})\.log$/;
 
-    const escaped = sendText.replace(/"/g, '\\"').replace(/\$/g, '\\$').replace(/`/g, '\\`');
-    const command = 'openclaw message send --target "' + TELEGRAM_TARGET + '" --message "' + IGNORE_TAG + ' ' + escaped + '"';
+/**
+ * The newest dated log in logDir later than `date`, as { date, path }, or
+ * null. Which files exist is up to OpenClaw, so one dated later than our
+ * date counts even if our clock has not got there yet.
+ */
+function findNewerLog(date, config) {
+    let names;
     try {
-        execSync(command, { timeout: 15000 });
-        console.log('[Sent to Telegram] ' + text.substring(0, 80) + '...');
-    } catch (err) {
-        console.error('Failed to send: ' + err.message);
+        names = fs.readdirSync(config.logDir);
+    } catch {
+        return null;
+    }
+    let newest = null;
+    for (const name of names) {
+        const match = name.match(LOG_FILE_NAME);
+        if (match && match[1] > date && (!newest || match[1] > newest)) newest = match[1];
     }
+    return newest ? { date: newest, path: logPathFor(newest, config) } : null;
 }
 
-// Track webchat runs: when we see "run start" with messageChannel=webchat,
-// record the runId. When we see "run done" with that runId, fetch the response.
-const webchatRuns = new Map(); // runId -> sessionId
-
-function processLine(line) {
-    if (!line || !line.trim()) return;
+/**
+ * Prefix text with an echo tag. Text opening with a code fence gets the tag
+ * on its own line so the fence still starts a line.
+ */
+function withTag(tag, text) {
+    return tag + (/^ {0,3}(`{3,}|~{3,})/.test(text) ? '\n' : ' ') + text;
+}
 
-    const startInfo = parseRunStart(line);
-    if (startInfo) {
-        if (startInfo.messageChannel === 'webchat') {
-            webchatRuns.set(startInfo.runId, startInfo.sessionId);
-            console.log('[Mirror] Tracking webchat run: ' + startInfo.runId + ' session=' + startInfo.sessionId);
+/**
+ * Split Markdown into chunks and convert each to `format`. Escaping can make
+ * a chunk grow past the limit; such a chunk is split again, smaller.
+ */
+function formatChunks(text, limit, format) {
+    const result = [];
+    for (const chunk of splitMessage(text, limit)) {
+        const formatted = formatMarkdown(chunk, format);
+        if (formatted.length <= limit) {
+            result.push(formatted);
+            continue;
+        }
+        const smaller = Math.max(1, Math.floor(limit * chunk.length / formatted.length) - 1);
+        for (const piece of splitMessage(chunk, smaller)) {
+            result.push(formatMarkdown(piece, format));
         }
-        return;
     }
+    return result;
+}
+
+const ALERT_TITLES = {
+    aborted: '⚠️ Run aborted',
+    failed: '❌ Run failed',
+    stuck: '⏳ Run stuck',
+};
+
+function formatAlert(kind, runId, run, elapsedMs) {
+    const lines = [
+        ALERT_TITLES[kind],
+        'Session: ' + run.sessionId + (run.agent ? ' · Agent: ' + run.agent : ''),
+        'Run: ' + runId,
+        'Channel: ' + run.messageChannel + (run.model ? ' · Model: ' + run.model : ''),
+    ];
+    if (typeof elapsedMs === 'number') lines.push('Elapsed: ' + formatDuration(elapsedMs));
+    if (run.lastError) lines.push('Last error: ' + run.lastError);
+    return lines.join('\n');
+}
 
-    const doneInfo = parseWebchatRunDone(line);
-    if (!doneInfo) return;
+// Fields of a dead letter that belong to its old place in the queue.
+const DEAD_LETTER_BOOKKEEPING = ['id', 'attempts', 'nextAttemptAt', 'enqueuedAt', 'lastError', 'failedAt'];
 
-    const sessionId = webchatRuns.get(doneInfo.runId);
-    if (!sessionId) return;
+// What chats answer when a topic or the message a thread replies to is gone.
+const THREAD_GONE = /thread not found|TOPIC_(DELETED|CLOSED)|message to (be )?repl(y|ied) not found/i;
+
+/**
+ * Add the configured header and footers around a run's text: messageHeader
+ * and messageFooter templates, then the tool summary line.
+ */
+function decorate(text, run, runId, config) {
+    const tools = formatToolSummary(run.tools);
+    const values = templateValues(run, runId, { tools: tools });
+    const header = config.messageHeader ? renderTemplate(config.messageHeader, values) : null;
+    const footers = [];
+    if (config.messageFooter) footers.push(renderTemplate(config.messageFooter, values));
+    if (config.toolSummary === 'footer') footers.push(tools);
 
-    webchatRuns.delete(doneInfo.runId);
+    const parts = [];
+    if (header) parts.push(header);
+    parts.push(text);
+    const footer = footers.filter(Boolean).join('\n');
+    if (footer) parts.push(footer);
+    return parts.join('\n\n');
+}
 
-    if (processedRuns.has(doneInfo.runId)) return;
-    processedRuns.add(doneInfo.runId);
-    if (processedRuns.size > PROCESSED_RUNS_MAX) {
-        const first = processedRuns.values().next().value;
-        processedRuns.delete(first);
+/**
+ * Apply the redaction setting to a run's text before it is sent: returns
+ * null if a deny/allow rule blocks it, otherwise the text with secrets
+ * replaced. Logs what was blocked or how much was redacted, never the text.
+ */
+function filterReply(text, runId, config) {
+    const redaction = redactionFor(config);
+    const blocked = blockReason(text, redaction);
+    if (blocked) {
+        console.log('[Mirror] Not mirroring run ' + runId + ': blocked by ' + blocked);
+        return null;
     }
+    const result = redact(text, redaction);
+    const counts = formatCounts(result.counts);
+    if (counts) console.log('[Mirror] Redacted ' + counts + ' in run ' + runId);
+    return result.text;
+}
 
-    console.log('[Mirror] Webchat run done: ' + doneInfo.runId + ' session=' + sessionId);
+/**
+ * Work out what `replay` reads from its command options: the log of --date
+ * (default today), the --from/--to window, and the --session/--run filters.
+ * Times are HH:MM or HH:MM:SS on that date in logTimezone (local time if it
+ * is not set), or a full date and time. Throws ConfigError on a bad value.
+ */
+function parseReplayOptions(options, config) {
+    config = config || DEFAULT_CONFIG;
+    const date = options.date || getDateStr(new Date(), config.logTimezone);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        throw new ConfigError('--date must be YYYY-MM-DD, got ' + JSON.stringify(date));
+    }
 
-    setTimeout(function() {
-        const text = getLastAssistantText(sessionId);
-        if (text && !shouldIgnore(text)) {
-            sendToTelegram(text);
-        } else {
-            console.log('[Mirror] No text to mirror for run ' + doneInfo.runId);
+    function parseTime(flag, value) {
+        if (value === undefined) return null;
+        const clock = value.match(/^([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?$/);
+        const time = clock
+            ? zonedTime(date, Number(clock[1]), Number(clock[2]), Number(clock[3] || 0), config.logTimezone)
+            : Date.parse(value);
+        if (Number.isNaN(time) || (!clock && /^\d{1,2}:\d{2}/.test(value))) {
+            throw new ConfigError(flag + ' must be HH:MM, HH:MM:SS or a date and time, got ' + JSON.stringify(value));
         }
-    }, 500);
+        return time;
+    }
+
+    const from = parseTime('--from', options.from);
+    const to = parseTime('--to', options.to);
+    if (from !== null && to !== null && from > to) {
+        throw new ConfigError('--from must not be after --to');
+    }
+    return {
+        logPath: logPathFor(date, config),
+        from: from,
+        to: to,
+        sessionId: options.session || null,
+        runId: options.run || null,
+        dryRun: Boolean(options.dryRun),
+    };
+}
+
+/**
+ * Whether a replay should process a log line. Filters apply to run starts;
+ * every other line goes through, and only affects runs that were tracked.
+ */
+function replayWants(line, replay) {
+    const start = parseRunStart(line);
+    if (!start) return true;
+    if (replay.from !== null && start.at < replay.from) return false;
+    if (replay.to !== null && start.at > replay.to) return false;
+    if (replay.sessionId && start.sessionId !== replay.sessionId) return false;
+    if (replay.runId && start.runId !== replay.runId) return false;
+    return true;
+}
+
+/**
+ * Print a message the way it would be sent, for `replay --dry-run`.
+ */
+function printDryRun(item) {
+    const lines = [
+        '[Dry run] ' + item.destination.channel + ':' + item.destination.target +
+            (item.format && item.format !== 'markdown' ? ' (' + item.format + ')' : '') +
+            (item.runId ? ' run ' + item.runId : ''),
+        item.text,
+    ];
+    const file = item.photo || item.document;
+    if (file) lines.push('[Attached ' + file.filename + ']');
+    if (file && !file.path && !file.encoding) lines.push(file.content);
+    console.log(lines.join('\n') + '\n');
+    return Promise.resolve();
 }
 
-function startTailing(logPath) {
-    if (currentTail) {
-        currentTail.kill();
+/**
+ * Create a mirror daemon: everything it tracks (runs, caches, threads, the
+ * log it follows, its queues and timers) belongs to the instance, so several
+ * can run in one process. Returns an EventEmitter with start() and stop().
+ *
+ * Options:
+ *   config                 a resolved configuration, from loadConfig() or
+ *                          resolveConfig() (default: the defaults)
+ *   filter(text, info)     return false to not mirror a run's text
+ *   transform(text, info)  return the text to mirror instead; null skips the run
+ * Both hooks may return a Promise. `info` is { runId, sessionId, agent,
+ * messageChannel, model, fields, turn }. They run before redaction and the
+ * header and footer, so redaction still applies to what they return.
+ *
+ * Events:
+ *   'runStart'   (runId, run)          a run matching a route started
+ *   'toolEvent'  (event, run)          a tracked run started or finished a tool call
+ *   'runDone'    (runId, run, result)  a tracked run finished; result is
+ *                                      { status: 'ok' | 'aborted' | 'failed', durationMs }
+ *   'alert'      (kind, runId, run)    a run was aborted, failed or got stuck
+ *   'mirrored'   (item, result)        a message was sent; result is what its transport returned
+ *   'sendFailed' (item)                a message was given up on; item.lastError says why
+ *   'rotated'    ({ from, to, date })  the daemon switched to a newer day's log
+ */
+function createMirrorDaemon(options) {
+    const opts = options || {};
+    const daemon = new EventEmitter();
+
+    // Resolved configuration. Functions default to it; tests pass their own.
+    const activeConfig = opts.config || defaultConfig();
+
+    const mirroredCache = new Set(); // hashMessage(destination + text) of recent sends
+
+    // Reads session transcripts from the end, remembering what it has parsed per file.
+    const sessionReader = createSessionReader();
+
+    // Which agent owns which session, for runs whose log line does not say.
+    const agentIndex = createAgentIndex({
+        onAgent: function(name) {
+            console.log('[Mirror] Found agent ' + name);
+        },
+    });
+
+    // Which session each sent message came from, for the bridge; checkpointed.
+    const sentIndex = createSentIndex();
+
+    // Per-session settings from /mirror directives in the chat; checkpointed.
+    const sessionModes = createSessionModes();
+
+    // Per-session threads in destinations that have `threads` set; checkpointed.
+    const threadRegistry = createThreadRegistry({
+        onCreated: function(destination, sessionId, title, threadId) {
+            console.log('[Mirror] Started ' + (destination.threads === 'topic' ? 'topic' : 'reply thread') + ' "' + title +
+                '" (' + threadId + ') for session ' + sessionId + ' in ' + destination.channel + ':' + destination.target);
+            checkpointDirty = true;
+        },
+    });
+
+    // Track which runIds we've already processed to avoid duplicates
+    const processedRuns = new Set();
+
+    // Track routed runs: when we see "run start" that matches at least one route,
+    // record the run. When we see "run done" with that runId, fetch the response.
+    const trackedRuns = new Map(); // runId -> { sessionId, messageChannel, model, agent, fields, startedAt, lastError, tools?, doneAt? }
+
+    // Runs that are done but whose reply has not been delivered yet. Kept in the
+    // checkpoint so a restart in between still delivers them.
+    const pendingRuns = new Map(); // runId -> { sessionId, messageChannel, model, agent, ... } as in trackedRuns
+
+    // Outbound queues, one per config object. start() registers one backed by
+    // queueFile; any other config (tests, replays) gets an in-memory queue on first use.
+    const outboundQueues = new WeakMap();
+
+    let currentTail = null;
+    let currentLogDate = null;
+
+    // Old logs still being followed for rotationGraceMs after a switch.
+    const drainingTails = new Map(); // follower -> timer that stops it
+
+    // Set whenever run tracking changes; the checkpoint timer saves and clears it.
+    let checkpointDirty = false;
+    // Log position from the loaded checkpoint, kept until a follower takes over.
+    let resumePosition = { logPath: null, offset: 0 };
+
+    // Timers and the log directory watcher, cleared by stop().
+    const timers = new Set();
+    let logWatcher = null;
+    let running = false;
+
+    // For /healthz, /status and /metrics (see status_server.js).
+    const metrics = createMetrics();
+    let lastLineAt = null; // epoch ms
+    let lastDeliveryLag = null; // seconds from "run done" to delivery, last message sent
+    let statusServer = null;
+
+    // Runtime controls (see control.js), kept in the checkpoint.
+    const muted = new Set(); // session IDs not mirrored
+    let paused = false;
+    let controlServer = null;
+    // deliverRun() calls under way, for drain().
+    const deliveries = new Set();
+
+    /**
+     * setTimeout that stop() cancels.
+     */
+    function later(fn, delay) {
+        const timer = setTimeout(function() {
+            timers.delete(timer);
+            fn();
+        }, delay);
+        timers.add(timer);
+        return timer;
+    }
+
+    /**
+     * Emit an event. A listener that throws is logged, so it cannot stop
+     * the log from being followed.
+     */
+    function notify(event) {
+        try {
+            daemon.emit.apply(daemon, arguments);
+        } catch (err) {
+            console.error('[Mirror] A ' + event + ' listener failed: ' + err.message);
+        }
+    }
+
+    /**
+     * The transcript file of a session. With sessionsDir set, every session is
+     * there. Otherwise it is under its agent in agentsDir; without a known agent,
+     * under whichever agent has the file, or main if none has it yet.
+     */
+    function sessionPath(sessionId, config, agent) {
+        if (config.sessionsDir) return path.join(config.sessionsDir, sessionId + '.jsonl');
+        return sessionFile(config.agentsDir, agent || agentIndex.agentForSession(sessionId, config.agentsDir) || 'main', sessionId);
+    }
+
+    /**
+     * The agent a run belongs to: named in its log line, or the one with its
+     * session's file. Null if neither tells.
+     */
+    function findAgent(sessionId, fields, config) {
+        const named = agentFromFields(fields);
+        if (named) return named;
+        return config.sessionsDir ? null : agentIndex.agentForSession(sessionId, config.agentsDir);
+    }
+
+    /**
+     * Read the last assistant text message from a session JSONL file.
+     * Returns the text content or null.
+     */
+    function getLastAssistantText(sessionId, config) {
+        config = config || activeConfig;
+        let text = null;
+        sessionReader.walkBackward(sessionPath(sessionId, config), function(item) {
+            if (item.message.role !== 'assistant') return false;
+            text = messageText(item.message);
+            return text !== null;
+        });
+        return text;
+    }
+
+    /**
+     * The title for a session's thread, from its first user message. It leaves
+     * the machine as the topic name, so it is redacted like a reply.
+     */
+    function sessionTitle(sessionId, config, agent) {
+        let text = null;
+        walkForward(sessionPath(sessionId, config, agent), function(item) {
+            if (item.message.role !== 'user') return false;
+            text = parseDirectives(messageText(item.message)).text;
+            return text !== null;
+        });
+        const redaction = redactionFor(config);
+        // A title the deny/allow rules would stop falls back to the session ID.
+        if (!text || blockReason(text, redaction)) return threadTitle(null, sessionId);
+        return threadTitle(redact(text, redaction).text, sessionId);
+    }
+
+    /**
+     * Read the last turn of a session: the user message that started it, the
+     * assistant text written between tool rounds, the final reply, and the
+     * images and files in the turn's assistant messages (see attachments.js).
+     * Returns { prompt, progress: [text], reply, attachments } or null if there
+     * is no reply. `prompt` is null if the turn's user message has no text;
+     * `reply` is '' if the turn has attachments but no text.
+     *
+     * With `run` ({ runId, from, to, agent }, times in epoch ms), only that run's
+     * turn counts, read from its agent's transcript: entries tagged with another
+     * run ID or timestamped after `to` belong to a later run and are skipped, and
+     * an assistant entry timestamped before `from` means this run's reply has not
+     * been written yet. Entries with neither a run ID nor a timestamp are taken
+     * as they come.
+     */
+    function getLastTurn(sessionId, config, run) {
+        config = config || activeConfig;
+        const assistantTexts = [];
+        const attachments = [];
+        let prompt = null;
+        sessionReader.walkBackward(sessionPath(sessionId, config, run && run.agent), function(item) {
+            const message = item.message;
+            if (run && item.runId && item.runId !== run.runId) return false;
+            if (run && !item.runId && item.time !== null && run.to && item.time > run.to + TRANSCRIPT_SLACK_MS) return false;
+            if (message.role === 'user') {
+                prompt = messageText(message);
+                return true;
+            }
+            if (message.role !== 'assistant') return false;
+            if (run && !item.runId && item.time !== null && run.from && item.time < run.from - TRANSCRIPT_SLACK_MS) return true;
+            const text = messageText(message);
+            if (text) assistantTexts.unshift(text);
+            attachments.unshift.apply(attachments, extractAttachments(message));
+            return false;
+        });
+
+        if (assistantTexts.length === 0 && attachments.length === 0) return null;
+        return {
+            prompt: prompt,
+            progress: assistantTexts.slice(0, -1),
+            reply: assistantTexts.length > 0 ? assistantTexts[assistantTexts.length - 1] : '',
+            attachments: attachments,
+        };
+    }
+
+    /**
+     * The user message that started a run, as getLastTurn() finds it but
+     * without waiting for a reply, or null. For runs that end without one.
+     */
+    function getRunPrompt(sessionId, config, run) {
+        let prompt = null;
+        sessionReader.walkBackward(sessionPath(sessionId, config, run.agent), function(item) {
+            if (item.runId && item.runId !== run.runId) return false;
+            if (!item.runId && item.time !== null && run.to && item.time > run.to + TRANSCRIPT_SLACK_MS) return false;
+            if (item.message.role !== 'user') return false;
+            prompt = messageText(item.message);
+            return true;
+        });
+        return prompt;
+    }
+
+    /**
+     * Add a sent message's hash to mirroredCache, evicting the oldest past cacheSize.
+     */
+    function rememberSent(cacheKey, config) {
+        mirroredCache.add(cacheKey);
+        if (mirroredCache.size > config.cacheSize) {
+            const first = mirroredCache.values().next().value;
+            mirroredCache.delete(first);
+        }
+    }
+
+    /**
+     * Build an outbound queue that delivers through the config's transports and
+     * records each message in mirroredCache only once it has actually been sent.
+     */
+    function createQueueFor(config, overrides) {
+        return createOutboundQueue(Object.assign({
+            deadLetterFile: config.deadLetterFile,
+            maxAttempts: config.sendMaxAttempts,
+            baseDelayMs: config.retryBaseDelayMs,
+            maxDelayMs: config.retryMaxDelayMs,
+            rateLimitMs: config.rateLimitPerTargetMs,
+            send: function(item) {
+                const message = {
+                    channel: item.destination.channel,
+                    target: item.destination.target,
+                    text: item.text,
+                };
+                if (item.format && item.format !== 'markdown') message.format = item.format;
+                if (item.document) message.document = item.document;
+                if (item.photo) message.photo = item.photo;
+                const transport = getTransport(item.destination, config);
+                if (!item.thread || !item.destination.threads) return transport.send(message);
+                return sendInThread(item, message, transport);
+            },
+            onSent: function(item, result) {
+                console.log('[Sent to ' + item.destination.channel + ':' + item.destination.target + '] ' + item.text.substring(0, 80) + '...');
+                notify('mirrored', item, result);
+                metrics.increment('messagesSent');
+                if (item.doneAt) lastDeliveryLag = (Date.now() - item.doneAt) / 1000;
+                if (config.bridge !== 'off' && item.session && result && result.messageId) {
+                    sentIndex.remember(item.destination.channel, result.chatId || item.destination.target, result.messageId, item.session);
+                    checkpointDirty = true;
+                }
+                if (!item.cacheKey) return;
+                rememberSent(item.cacheKey, config);
+                checkpointDirty = true;
+            },
+            onError: function() {
+                metrics.increment('sendFailures');
+            },
+            onDeadLetter: function(item) {
+                console.error('[Mirror] Giving up on message to ' + item.destination.channel + ':' + item.destination.target +
+                    ' after ' + item.attempts + ' attempts: ' + item.lastError);
+                metrics.increment('deadLetters');
+                notify('sendFailed', item);
+            },
+        }, overrides));
+    }
+
+    /**
+     * Send a queued message into its session's thread, creating the thread
+     * first if needed. If the chat says the thread is gone, it is forgotten and
+     * the send fails, so the queue's retry starts a new one.
+     */
+    function sendInThread(item, message, transport) {
+        const destination = item.destination;
+        const sessionId = item.thread.sessionId;
+        return threadRegistry.resolve(destination, sessionId, item.thread.title, transport).then(function(thread) {
+            message.thread = thread;
+            return transport.send(message);
+        }).catch(function(err) {
+            if (message.thread && THREAD_GONE.test(err.message)) {
+                console.error('[Mirror] Thread ' + message.thread.id + ' for session ' + sessionId + ' is gone; starting a new one');
+                threadRegistry.forget(destination, sessionId);
+                checkpointDirty = true;
+            }
+            throw err;
+        });
+    }
+
+    function getOutboundQueue(config) {
+        config = config || activeConfig;
+        let queue = outboundQueues.get(config);
+        if (!queue) {
+            queue = createQueueFor(config);
+            queue.start();
+            outboundQueues.set(config, queue);
+        }
+        return queue;
+    }
+
+    /**
+     * Queue text for one route destination, converted to the destination's
+     * format and prefixed with the route's echo tag, followed by one message per
+     * file from prepareAttachments(), captioned with the tag and its name.
+     * Options: files; thread ({ sessionId, title }) for destinations that have
+     * threads; session ({ sessionId, agent }), the run's session for the bridge;
+     * doneAt, when the run finished, for the delivery lag metrics.
+     *
+     * A reply longer than maxMessageLength is split into numbered chunks, queued
+     * in order. With documentThreshold set, a reply longer than that is sent once
+     * as a .md document with a short caption instead. Each message is keyed by
+     * its own hash, so chunks already sent or still queued are skipped.
+     */
+    function enqueueDelivery(text, destination, tag, runId, config, options) {
+        config = config || activeConfig;
+        const opts = options || {};
+        const queue = getOutboundQueue(config);
+        const prefix = destination.channel + ':' + destination.target + '\n';
+        const format = destination.format || config.messageFormat;
+        const escape = function(literal) { return escapeText(literal, format); };
+        const sendTag = escape(tag);
+
+        function enqueue(entry, contentKey) {
+            const cacheKey = hashMessage(prefix + entry.text + (contentKey ? '\n' + contentKey : ''));
+            if (mirroredCache.has(cacheKey)) return null;
+            if (queue.has(function(item) { return item.cacheKey === cacheKey; })) return null;
+            const item = Object.assign({ destination: destination, format: format, cacheKey: cacheKey, runId: runId }, entry);
+            if (opts.thread && destination.threads) item.thread = opts.thread;
+            if (opts.session) item.session = opts.session;
+            if (opts.doneAt) item.doneAt = opts.doneAt;
+            return queue.enqueue(item);
+        }
+
+        const queued = [];
+        if (config.documentThreshold > 0 && text.length > config.documentThreshold) {
+            const preview = text.split('\n')[0].substring(0, 200);
+            queued.push(enqueue({
+                text: escape(tag + ' ' + preview + '\n\n(full reply attached, ' + text.length + ' characters)'),
+                document: { filename: 'reply-' + (runId || 'message') + '.md', content: text },
+            }));
+        } else if (text) {
+            const whole = formatMarkdown(text, format);
+            const limit = Math.max(1, config.maxMessageLength - sendTag.length - 1 - NUMBERING_RESERVE);
+            const chunks = whole.length + sendTag.length + 1 <= config.maxMessageLength
+                ? [whole]
+                : numberChunks(formatChunks(text, limit, format), escape);
+            for (const chunk of chunks) {
+                queued.push(enqueue({ text: withTag(sendTag, chunk) }));
+            }
+        }
+
+        for (const file of opts.files || []) {
+            const entry = { text: escape(tag + ' ' + file.filename) };
+            entry[file.kind] = file.path
+                ? { filename: file.filename, contentType: file.contentType, path: file.path }
+                : { filename: file.filename, contentType: file.contentType, content: file.content, encoding: file.encoding };
+            queued.push(enqueue(entry, file.key));
+        }
+        return queued.filter(Boolean);
+    }
+
+    /**
+     * Remember an error line on the tracked run it names, by run or session ID.
+     */
+    function noteRunError(errorInfo) {
+        let run = errorInfo.runId ? trackedRuns.get(errorInfo.runId) : null;
+        if (!run && errorInfo.sessionId) {
+            for (const candidate of trackedRuns.values()) {
+                if (candidate.sessionId === errorInfo.sessionId) run = candidate;
+            }
+        }
+        if (!run) return;
+        run.lastError = errorInfo.message.substring(0, 500);
+        checkpointDirty = true;
+    }
+
+    /**
+     * Report an aborted, failed or stuck run: always to the log, and to
+     * alertTarget when one is configured. `elapsedMs` falls back to the time
+     * since the run started.
+     */
+    function raiseAlert(kind, runId, run, elapsedMs, config) {
+        config = config || activeConfig;
+        const elapsed = typeof elapsedMs === 'number' ? elapsedMs
+            : (typeof run.startedAt === 'number' ? Date.now() - run.startedAt : null);
+        // Error messages can quote credentials too.
+        const text = redact(formatAlert(kind, runId, run, elapsed), redactionFor(config)).text;
+        const lastError = run.lastError ? redact(run.lastError, redactionFor(config)).text : null;
+        console.error('[Mirror] ' + ALERT_TITLES[kind] + ': ' + runId + ' session=' + run.sessionId +
+            (lastError ? ' (' + lastError.substring(0, 120) + ')' : ''));
+        metrics.increment('alerts');
+        notify('alert', kind, runId, run);
+        if (!config.alertTarget) return;
+
+        const destination = { channel: config.alertChannel, target: config.alertTarget };
+        if (config.alertTransport) destination.transport = config.alertTransport;
+        enqueueDelivery(text, destination, config.ignoreTag, runId, config);
+    }
+
+    /**
+     * Evict tracked runs older than runTtlMs, alerting for each as stuck.
+     * Keeps trackedRuns bounded when "run done" never arrives.
+     */
+    function sweepRuns(now, config) {
+        config = config || activeConfig;
+        for (const [runId, run] of trackedRuns) {
+            if (typeof run.startedAt !== 'number') {
+                // Restored from a checkpoint written before runs were timed.
+                run.startedAt = now;
+                continue;
+            }
+            const elapsed = now - run.startedAt;
+            if (elapsed < config.runTtlMs) continue;
+            trackedRuns.delete(runId);
+            checkpointDirty = true;
+            raiseAlert('stuck', runId, run, elapsed, config);
+            applyRunDirectives(runId, run, config);
+        }
+    }
+
+    function startRunSweeper(config) {
+        timers.add(setInterval(function() {
+            sweepRuns(Date.now(), config);
+        }, Math.min(60000, config.runTtlMs)));
+    }
+
+    /**
+     * Feed one log line through run tracking. Returns the delivery promise when
+     * the line finishes a run that is being mirrored, undefined otherwise.
+     */
+    function processLine(line, config) {
+        config = config || activeConfig;
+        if (!line || !line.trim()) return;
+
+        if (config.bridge !== 'off') {
+            const inbound = parseInboundMessage(line);
+            if (inbound) return bridgeInbound(inbound, config);
+        }
+
+        const errorInfo = parseErrorLine(line);
+        if (errorInfo) noteRunError(errorInfo);
+
+        const startInfo = parseRunStart(line);
+        if (startInfo) {
+            const run = {
+                sessionId: startInfo.sessionId,
+                messageChannel: startInfo.messageChannel,
+                model: startInfo.model,
+                agent: findAgent(startInfo.sessionId, startInfo.fields, config),
+                fields: startInfo.fields,
+                startedAt: startInfo.at,
+                lastError: null,
+            };
+            if (matchRoutes(routesFor(config), run).length > 0) {
+                trackedRuns.set(startInfo.runId, run);
+                checkpointDirty = true;
+                console.log('[Mirror] Tracking ' + startInfo.messageChannel + ' run: ' + startInfo.runId + ' session=' + startInfo.sessionId +
+                    (run.agent ? ' agent=' + run.agent : ''));
+                metrics.increment('runsTracked');
+                notify('runStart', startInfo.runId, run);
+            }
+            return;
+        }
+
+        const toolEvent = parseToolEvent(line);
+        if (toolEvent) {
+            const run = trackedRuns.get(toolEvent.runId);
+            if (run) {
+                run.tools = recordToolEvent(run.tools, toolEvent);
+                checkpointDirty = true;
+                notify('toolEvent', toolEvent, run);
+            }
+            return;
+        }
+
+        const doneInfo = parseWebchatRunDone(line);
+        if (!doneInfo) return;
+
+        const run = trackedRuns.get(doneInfo.runId);
+        if (!run) return;
+
+        trackedRuns.delete(doneInfo.runId);
+        run.fields = Object.assign({}, run.fields, doneInfo.fields);
+        checkpointDirty = true;
+
+        if (processedRuns.has(doneInfo.runId)) return;
+        processedRuns.add(doneInfo.runId);
+        if (processedRuns.size > config.processedRunsMax) {
+            const first = processedRuns.values().next().value;
+            processedRuns.delete(first);
+        }
+
+        run.doneAt = doneInfo.at;
+        const fields = doneInfo.fields;
+        const failure = doneInfo.aborted ? 'aborted'
+            : (fields.isError === 'true' || fields.status === 'error' || fields.error) ? 'failed' : null;
+        notify('runDone', doneInfo.runId, run, { status: failure || 'ok', durationMs: doneInfo.durationMs });
+        if (failure) {
+            // The transcript's last reply predates this run; mirroring it would repeat an old answer.
+            if (fields.error && !run.lastError) run.lastError = fields.error;
+            raiseAlert(failure, doneInfo.runId, run, doneInfo.durationMs, config);
+            applyRunDirectives(doneInfo.runId, run, config);
+            return;
+        }
+
+        console.log('[Mirror] ' + run.messageChannel + ' run done: ' + doneInfo.runId + ' session=' + run.sessionId);
+
+        pendingRuns.set(doneInfo.runId, run);
+        return deliverRun(doneInfo.runId, config);
+    }
+
+    /**
+     * Pass an inbound message that answers one of our mirrored messages into
+     * the session that message came from, through bridgeTransport. Messages
+     * carrying a mirror tag are dropped, so a mirrored reply never comes back
+     * as a prompt. Resolves once it has been handed over (or failed, which is
+     * logged).
+     */
+    function bridgeInbound(inbound, config) {
+        if (!inbound.replyTo) return undefined;
+        const session = sentIndex.lookup(inbound.channel, inbound.chatId, inbound.replyTo);
+        if (!session || !sentIndex.claim(inbound)) return undefined;
+
+        const label = inbound.channel + ' message ' + inbound.messageId + (inbound.from ? ' from ' + inbound.from : '');
+        if (shouldIgnore(inbound.text, config)) {
+            metrics.increment('echoesIgnored');
+            console.log('[Mirror] Not bridging ' + label + ': it carries a mirror tag');
+            return undefined;
+        }
+        if (!senderAllowed(inbound.from, config.bridgeAllowFrom)) {
+            console.log('[Mirror] Not bridging ' + label + ': sender is not in bridgeAllowFrom');
+            return undefined;
+        }
+
+        const transport = getTransport({ transport: config.bridgeTransport }, config);
+        return Promise.resolve().then(function() {
+            return transport.inject({ sessionId: session.sessionId, agent: session.agent, text: formatInjected(inbound) });
+        }).then(function() {
+            console.log('[Mirror] Bridged ' + label + ' into session ' + session.sessionId);
+        }, function(err) {
+            console.error('[Mirror] Failed to bridge ' + label + ' into session ' + session.sessionId + ': ' + err.message);
+        });
+    }
+
+    /**
+     * Run a run's text through the filter and transform hooks. Resolves with
+     * the text to mirror, or null if a hook dropped it or failed.
+     */
+    function applyHooks(text, info) {
+        return Promise.resolve().then(function() {
+            return opts.filter ? opts.filter(text, info) : true;
+        }).then(function(wanted) {
+            if (wanted === false) {
+                console.log('[Mirror] Not mirroring run ' + info.runId + ': dropped by the filter hook');
+                return null;
+            }
+            return opts.transform ? opts.transform(text, info) : text;
+        }).then(function(result) {
+            if (result === null || result === undefined) return null;
+            if (typeof result !== 'string') throw new Error('transform returned ' + typeof result + ', not a string');
+            return result;
+        }).catch(function(err) {
+            console.error('[Mirror] Not mirroring run ' + info.runId + ': hook failed: ' + err.message);
+            return null;
+        });
+    }
+
+    /**
+     * Queue a run's text, redacted and decorated, and its turn's attachments
+     * for every matching route, or only for the route named `alias` when the
+     * session was sent there with "/mirror to".
+     */
+    function queueRun(text, turn, run, runId, config, alias) {
+        const routes = alias
+            ? routesFor(config).filter(function(route) { return route.name === alias; })
+            : matchRoutes(routesFor(config), run);
+        if (alias && routes.length === 0) {
+            console.error('[Mirror] Not mirroring run ' + runId + ': session ' + run.sessionId + ' mirrors to ' + alias + ', and no route has that name');
+            return;
+        }
+        const filtered = filterReply(text, runId, config);
+        if (filtered === null) return;
+        const media = prepareAttachments(turn.attachments, config);
+        const mediaCounts = formatCounts(media.counts);
+        if (mediaCounts) console.log('[Mirror] Redacted ' + mediaCounts + ' in the attachments of run ' + runId);
+        const body = [filtered, media.notes.join('\n')].filter(Boolean).join('\n\n');
+        const decorated = body ? decorate(body, run, runId, config) : '';
+        let thread = null;
+        let queued = 0;
+        for (const route of routes) {
+            const tag = route.ignoreTag || config.ignoreTag;
+            for (const destination of route.destinations) {
+                if (destination.threads && !thread) {
+                    thread = { sessionId: run.sessionId, title: sessionTitle(run.sessionId, config, run.agent) };
+                }
+                queued += enqueueDelivery(decorated, destination, tag, runId, config, {
+                    files: media.files,
+                    thread: thread,
+                    session: { sessionId: run.sessionId, agent: run.agent || null },
+                    doneAt: run.doneAt || null,
+                }).length;
+            }
+        }
+        if (queued > 0) metrics.increment('runsMirrored');
+    }
+
+    /**
+     * Apply the /mirror directives in a turn's user message to its session
+     * (see directives.js). "/mirror to" an alias that no route is named is
+     * ignored. Returns { turn, mirror, alias }: the turn with the directives
+     * taken out of its prompt, whether to mirror it, and the route to send it
+     * to (null for the routes that match the run).
+     */
+    function applyDirectives(turn, run, config) {
+        const parsed = parseDirectives(turn.prompt);
+        const names = routesFor(config).map(function(route) { return route.name; });
+        const directives = parsed.directives.filter(function(directive) {
+            if (directive.action !== 'to' || names.includes(directive.alias)) return true;
+            console.error('[Mirror] Ignoring "/mirror to ' + directive.alias + '" in session ' + run.sessionId + ': no route has that name');
+            return false;
+        });
+        const before = describeMode(sessionModes.get(run.sessionId));
+        const decision = sessionModes.apply(run.sessionId, directives);
+        const after = describeMode(sessionModes.get(run.sessionId));
+        if (after !== before) {
+            console.log('[Mirror] Mirroring ' + after + ' for session ' + run.sessionId);
+            checkpointDirty = true;
+        }
+        return {
+            turn: parsed.directives.length > 0 ? Object.assign({}, turn, { prompt: parsed.text }) : turn,
+            mirror: decision.mirror,
+            alias: decision.alias,
+        };
+    }
+
+    /**
+     * Apply the directives of a run that ends without a reply to mirror
+     * (failed, aborted, stuck or never written), so "/mirror off" in it still
+     * covers the session's next turn.
+     */
+    function applyRunDirectives(runId, run, config) {
+        if (!run.agent) run.agent = findAgent(run.sessionId, run.fields, config);
+        const window = { runId: runId, from: run.startedAt || null, to: run.doneAt || null, agent: run.agent };
+        applyDirectives({ prompt: getRunPrompt(run.sessionId, config, window) }, run, config);
+    }
+
+    /**
+     * Wait for a finished run's reply to be written to its session transcript
+     * and settle, then pass it (or, in turn mode, its whole turn) through the
+     * hooks and queue it for every matching route. Once queued, the outbound
+     * queue owns delivery and its retries. Resolves when the run has been
+     * handled, or given up on after transcriptTimeoutMs or an error. Runs of
+     * a muted session, or of one turned off with "/mirror off", are dropped
+     * here.
+     */
+    function deliverRun(runId, config) {
+        config = config || activeConfig;
+        const run = pendingRuns.get(runId);
+        if (!run) return Promise.resolve();
+
+        // The session's file may not have existed yet when the run started.
+        if (!run.agent) run.agent = findAgent(run.sessionId, run.fields, config);
+        const window = { runId: runId, from: run.startedAt || null, to: run.doneAt || null, agent: run.agent };
+        const delivery = waitForStableMatch(sessionPath(run.sessionId, config, run.agent), function() {
+            return getLastTurn(run.sessionId, config, window);
+        }, {
+            stableMs: config.transcriptStableMs,
+            timeoutMs: config.transcriptTimeoutMs,
+            pollMs: config.transcriptPollMs,
+        }).then(function(turn) {
+            if (!pendingRuns.has(runId)) return false;
+
+            if (!turn) {
+                console.error('[Mirror] No reply for run ' + runId + ' in ' + sessionPath(run.sessionId, config, run.agent) +
+                    ' after ' + config.transcriptTimeoutMs + 'ms; not mirroring it');
+                applyRunDirectives(runId, run, config);
+                return true;
+            }
+            const setting = applyDirectives(turn, run, config);
+            turn = setting.turn;
+            if (muted.has(run.sessionId)) {
+                console.log('[Mirror] Not mirroring run ' + runId + ': session ' + run.sessionId + ' is muted');
+                return true;
+            }
+            if (!setting.mirror) {
+                console.log('[Mirror] Not mirroring run ' + runId + ': mirroring is off for session ' + run.sessionId);
+                return true;
+            }
+            if (turn.reply ? shouldIgnore(turn.reply, config) : config.mirrorAttachments === 'off') {
+                if (turn.reply.trim()) metrics.increment('echoesIgnored');
+                console.log('[Mirror] No text to mirror for run ' + runId);
+                return true;
+            }
+            const info = {
+                runId: runId,
+                sessionId: run.sessionId,
+                agent: run.agent || null,
+                messageChannel: run.messageChannel,
+                model: run.model,
+                fields: run.fields,
+                turn: turn,
+            };
+            return applyHooks(config.mirrorMode === 'turn' ? formatTurn(turn) : turn.reply, info).then(function(text) {
+                if (text !== null) queueRun(text, turn, run, runId, config, setting.alias);
+                return true;
+            });
+        }).then(function(handled) {
+            if (!handled) return;
+            pendingRuns.delete(runId);
+            checkpointDirty = true;
+        }).catch(function(err) {
+            // Retrying would most likely fail the same way, on every restart.
+            console.error('[Mirror] Failed to mirror run ' + runId + ', dropping it: ' + err.message);
+            pendingRuns.delete(runId);
+            checkpointDirty = true;
+        });
+        const settled = function() { deliveries.delete(delivery); };
+        deliveries.add(delivery);
+        delivery.then(settled, settled);
+        return delivery;
+    }
+
+    /**
+     * Snapshot everything needed to resume after a restart.
+     */
+    function captureState() {
+        const position = currentTail
+            ? { logPath: currentTail.getPath(), offset: currentTail.getOffset() }
+            : resumePosition;
+        return {
+            logPath: position.logPath,
+            offset: position.offset,
+            openRuns: Object.fromEntries(trackedRuns),
+            pendingRuns: Object.fromEntries(pendingRuns),
+            processedRuns: Array.from(processedRuns),
+            sentHashes: Array.from(mirroredCache),
+            threads: threadRegistry.snapshot(),
+            sentMessages: sentIndex.snapshot(),
+            muted: Array.from(muted),
+            paused: paused,
+            sessionModes: sessionModes.snapshot(),
+        };
+    }
+
+    /**
+     * Load a checkpoint's runs and caches, and reschedule delivery of runs that
+     * finished before the restart but were never sent.
+     */
+    function restoreState(state, config) {
+        config = config || activeConfig;
+        resumePosition = { logPath: state.logPath, offset: state.offset };
+        for (const runId of Object.keys(state.openRuns)) {
+            trackedRuns.set(runId, state.openRuns[runId]);
+        }
+        for (const runId of state.processedRuns) processedRuns.add(runId);
+        for (const hash of state.sentHashes) mirroredCache.add(hash);
+        threadRegistry.restore(state.threads);
+        sentIndex.restore(state.sentMessages);
+        for (const sessionId of state.muted || []) muted.add(sessionId);
+        sessionModes.restore(state.sessionModes);
+        if (state.paused) setPaused(true, config);
+        for (const runId of Object.keys(state.pendingRuns)) {
+            pendingRuns.set(runId, state.pendingRuns[runId]);
+            console.log('[Mirror] Resuming delivery of run ' + runId);
+            deliverRun(runId, config);
+        }
+    }
+
+    function writeStateFile(config) {
+        try {
+            saveCheckpoint(config.stateFile, captureState());
+            checkpointDirty = false;
+        } catch (err) {
+            console.error('[Mirror] Failed to save checkpoint ' + config.stateFile + ': ' + err.message);
+        }
+    }
+
+    function startCheckpointing(config) {
+        let lastOffset = null;
+        timers.add(setInterval(function() {
+            const offset = currentTail ? currentTail.getOffset() : null;
+            if (!checkpointDirty && offset === lastOffset) return;
+            lastOffset = offset;
+            writeStateFile(config);
+        }, config.checkpointIntervalMs));
+    }
+
+    /**
+     * Add what a replay sent to the checkpoint in stateFile: the hashes of its
+     * messages, so replaying the same log again skips them, and any threads
+     * it created. The rest of the checkpoint is kept as it is on disk; an
+     * unreadable checkpoint is left alone.
+     */
+    function saveReplayed(sentKeys, config) {
+        try {
+            const checkpoint = loadCheckpoint(config.stateFile) || {
+                logPath: null, offset: 0, openRuns: {}, pendingRuns: {}, processedRuns: [], sentHashes: [], threads: {},
+            };
+            const sent = new Set(sentKeys);
+            const threads = Object.assign({}, checkpoint.threads);
+            const replayThreads = threadRegistry.snapshot();
+            for (const key of Object.keys(replayThreads)) threads[key] = Object.assign({}, threads[key], replayThreads[key]);
+            saveCheckpoint(config.stateFile, Object.assign({}, checkpoint, {
+                sentHashes: checkpoint.sentHashes.filter(function(hash) { return !sent.has(hash); }).concat(sentKeys).slice(-config.cacheSize),
+                threads: threads,
+            }));
+        } catch (err) {
+            console.error('[Mirror] Failed to save checkpoint ' + config.stateFile + ': ' + err.message);
+        }
+    }
+
+    /**
+     * Read whatever is left in a log file from an offset, synchronously.
+     */
+    function catchUpLog(logPath, offset, config) {
+        if (!fs.existsSync(logPath)) return;
+        console.log('[Mirror] Catching up ' + logPath + ' from offset ' + offset);
+        const follower = createLogFollower(logPath, { startOffset: offset });
+        follower.on('line', function(line) {
+            lastLineAt = Date.now();
+            processLine(line, config);
+        });
+        follower.on('error', function(err) {
+            console.error('[Mirror] Error catching up ' + logPath + ': ' + err.message);
+        });
+        follower.check();
+        follower.stop();
+    }
+
+    function startTailing(logPath, startOffset, config) {
+        config = config || activeConfig;
+        if (currentTail) {
+            currentTail.stop();
+            currentTail = null;
+        }
+
+        console.log('[Mirror] Following ' + logPath + (startOffset === undefined ? '' : ' from offset ' + startOffset));
+        const follower = createLogFollower(logPath, { startOffset: startOffset });
+        currentTail = follower;
+
+        follower.on('line', function(line) {
+            lastLineAt = Date.now();
+            processLine(line, config);
+        });
+        follower.on('truncated', function() {
+            console.log('[Mirror] ' + logPath + ' was truncated, reading from the start');
+        });
+        follower.on('rotated', function() {
+            console.log('[Mirror] ' + logPath + ' was replaced, reading the new file');
+        });
+        follower.on('missing', function() {
+            console.log('[Mirror] ' + logPath + ' was deleted, waiting for it to reappear');
+        });
+        follower.on('error', function(err) {
+            console.error('[Mirror] Error following ' + logPath + ': ' + err.message);
+        });
+
+        follower.start();
+    }
+
+    /**
+     * Switch to a newer day's log. Runs in flight carry over, since they are
+     * keyed by run ID, not by file. The old file is read to its end and then
+     * followed for rotationGraceMs more, for lines OpenClaw flushes late; the new
+     * one is read from its start, so nothing written before the switch is missed.
+     */
+    function rotateTo(log, config) {
+        config = config || activeConfig;
+        console.log('[Mirror] New log ' + log.path + ' (' + currentLogDate + ' -> ' + log.date + ')');
+        currentLogDate = log.date;
+
+        const old = currentTail;
+        notify('rotated', { from: old ? old.getPath() : null, to: log.path, date: log.date });
         currentTail = null;
+        if (old) {
+            old.check();
+            drainingTails.set(old, setTimeout(function() {
+                old.check();
+                old.stop();
+                drainingTails.delete(old);
+                console.log('[Mirror] Finished ' + old.getPath());
+            }, config.rotationGraceMs));
+        }
+        startTailing(log.path, 0, config);
     }
 
-    console.log('[Mirror] Tailing ' + logPath);
-    const tail = spawn('tail', ['-F', logPath]);
-    currentTail = tail;
+    /**
+     * Stop following every log, the current one and any still draining.
+     */
+    function stopFollowing() {
+        for (const [tail, timer] of drainingTails) {
+            clearTimeout(timer);
+            tail.stop();
+        }
+        drainingTails.clear();
+        if (currentTail) currentTail.stop();
+        currentTail = null;
+    }
 
-    tail.stdout.on('data', function(data) {
-        const lines = data.toString().split('\n');
-        for (const line of lines) {
-            processLine(line);
+    /**
+     * Switch logs if a newer one has appeared. Returns true if it did.
+     */
+    function checkForNewLog(config) {
+        config = config || activeConfig;
+        const newer = findNewerLog(currentLogDate, config);
+        if (!newer) return false;
+        rotateTo(newer, config);
+        return true;
+    }
+
+    /**
+     * Follow new logs as they appear: on directory events, and as a fallback
+     * from midnight in logTimezone until the new day's file shows up.
+     */
+    function watchForNewLogs(config) {
+        config = config || activeConfig;
+        if (logWatcher) logWatcher.close();
+        try {
+            const watcher = fs.watch(config.logDir, function(eventType, name) {
+                // Appends to the log being followed fire too; they never mean a new log.
+                if (name && currentTail && name === path.basename(currentTail.getPath())) return;
+                if (!name || LOG_FILE_NAME.test(name)) checkForNewLog(config);
+            });
+            watcher.on('error', function(err) {
+                console.error('[Mirror] Stopped watching ' + config.logDir + ': ' + err.message);
+                watcher.close();
+            });
+            // The log followers keep the process alive; looking for the next log should not.
+            watcher.unref();
+            logWatcher = watcher;
+        } catch (err) {
+            console.error('[Mirror] Cannot watch ' + config.logDir + ' (' + err.message + '); checking for new logs at midnight only');
         }
-    });
 
-    tail.stderr.on('data', function(data) {
-        console.error('Tail stderr: ' + data);
+        const schedule = function(delay) {
+            const timer = later(function() {
+                if (checkForNewLog(config)) return schedule(msUntilNextDay(new Date(), config.logTimezone) + 1000);
+                // Before the date changes (e.g. on a DST day) wait for it; after, poll until the file appears.
+                if (getDateStr(new Date(), config.logTimezone) <= currentLogDate) {
+                    return schedule(msUntilNextDay(new Date(), config.logTimezone) + 1000);
+                }
+                schedule(5000);
+            }, delay);
+            timer.unref();
+        };
+        schedule(msUntilNextDay(new Date(), config.logTimezone) + 1000);
+        checkForNewLog(config);
+    }
+
+    /**
+     * Start following today's log. With a checkpoint, resume where it left off:
+     * from its offset if it is today's log, otherwise finish the old file and read
+     * today's from the start, since the daemon was down when it began.
+     */
+    function waitForLogAndStart(resume, config) {
+        config = config || activeConfig;
+        var check = function() {
+            var logPath = getLogPath(config);
+            if (fs.existsSync(logPath)) {
+                currentLogDate = getDateStr(new Date(), config.logTimezone);
+                var startOffset;
+                if (resume && resume.logPath === logPath) {
+                    startOffset = resume.offset;
+                } else if (resume && resume.logPath) {
+                    catchUpLog(resume.logPath, resume.offset, config);
+                    startOffset = 0;
+                }
+                startTailing(logPath, startOffset, config);
+                watchForNewLogs(config);
+            } else {
+                console.log('[Mirror] Waiting for ' + logPath + ' ...');
+                later(check, 5000);
+            }
+        };
+        check();
+    }
+
+    /**
+     * Send everything in the dead-letter file again, through a separate
+     * in-memory queue. Messages that fail again go to a fresh dead-letter file.
+     * Each record is queued as it was, with its format, files and thread;
+     * only the old queue bookkeeping is dropped.
+     */
+    function replayDeadLetters(config) {
+        config = config || activeConfig;
+        const taken = takeDeadLetters(config.deadLetterFile);
+        if (taken.records.length === 0) {
+            console.log('[Mirror] No dead letters in ' + config.deadLetterFile);
+            return Promise.resolve({ sent: 0, failed: 0 });
+        }
+
+        const counts = { sent: 0, failed: 0 };
+        const queue = createQueueFor(config, {
+            onSent: function(item) {
+                counts.sent++;
+                console.log('[Replayed to ' + item.destination.channel + ':' + item.destination.target + '] ' + item.text.substring(0, 80) + '...');
+                // Files the daemon's queue spooled are only needed until the message is sent.
+                if (config.queueFile) unspool(item, spoolDirFor(config.queueFile));
+            },
+            onDeadLetter: function(item) {
+                counts.failed++;
+                console.error('[Mirror] Replay failed for ' + item.destination.channel + ':' + item.destination.target + ': ' + item.lastError);
+            },
+        });
+        queue.start();
+        console.log('[Mirror] Replaying ' + taken.records.length + ' dead letters from ' + config.deadLetterFile);
+        for (const record of taken.records) {
+            const entry = Object.assign({}, record);
+            for (const field of DEAD_LETTER_BOOKKEEPING) delete entry[field];
+            queue.enqueue(entry);
+        }
+        return queue.whenIdle().then(function() {
+            queue.stop();
+            fs.unlinkSync(taken.path);
+            console.log('[Mirror] Replay finished: ' + counts.sent + ' sent, ' + counts.failed + ' failed again');
+            return counts;
+        });
+    }
+
+    /**
+     * Run a past log through processLine, as if it were being followed, and
+     * deliver what it mirrors. With dryRun, each message is printed instead of
+     * sent. Messages in the checkpoint's recent sends are skipped, and alerts
+     * for old runs are only logged. Resolves with { runs, sent, failed }.
+     *
+     * What a replay sends is saved to stateFile when it ends, so a running
+     * daemon would overwrite it with its own checkpoint. A replay that sends
+     * therefore fails if a daemon answers on controlSocket.
+     */
+    function replayLog(replay, config) {
+        config = Object.assign({}, config || activeConfig, { alertTarget: null, bridge: 'off' });
+        if (!fs.existsSync(replay.logPath)) {
+            return Promise.reject(new ConfigError('Log file not found: ' + replay.logPath));
+        }
+        if (replay.dryRun || !config.controlSocket) return runReplay(replay, config);
+        return isListening(config.controlSocket).then(function(live) {
+            if (live) {
+                throw new Error('A daemon is running (it answers on ' + config.controlSocket + '); stop it before replaying, ' +
+                    'or it will overwrite what the replay saves to ' + config.stateFile + '. --dry-run works while it runs.');
+            }
+            return runReplay(replay, config);
+        });
+    }
+
+    function runReplay(replay, config) {
+        // Waiting for a transcript does not keep the process alive (when
+        // following, the log follower does); keep it alive until the replay ends.
+        const keepAlive = setInterval(function() {}, 60000);
+
+        try {
+            const checkpoint = loadCheckpoint(config.stateFile);
+            if (checkpoint) {
+                for (const hash of checkpoint.sentHashes) mirroredCache.add(hash);
+                threadRegistry.restore(checkpoint.threads);
+            }
+        } catch (err) {
+            console.error('[Mirror] Ignoring unreadable checkpoint ' + config.stateFile + ': ' + err.message);
+        }
+
+        const counts = { runs: 0, sent: 0, failed: 0 };
+        const sentKeys = [];
+        const queue = createQueueFor(config, Object.assign({
+            onSent: function(item) {
+                counts.sent++;
+                if (!replay.dryRun) {
+                    console.log('[Replayed to ' + item.destination.channel + ':' + item.destination.target + '] ' + item.text.substring(0, 80) + '...');
+                    if (item.cacheKey) {
+                        rememberSent(item.cacheKey, config);
+                        sentKeys.push(item.cacheKey);
+                    }
+                }
+            },
+            onDeadLetter: function(item) {
+                counts.failed++;
+                console.error('[Mirror] Replay failed for ' + item.destination.channel + ':' + item.destination.target + ': ' + item.lastError);
+            },
+        }, replay.dryRun ? { send: printDryRun, rateLimitMs: 0 } : {}));
+        outboundQueues.set(config, queue);
+        queue.start();
+
+        console.log('[Mirror] Replaying ' + replay.logPath + (replay.dryRun ? ' (dry run, nothing is sent)' : ''));
+        const deliveries = [];
+        const follower = createLogFollower(replay.logPath, { startOffset: 0 });
+        follower.on('line', function(line) {
+            if (!replayWants(line, replay)) return;
+            const delivery = processLine(line, config);
+            if (delivery) {
+                counts.runs++;
+                deliveries.push(delivery);
+            }
+        });
+        follower.on('error', function(err) {
+            console.error('[Mirror] Error replaying ' + replay.logPath + ': ' + err.message);
+        });
+        follower.check();
+        follower.stop();
+
+        return Promise.all(deliveries).then(function() {
+            return queue.whenIdle();
+        }).then(function() {
+            queue.stop();
+            outboundQueues.delete(config);
+            if (sentKeys.length > 0) saveReplayed(sentKeys, config);
+            if (trackedRuns.size > 0) console.log('[Mirror] ' + trackedRuns.size + ' runs did not finish in this log');
+            console.log('[Mirror] Replay finished: ' + counts.runs + ' runs, ' + counts.sent + ' messages ' +
+                (replay.dryRun ? 'would be sent' : 'sent') + (counts.failed ? ', ' + counts.failed + ' failed' : ''));
+            return counts;
+        }).then(function(result) {
+            clearInterval(keepAlive);
+            return result;
+        }, function(err) {
+            clearInterval(keepAlive);
+            throw err;
+        });
+    }
+
+    function isoTime(ms) {
+        return typeof ms === 'number' ? new Date(ms).toISOString() : null;
+    }
+
+    /**
+     * Whether a log is being followed, and when a line was last read: the
+     * body of /healthz. `tail` is following, missing (the file was deleted),
+     * waiting (for today's log to appear) or stopped.
+     */
+    function getHealth() {
+        const logPath = currentTail ? currentTail.getPath() : null;
+        let tail = 'stopped';
+        if (currentTail) tail = fs.existsSync(logPath) ? 'following' : 'missing';
+        else if (running) tail = 'waiting';
+        return {
+            healthy: tail === 'following',
+            tail: tail,
+            logPath: logPath,
+            lastLineAt: isoTime(lastLineAt),
+            lastLineAgeSeconds: lastLineAt === null ? null : Math.round((Date.now() - lastLineAt) / 1000),
+        };
+    }
+
+    function describeRuns(runs) {
+        return Array.from(runs, function(entry) {
+            const run = entry[1];
+            return {
+                runId: entry[0],
+                sessionId: run.sessionId,
+                agent: run.agent || null,
+                messageChannel: run.messageChannel,
+                model: run.model || null,
+                startedAt: isoTime(run.startedAt),
+                toolCalls: run.tools ? run.tools.length : 0,
+                lastError: run.lastError || null,
+            };
+        });
+    }
+
+    /**
+     * Open and pending runs, the outbound queue and the log position: the
+     * body of /status.
+     */
+    function getStatus() {
+        const position = currentTail
+            ? { logPath: currentTail.getPath(), offset: currentTail.getOffset() }
+            : resumePosition;
+        const queue = outboundQueues.get(activeConfig);
+        const items = queue ? queue.items() : [];
+        return {
+            logPath: position.logPath,
+            offset: position.offset,
+            lastLineAt: isoTime(lastLineAt),
+            openRuns: describeRuns(trackedRuns),
+            pendingRuns: describeRuns(pendingRuns),
+            queue: {
+                depth: items.length,
+                oldestEnqueuedAt: items.length > 0 ? isoTime(Math.min.apply(null, items.map(function(i) { return i.enqueuedAt; }))) : null,
+            },
+            paused: paused,
+            muted: Array.from(muted),
+            sessionModes: sessionModes.snapshot(),
+            counters: metrics.snapshot(),
+        };
+    }
+
+    /**
+     * Counters and current gauges in the Prometheus text format: the body of /metrics.
+     */
+    function getMetrics() {
+        const queue = outboundQueues.get(activeConfig);
+        const items = queue ? queue.items() : [];
+        const doneTimes = items.map(function(i) { return i.doneAt; }).filter(Boolean);
+        return formatMetrics(metrics.snapshot(), {
+            tailUp: getHealth().healthy ? 1 : 0,
+            lastLineTime: lastLineAt === null ? null : lastLineAt / 1000,
+            logOffset: currentTail ? currentTail.getOffset() : null,
+            openRuns: trackedRuns.size,
+            pendingRuns: pendingRuns.size,
+            queueDepth: items.length,
+            deliveryLag: lastDeliveryLag,
+            queuedLag: doneTimes.length > 0 ? (Date.now() - Math.min.apply(null, doneTimes)) / 1000 : null,
+        });
+    }
+
+    /**
+     * Where the status server listens, as { host, port }, or null.
+     */
+    function statusAddress() {
+        return statusServer ? statusServer.address() : null;
+    }
+
+    function startStatusServer(config) {
+        statusServer = createStatusServer({
+            port: config.statusPort,
+            host: config.statusHost,
+            health: getHealth,
+            status: getStatus,
+            metrics: getMetrics,
+        });
+        statusServer.start().then(function(address) {
+            console.log('[Mirror] Status server listening on http://' + address.host + ':' + address.port);
+        }, function(err) {
+            console.error('[Mirror] Cannot start the status server on ' + config.statusHost + ':' + config.statusPort + ': ' + err.message);
+        });
+    }
+
+    /**
+     * Hold or release the outbound queue. While paused, runs are still
+     * tracked and their messages queued; they go out on resume.
+     */
+    function setPaused(value, config) {
+        paused = value;
+        const queue = getOutboundQueue(config);
+        if (value) queue.pause();
+        else queue.resume();
+        checkpointDirty = true;
+    }
+
+    function pause() {
+        if (!paused) {
+            setPaused(true);
+            console.log('[Mirror] Sending paused');
+        }
+        return { paused: true, queued: getOutboundQueue().size() };
+    }
+
+    function resume() {
+        if (paused) {
+            setPaused(false);
+            console.log('[Mirror] Sending resumed');
+        }
+        return { paused: false, queued: getOutboundQueue().size() };
+    }
+
+    /**
+     * Stop mirroring a session's runs until unmute(). Alerts about its runs
+     * still go out.
+     */
+    function mute(sessionId) {
+        muted.add(sessionId);
+        checkpointDirty = true;
+        console.log('[Mirror] Muted session ' + sessionId);
+        return { muted: Array.from(muted) };
+    }
+
+    function unmute(sessionId) {
+        if (muted.delete(sessionId)) {
+            checkpointDirty = true;
+            console.log('[Mirror] Unmuted session ' + sessionId);
+        }
+        return { muted: Array.from(muted) };
+    }
+
+    /**
+     * Send what can be sent now: wait for finished runs to be read from
+     * their transcripts, and try every queued message without waiting out
+     * its backoff, until the queue is empty or timeoutMs (default
+     * drainTimeoutMs) has passed. While paused only the runs are waited for.
+     * Resolves with what is left, as { pendingRuns, queued }.
+     */
+    function drain(timeoutMs) {
+        const limit = typeof timeoutMs === 'number' ? timeoutMs : activeConfig.drainTimeoutMs;
+        const queue = getOutboundQueue();
+        let timer = null;
+        const deadline = new Promise(function(resolve) {
+            timer = setTimeout(resolve, limit);
+        });
+        queue.flush();
+        const sent = Promise.allSettled(Array.from(deliveries)).then(function() {
+            if (paused) return null;
+            queue.flush();
+            return queue.whenIdle();
+        });
+        return Promise.race([sent, deadline]).then(function() {
+            clearTimeout(timer);
+            return { pendingRuns: pendingRuns.size, queued: queue.size() };
+        });
+    }
+
+    /**
+     * Send a test message straight to a configured destination, bypassing
+     * the queue and pause. `target` is a route or alert destination's target,
+     * optionally as "channel:target". Resolves with where it went and the
+     * transport's result.
+     */
+    function sendTest(target, config) {
+        config = config || activeConfig;
+        const candidates = [];
+        for (const route of routesFor(config)) {
+            for (const destination of route.destinations) {
+                candidates.push({ destination: destination, tag: route.ignoreTag || config.ignoreTag });
+            }
+        }
+        if (config.alertTarget) {
+            const alert = { channel: config.alertChannel, target: config.alertTarget };
+            if (config.alertTransport) alert.transport = config.alertTransport;
+            candidates.push({ destination: alert, tag: config.ignoreTag });
+        }
+        const found = candidates.find(function(candidate) {
+            const destination = candidate.destination;
+            return destination.target === target || destination.channel + ':' + destination.target === target;
+        });
+        if (!found) return Promise.reject(new Error('No route or alert destination sends to ' + target));
+
+        const destination = found.destination;
+        const format = destination.format || config.messageFormat;
+        const message = {
+            channel: destination.channel,
+            target: destination.target,
+            text: withTag(escapeText(found.tag, format), formatMarkdown('Test message from the mirror daemon (PID ' + process.pid + ')', format)),
+        };
+        if (format !== 'markdown') message.format = format;
+        return Promise.resolve().then(function() {
+            return getTransport(destination, config).send(message);
+        }).then(function(result) {
+            console.log('[Mirror] Sent a test message to ' + destination.channel + ':' + destination.target);
+            return { channel: destination.channel, target: destination.target, result: result === undefined ? null : result };
+        });
+    }
+
+    /**
+     * Apply a freshly loaded configuration without losing tracked runs, the
+     * queue or the caches. Settings marked `restart` in the schema keep their
+     * old values until the next start; the rest take effect from the next
+     * line, run and message. Returns the changed settings as { applied, skipped }.
+     */
+    function reload(fresh) {
+        const applied = [];
+        const skipped = [];
+        for (const key of changedSettings(activeConfig, fresh)) {
+            if (SCHEMA[key].restart) {
+                console.error('[Mirror] ' + key + ' changed; restart the daemon to apply it');
+                skipped.push(key);
+                continue;
+            }
+            activeConfig[key] = fresh[key];
+            applied.push(key);
+        }
+        forgetTransports(activeConfig);
+        console.log('[Mirror] Configuration reloaded' + (applied.length > 0 ? ': ' + applied.join(', ') : ', nothing to apply'));
+        return { applied: applied, skipped: skipped };
+    }
+
+    /**
+     * Run a control socket command (see control.js).
+     */
+    function handleControl(command, args) {
+        const argument = args && args[0];
+        if (['mute', 'unmute', 'send-test'].includes(command) && !argument) {
+            throw new Error(command + ' needs ' + (command === 'send-test' ? 'a target' : 'a session ID'));
+        }
+        switch (command) {
+        case 'status':
+            return getStatus();
+        case 'pause':
+            return pause();
+        case 'resume':
+            return resume();
+        case 'flush':
+            if (paused) throw new Error('Sending is paused; resume it first');
+            return drain();
+        case 'mute':
+            return mute(argument);
+        case 'unmute':
+            return unmute(argument);
+        case 'send-test':
+            return sendTest(argument);
+        default:
+            throw new Error('Unknown command "' + command + '" (expected ' + COMMANDS.join(', ') + ')');
+        }
+    }
+
+    function startControlServer(config) {
+        controlServer = createControlServer({ socketPath: config.controlSocket, handle: handleControl });
+        controlServer.start().then(function() {
+            console.log('[Mirror] Control socket listening on ' + config.controlSocket);
+        }, function(err) {
+            console.error('[Mirror] Cannot start the control socket ' + config.controlSocket + ': ' + err.message);
+        });
+    }
+
+    /**
+     * Start mirroring: resume the persistent queue and the checkpoint, follow
+     * today's log, and save the checkpoint and sweep stuck runs on timers.
+     * With statusPort set, also serve /healthz, /status and /metrics, and
+     * with controlSocket set, take commands on it.
+     */
+    function start() {
+        if (running) return daemon;
+        running = true;
+        const config = activeConfig;
+        if (!config.sessionsDir) agentIndex.agents(config.agentsDir);
+
+        const queue = createQueueFor(config, { queueFile: config.queueFile });
+        outboundQueues.set(config, queue);
+        queue.start();
+        if (queue.size() > 0) console.log('[Mirror] Resuming ' + queue.size() + ' queued messages');
+
+        let checkpoint = null;
+        try {
+            checkpoint = loadCheckpoint(config.stateFile);
+        } catch (err) {
+            console.error('[Mirror] Ignoring unreadable checkpoint ' + config.stateFile + ': ' + err.message);
+        }
+        if (checkpoint) {
+            console.log('[Mirror] Restoring checkpoint from ' + checkpoint.savedAt);
+            restoreState(checkpoint, config);
+        }
+        waitForLogAndStart(checkpoint, config);
+        startCheckpointing(config);
+        startRunSweeper(config);
+        if (config.statusPort !== null && config.statusPort !== undefined) startStatusServer(config);
+        if (config.controlSocket) startControlServer(config);
+        return daemon;
+    }
+
+    /**
+     * Save the checkpoint, then stop following logs and cancel every timer.
+     * Messages still queued stay in queueFile and go out after the next start().
+     */
+    function stop() {
+        if (!running) return daemon;
+        running = false;
+        for (const timer of timers) clearTimeout(timer);
+        timers.clear();
+        if (logWatcher) logWatcher.close();
+        logWatcher = null;
+        writeStateFile(activeConfig);
+        stopFollowing();
+        const queue = outboundQueues.get(activeConfig);
+        if (queue) queue.stop();
+        if (statusServer) statusServer.stop();
+        statusServer = null;
+        if (controlServer) controlServer.stop();
+        controlServer = null;
+        return daemon;
+    }
+
+    /**
+     * drain(), then stop(): the clean way out on SIGTERM.
+     */
+    function shutdown(timeoutMs) {
+        return drain(timeoutMs).then(function(left) {
+            if (left.pendingRuns > 0 || left.queued > 0) {
+                console.log('[Mirror] Stopping with ' + left.pendingRuns + ' runs and ' + left.queued +
+                    ' messages left; they resume on the next start');
+            }
+            stop();
+            return left;
+        });
+    }
+
+    return Object.assign(daemon, {
+        start: start,
+        stop: stop,
+        shutdown: shutdown,
+        config: activeConfig,
+        reload: reload,
+        pause: pause,
+        resume: resume,
+        mute: mute,
+        unmute: unmute,
+        drain: drain,
+        sendTest: sendTest,
+        getHealth: getHealth,
+        getStatus: getStatus,
+        getMetrics: getMetrics,
+        statusAddress: statusAddress,
+        processLine: processLine,
+        deliverRun: deliverRun,
+        sweepRuns: sweepRuns,
+        getLastAssistantText: getLastAssistantText,
+        getLastTurn: getLastTurn,
+        getOutboundQueue: getOutboundQueue,
+        replayLog: replayLog,
+        replayDeadLetters: replayDeadLetters,
+        waitForLogAndStart: waitForLogAndStart,
+        checkForNewLog: checkForNewLog,
+        stopFollowing: stopFollowing,
+        captureState: captureState,
+        restoreState: restoreState,
+        trackedRuns: trackedRuns,
+        pendingRuns: pendingRuns,
+        processedRuns: processedRuns,
+        mirroredCache: mirroredCache,
+        threadRegistry: threadRegistry,
+        sentIndex: sentIndex,
+        sessionModes: sessionModes,
     });
+}
 
-    tail.on('exit', function(code) {
-        console.log('[Mirror] tail exited with code ' + code);
+/**
+ * `ctl <command> [argument]`: send one command to the running daemon's
+ * control socket and print its answer.
+ */
+function runControlCommand(positionals, config) {
+    const command = positionals[1];
+    if (!config.controlSocket) {
+        console.error('[Mirror] ctl needs controlSocket (--control-socket) set to the daemon\'s socket');
+        process.exit(2);
+    }
+    if (!COMMANDS.includes(command)) {
+        console.error('[Mirror] Usage: ctl <' + COMMANDS.join('|') + '> [argument]');
+        process.exit(2);
+    }
+    sendControlCommand(config.controlSocket, command, positionals.slice(2)).then(function(result) {
+        console.log(JSON.stringify(result, null, 2));
+        process.exit(0);
+    }, function(err) {
+        console.error('[Mirror] ' + err.message);
+        process.exit(1);
     });
 }
 
-function watchForDateChange() {
-    setInterval(function() {
-        const newDate = getDateStr();
-        if (newDate !== currentLogDate) {
-            console.log('[Mirror] Date changed: ' + currentLogDate + ' -> ' + newDate);
-            currentLogDate = newDate;
-            webchatRuns.clear();
-            startTailing(getLogPath());
+function main() {
+    let resolved;
+    try {
+        resolved = loadConfig({ argv: process.argv.slice(2), env: process.env });
+    } catch (err) {
+        if (!(err instanceof ConfigError)) throw err;
+        console.error('[Mirror] Configuration error: ' + err.message);
+        process.exit(2);
+    }
+    if (resolved.printConfig) {
+        console.log(formatConfig(resolved.config));
+        process.exit(0);
+    }
+    const config = resolved.config;
+    if (resolved.positionals[0] === 'ctl') {
+        runControlCommand(resolved.positionals, config);
+        return;
+    }
+    if (config.logFormat === 'json') useJsonLogs();
+    const daemon = createMirrorDaemon({ config: config });
+
+    const command = resolved.positionals[0];
+    if (command !== 'replay' && Object.keys(resolved.options).length > 0) {
+        console.error('[Mirror] --date, --from, --to, --session, --run and --dry-run only apply to replay');
+        process.exit(2);
+    }
+    if (command === 'replay') {
+        let replay;
+        try {
+            replay = parseReplayOptions(resolved.options, config);
+        } catch (err) {
+            console.error('[Mirror] Configuration error: ' + err.message);
+            process.exit(2);
         }
-    }, 60000);
-}
+        daemon.replayLog(replay).then(function(counts) {
+            process.exit(counts.failed > 0 ? 1 : 0);
+        }, function(err) {
+            console.error('[Mirror] ' + err.message);
+            process.exit(2);
+        });
+        return;
+    }
+    if (command === 'replay-dead-letters') {
+        // takeDeadLetters() throws before there is a promise when the file cannot be moved aside.
+        Promise.resolve().then(function() {
+            return daemon.replayDeadLetters();
+        }).then(function(counts) {
+            process.exit(counts.failed > 0 ? 1 : 0);
+        }, function(err) {
+            console.error('[Mirror] ' + err.message);
+            process.exit(2);
+        });
+        return;
+    }
+    if (command) {
+        console.error('[Mirror] Unknown command: ' + command);
+        process.exit(2);
+    }
 
-function waitForLogAndStart() {
-    var check = function() {
-        var logPath = getLogPath();
-        if (fs.existsSync(logPath)) {
-            currentLogDate = getDateStr();
-            startTailing(logPath);
-            watchForDateChange();
-        } else {
-            console.log('[Mirror] Waiting for ' + logPath + ' ...');
-            setTimeout(check, 5000);
+    console.log('[Mirror] Daemon starting (PID ' + process.pid + ')');
+    if (resolved.configPath) console.log('[Mirror] Loaded config from ' + resolved.configPath);
+    daemon.start();
+
+    // Reload the config file and environment; a bad config keeps the old one.
+    process.on('SIGHUP', function() {
+        let fresh;
+        try {
+            fresh = loadConfig({ argv: process.argv.slice(2), env: process.env });
+        } catch (err) {
+            if (!(err instanceof ConfigError)) throw err;
+            console.error('[Mirror] Not reloading, configuration error: ' + err.message);
+            return;
+        }
+        daemon.reload(fresh.config);
+    });
+
+    // Drain pending sends for up to drainTimeoutMs; a second signal exits at once.
+    let stopping = false;
+    const shutdown = function() {
+        if (stopping) {
+            daemon.stop();
+            process.exit(0);
         }
+        stopping = true;
+        console.log('[Mirror] Shutting down, sending what is pending (up to ' + config.drainTimeoutMs + 'ms)');
+        daemon.shutdown(config.drainTimeoutMs).then(function() {
+            process.exit(0);
+        });
     };
-    check();
+    process.on('SIGTERM', shutdown);
+    process.on('SIGINT', shutdown);
 }
 
 // Only start daemon when run directly (not when required for testing)
 if (require.main === module) {
-    console.log('[Mirror] Daemon starting (PID ' + process.pid + ')');
-    waitForLogAndStart();
-
-    process.on('SIGTERM', function() {
-        if (currentTail) currentTail.kill();
-        process.exit(0);
-    });
-    process.on('SIGINT', function() {
-        if (currentTail) currentTail.kill();
-        process.exit(0);
-    });
+    main();
 }
 
-// Export for testing
+// The instance behind the functions exported below, for tests and callers
+// that drive one daemon by hand. Embedders create their own.
+const defaultDaemon = createMirrorDaemon();
+
 module.exports = {
+    createMirrorDaemon: createMirrorDaemon,
     parseSubsystem: parseSubsystem,
     parseWebchatRunDone: parseWebchatRunDone,
     parseRunStart: parseRunStart,
-    getLastAssistantText: getLastAssistantText,
+    parseToolEvent: parseToolEvent,
+    getLastAssistantText: defaultDaemon.getLastAssistantText,
+    getLastTurn: defaultDaemon.getLastTurn,
+    formatTurn: formatTurn,
     shouldIgnore: shouldIgnore,
-    processLine: processLine,
-    webchatRuns: webchatRuns,
-    processedRuns: processedRuns,
-    mirroredCache: mirroredCache,
+    parseErrorLine: parseErrorLine,
+    processLine: defaultDaemon.processLine,
+    sweepRuns: defaultDaemon.sweepRuns,
+    deliverRun: defaultDaemon.deliverRun,
+    getOutboundQueue: defaultDaemon.getOutboundQueue,
+    replayDeadLetters: defaultDaemon.replayDeadLetters,
+    getDateStr: getDateStr,
+    msUntilNextDay: msUntilNextDay,
+    findNewerLog: findNewerLog,
+    waitForLogAndStart: defaultDaemon.waitForLogAndStart,
+    checkForNewLog: defaultDaemon.checkForNewLog,
+    stopFollowing: defaultDaemon.stopFollowing,
+    parseReplayOptions: parseReplayOptions,
+    replayLog: defaultDaemon.replayLog,
+    captureState: defaultDaemon.captureState,
+    restoreState: defaultDaemon.restoreState,
+    trackedRuns: defaultDaemon.trackedRuns,
+    pendingRuns: defaultDaemon.pendingRuns,
+    processedRuns: defaultDaemon.processedRuns,
+    mirroredCache: defaultDaemon.mirroredCache,
+    threadRegistry: defaultDaemon.threadRegistry,
+    sentIndex: defaultDaemon.sentIndex,
     IGNORE_TAG: IGNORE_TAG,
 };
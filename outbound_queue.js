@@ -0,0 +1,340 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeJsonAtomic } = require('./checkpoint');
+
+/**
+ * Durable outbound queue between run processing and the transports.
+ *
+ * Messages to the same destination are delivered one at a time and in order,
+ * at most one per `rateLimitMs`. A failed send is retried with exponential
+ * backoff and jitter; after `maxAttempts` it is appended to the dead-letter
+ * file and dropped from the queue. With `queueFile` set, the queue is saved
+ * on every change and reloaded by start(), so nothing queued is lost on restart.
+ * The content of a queued photo or document is then written to its own file
+ * in `spoolDir` and the item keeps only its `path`, so the queue file stays
+ * small; the file is deleted once the item is sent. Dead letters keep theirs
+ * for replayDeadLetters.
+ *
+ * Options:
+ *   send(item) -> Promise   delivers one item (required)
+ *   queueFile               where to persist queued items (optional)
+ *   spoolDir                where to keep attachment content (default `<queueFile>.files`)
+ *   deadLetterFile          JSONL file for items that ran out of attempts (optional)
+ *   maxAttempts             default 5
+ *   baseDelayMs             first retry delay, doubled each attempt (default 1000)
+ *   maxDelayMs              retry delay cap (default 300000)
+ *   rateLimitMs             minimum gap between sends to one destination (default 1000)
+ *   onSent(item, result)    called after a successful delivery, with what send resolved to
+ *   onError(item, err)      called after every failed attempt, retried or not
+ *   onDeadLetter(item)      called when an item is given up on
+ *   now, random             injectable clock and RNG for tests
+ */
+function createOutboundQueue(options) {
+    const opts = options || {};
+    const maxAttempts = opts.maxAttempts || 5;
+    const baseDelayMs = opts.baseDelayMs === undefined ? 1000 : opts.baseDelayMs;
+    const maxDelayMs = opts.maxDelayMs === undefined ? 300000 : opts.maxDelayMs;
+    const rateLimitMs = opts.rateLimitMs === undefined ? 1000 : opts.rateLimitMs;
+    const now = opts.now || Date.now;
+    const random = opts.random || Math.random;
+    const spoolDir = opts.spoolDir || (opts.queueFile ? spoolDirFor(opts.queueFile) : null);
+
+    let items = [];
+    const inFlight = new Set();   // destination keys with a send outstanding
+    const lastSentAt = new Map(); // destination key -> time of last send
+    let timer = null;
+    let timerAt = null;
+    let running = false;
+    let paused = false;
+    let idleWaiters = [];
+
+    function destinationKey(destination) {
+        return destination.channel + ':' + destination.target;
+    }
+
+    function persist() {
+        if (!opts.queueFile) return;
+        writeJsonAtomic(opts.queueFile, { version: 1, items: items });
+    }
+
+    function load() {
+        if (!opts.queueFile) return;
+        let raw;
+        try {
+            raw = fs.readFileSync(opts.queueFile, 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return;
+            throw err;
+        }
+        const saved = JSON.parse(raw);
+        items = (Array.isArray(saved.items) ? saved.items : []).concat(items);
+    }
+
+    /**
+     * Move the inline content of an item's photo or document to a file in
+     * spoolDir. Left inline, with an error logged, if the file cannot be written.
+     */
+    function spool(item) {
+        for (const kind of ['photo', 'document']) {
+            const file = item[kind];
+            if (!file || file.path || file.content === undefined) continue;
+            const filePath = path.join(spoolDir, item.id + '-' + kind);
+            try {
+                fs.mkdirSync(spoolDir, { recursive: true, mode: 0o700 });
+                fs.writeFileSync(filePath, file.encoding === 'base64' ? Buffer.from(file.content, 'base64') : file.content, { mode: 0o600 });
+            } catch (err) {
+                console.error('[Mirror] Failed to spool ' + file.filename + ' to ' + spoolDir + ': ' + err.message);
+                continue;
+            }
+            item[kind] = { filename: file.filename, contentType: file.contentType, path: filePath };
+        }
+    }
+
+    /**
+     * Delay before retry number `attempts`: base * 2^(attempts-1), capped,
+     * then randomised into its upper half so retries from many failures spread out.
+     */
+    function backoffDelay(attempts) {
+        const exp = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempts - 1));
+        return Math.round(exp / 2 + random() * exp / 2);
+    }
+
+    function deadLetter(item) {
+        if (opts.deadLetterFile) {
+            const record = Object.assign({}, item, { failedAt: new Date(now()).toISOString() });
+            try {
+                fs.mkdirSync(path.dirname(opts.deadLetterFile), { recursive: true });
+                fs.appendFileSync(opts.deadLetterFile, JSON.stringify(record) + '\n');
+            } catch (err) {
+                console.error('[Mirror] Failed to write dead letter ' + opts.deadLetterFile + ': ' + err.message);
+            }
+        }
+        if (opts.onDeadLetter) opts.onDeadLetter(item);
+    }
+
+    function schedule(at) {
+        if (!running) return;
+        if (timer && timerAt <= at) return;
+        if (timer) clearTimeout(timer);
+        timerAt = at;
+        timer = setTimeout(function() {
+            timer = null;
+            timerAt = null;
+            pump();
+        }, Math.max(0, at - now()));
+    }
+
+    function settleIdle() {
+        if (items.length > 0 || inFlight.size > 0) return;
+        const waiters = idleWaiters;
+        idleWaiters = [];
+        for (const resolve of waiters) resolve();
+    }
+
+    function attempt(item, key) {
+        inFlight.add(key);
+        lastSentAt.set(key, now());
+        item.attempts++;
+
+        Promise.resolve().then(function() {
+            return opts.send(item);
+        }).then(function(result) {
+            items = items.filter(function(i) { return i !== item; });
+            if (spoolDir) unspool(item, spoolDir);
+            if (opts.onSent) opts.onSent(item, result);
+        }, function(err) {
+            item.lastError = err.message;
+            if (opts.onError) opts.onError(item, err);
+            if (item.attempts >= maxAttempts) {
+                items = items.filter(function(i) { return i !== item; });
+                deadLetter(item);
+            } else {
+                item.nextAttemptAt = now() + backoffDelay(item.attempts);
+                console.error('[Mirror] Send to ' + key + ' failed (attempt ' + item.attempts + '/' + maxAttempts + '): ' + err.message);
+            }
+        }).then(function() {
+            inFlight.delete(key);
+            try {
+                persist();
+            } catch (err) {
+                console.error('[Mirror] Failed to save queue ' + opts.queueFile + ': ' + err.message);
+            }
+            pump();
+            settleIdle();
+        });
+    }
+
+    /**
+     * Start every send that is due; schedule a wake-up for the next one that isn't.
+     */
+    function pump() {
+        if (!running || paused) return;
+        const t = now();
+        const seen = new Set();
+        let nextWake = Infinity;
+
+        for (const item of items) {
+            const key = destinationKey(item.destination);
+            if (seen.has(key)) continue;   // only the head of each destination is eligible
+            seen.add(key);
+            if (inFlight.has(key)) continue;
+
+            const lastSent = lastSentAt.has(key) ? lastSentAt.get(key) : -Infinity;
+            const readyAt = Math.max(item.nextAttemptAt || 0, lastSent + rateLimitMs);
+            if (readyAt <= t) {
+                attempt(item, key);
+            } else {
+                nextWake = Math.min(nextWake, readyAt);
+            }
+        }
+
+        if (nextWake !== Infinity) schedule(nextWake);
+    }
+
+    return {
+        /**
+         * Queue { destination, text, runId?, cacheKey? } for delivery. Returns the item.
+         */
+        enqueue: function(entry) {
+            const item = Object.assign({
+                id: crypto.randomUUID(),
+                attempts: 0,
+                nextAttemptAt: 0,
+                enqueuedAt: now(),
+                lastError: null,
+            }, entry);
+            if (spoolDir) spool(item);
+            items.push(item);
+            persist();
+            pump();
+            return item;
+        },
+
+        has: function(predicate) {
+            return items.some(predicate);
+        },
+
+        start: function() {
+            if (running) return;
+            running = true;
+            load();
+            pump();
+        },
+
+        stop: function() {
+            running = false;
+            if (timer) clearTimeout(timer);
+            timer = null;
+            timerAt = null;
+        },
+
+        /**
+         * Hold every send until resume(). Sends already under way finish.
+         */
+        pause: function() {
+            paused = true;
+            if (timer) clearTimeout(timer);
+            timer = null;
+            timerAt = null;
+        },
+
+        resume: function() {
+            paused = false;
+            pump();
+        },
+
+        isPaused: function() {
+            return paused;
+        },
+
+        /**
+         * Try every queued message now, without waiting out its retry backoff.
+         */
+        flush: function() {
+            for (const item of items) item.nextAttemptAt = 0;
+            if (timer) clearTimeout(timer);
+            timer = null;
+            timerAt = null;
+            pump();
+        },
+
+        size: function() {
+            return items.length;
+        },
+
+        items: function() {
+            return items.slice();
+        },
+
+        /**
+         * Resolves once the queue is empty and nothing is in flight.
+         */
+        whenIdle: function() {
+            return new Promise(function(resolve) {
+                idleWaiters.push(resolve);
+                settleIdle();
+            });
+        },
+
+        backoffDelay: backoffDelay,
+    };
+}
+
+/**
+ * Where a queue persisted to `queueFile` keeps attachment content by default.
+ */
+function spoolDirFor(queueFile) {
+    return queueFile + '.files';
+}
+
+/**
+ * Delete the files of a sent item that were spooled to `spoolDir`; files
+ * anywhere else are left alone.
+ */
+function unspool(item, spoolDir) {
+    for (const kind of ['photo', 'document']) {
+        const file = item[kind];
+        if (!file || !file.path || path.dirname(file.path) !== spoolDir) continue;
+        try {
+            fs.unlinkSync(file.path);
+        } catch (err) {
+            if (err.code !== 'ENOENT') console.error('[Mirror] Failed to delete spooled file ' + file.path + ': ' + err.message);
+        }
+    }
+}
+
+/**
+ * Move the dead-letter file aside and return { path, records }, so replayed
+ * messages that fail again land in a fresh dead-letter file. The caller
+ * deletes `path` once the replay has finished. A leftover file from an
+ * interrupted replay is picked up again.
+ */
+function takeDeadLetters(deadLetterFile) {
+    const takenPath = deadLetterFile + '.replaying';
+    if (!fs.existsSync(takenPath)) {
+        try {
+            fs.renameSync(deadLetterFile, takenPath);
+        } catch (err) {
+            if (err.code === 'ENOENT') return { path: null, records: [] };
+            throw err;
+        }
+    }
+    const records = [];
+    for (const line of fs.readFileSync(takenPath, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch {
+            console.error('[Mirror] Skipping unreadable dead letter: ' + line.substring(0, 80));
+        }
+    }
+    return { path: takenPath, records: records };
+}
+
+module.exports = {
+    createOutboundQueue: createOutboundQueue,
+    takeDeadLetters: takeDeadLetters,
+    spoolDirFor: spoolDirFor,
+    unspool: unspool,
+};
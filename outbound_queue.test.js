@@ -0,0 +1,281 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createOutboundQueue, takeDeadLetters } = require('./outbound_queue');
+
+var dir;
+
+beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-queue-'));
+    jest.spyOn(console, 'error').mockImplementation(function() {});
+});
+
+afterEach(function() {
+    console.error.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function dest(target) {
+    return { channel: 'telegram', target: target };
+}
+
+function recorder(failTimes) {
+    var calls = [];
+    var failures = failTimes || {};
+    return {
+        calls: calls,
+        send: function(item) {
+            calls.push({ text: item.text, target: item.destination.target, at: Date.now() });
+            if (failures[item.text] > 0) {
+                failures[item.text]--;
+                return Promise.reject(new Error('boom ' + item.text));
+            }
+            return Promise.resolve();
+        },
+    };
+}
+
+describe('createOutboundQueue', function() {
+    test('delivers messages to one destination in order', async function() {
+        var r = recorder();
+        var queue = createOutboundQueue({ send: r.send, rateLimitMs: 0 });
+        queue.start();
+        queue.enqueue({ destination: dest('a'), text: '1' });
+        queue.enqueue({ destination: dest('a'), text: '2' });
+        queue.enqueue({ destination: dest('a'), text: '3' });
+        await queue.whenIdle();
+        expect(r.calls.map(function(c) { return c.text; })).toEqual(['1', '2', '3']);
+        expect(queue.size()).toBe(0);
+        queue.stop();
+    });
+
+    test('does not send before start()', async function() {
+        var r = recorder();
+        var queue = createOutboundQueue({ send: r.send });
+        queue.enqueue({ destination: dest('a'), text: 'held' });
+        await new Promise(function(resolve) { setTimeout(resolve, 10); });
+        expect(r.calls).toEqual([]);
+        expect(queue.size()).toBe(1);
+    });
+
+    test('rate-limits each destination separately', async function() {
+        var r = recorder();
+        var queue = createOutboundQueue({ send: r.send, rateLimitMs: 80 });
+        queue.start();
+        queue.enqueue({ destination: dest('a'), text: 'a1' });
+        queue.enqueue({ destination: dest('a'), text: 'a2' });
+        queue.enqueue({ destination: dest('b'), text: 'b1' });
+        await queue.whenIdle();
+
+        var at = {};
+        r.calls.forEach(function(c) { at[c.text] = c.at; });
+        expect(at.a2 - at.a1).toBeGreaterThanOrEqual(75);
+        expect(Math.abs(at.b1 - at.a1)).toBeLessThan(75);
+        queue.stop();
+    });
+
+    test('retries failures and reports success once', async function() {
+        var r = recorder({ flaky: 2 });
+        var sent = [];
+        var queue = createOutboundQueue({
+            send: r.send,
+            rateLimitMs: 0,
+            baseDelayMs: 5,
+            onSent: function(item) { sent.push(item); },
+        });
+        queue.start();
+        queue.enqueue({ destination: dest('a'), text: 'flaky' });
+        await queue.whenIdle();
+
+        expect(r.calls).toHaveLength(3);
+        expect(sent).toHaveLength(1);
+        expect(sent[0].attempts).toBe(3);
+        expect(sent[0].lastError).toBe('boom flaky');
+        queue.stop();
+    });
+
+    test('passes what send resolved to on to onSent', async function() {
+        var results = [];
+        var queue = createOutboundQueue({
+            send: function() { return Promise.resolve({ messageId: '55' }); },
+            rateLimitMs: 0,
+            onSent: function(item, result) { results.push(result); },
+        });
+        queue.start();
+        queue.enqueue({ destination: dest('a'), text: 'x' });
+        await queue.whenIdle();
+        expect(results).toEqual([{ messageId: '55' }]);
+        queue.stop();
+    });
+
+    test('reports every failed attempt to onError', async function() {
+        var errors = [];
+        var queue = createOutboundQueue({
+            send: recorder({ flaky: 2 }).send,
+            rateLimitMs: 0,
+            baseDelayMs: 1,
+            onError: function(item, err) { errors.push(item.attempts + ' ' + err.message); },
+        });
+        queue.start();
+        queue.enqueue({ destination: dest('a'), text: 'flaky' });
+        await queue.whenIdle();
+        expect(errors).toEqual(['1 boom flaky', '2 boom flaky']);
+        queue.stop();
+    });
+
+    test('a failing message holds back later ones to the same destination', async function() {
+        var r = recorder({ first: 1 });
+        var queue = createOutboundQueue({ send: r.send, rateLimitMs: 0, baseDelayMs: 5 });
+        queue.start();
+        queue.enqueue({ destination: dest('a'), text: 'first' });
+        queue.enqueue({ destination: dest('a'), text: 'second' });
+        await queue.whenIdle();
+        expect(r.calls.map(function(c) { return c.text; })).toEqual(['first', 'first', 'second']);
+        queue.stop();
+    });
+
+    test('moves messages to the dead-letter file after maxAttempts', async function() {
+        var deadLetterFile = path.join(dir, 'dead.jsonl');
+        var r = recorder({ doomed: 99 });
+        var dead = [];
+        var queue = createOutboundQueue({
+            send: r.send,
+            rateLimitMs: 0,
+            baseDelayMs: 1,
+            maxAttempts: 3,
+            deadLetterFile: deadLetterFile,
+            onDeadLetter: function(item) { dead.push(item); },
+        });
+        queue.start();
+        queue.enqueue({ destination: dest('a'), text: 'doomed', runId: 'run-1' });
+        queue.enqueue({ destination: dest('a'), text: 'fine' });
+        await queue.whenIdle();
+
+        expect(r.calls.map(function(c) { return c.text; })).toEqual(['doomed', 'doomed', 'doomed', 'fine']);
+        expect(dead).toHaveLength(1);
+        var records = fs.readFileSync(deadLetterFile, 'utf8').trim().split('\n').map(JSON.parse);
+        expect(records).toHaveLength(1);
+        expect(records[0]).toMatchObject({ text: 'doomed', runId: 'run-1', attempts: 3, lastError: 'boom doomed' });
+        expect(records[0].destination).toEqual(dest('a'));
+        expect(typeof records[0].failedAt).toBe('string');
+        queue.stop();
+    });
+
+    test('persists queued messages and resumes them on start', async function() {
+        var queueFile = path.join(dir, 'queue.json');
+        var first = createOutboundQueue({ send: recorder().send, queueFile: queueFile });
+        first.enqueue({ destination: dest('a'), text: 'survives restart' });
+        expect(JSON.parse(fs.readFileSync(queueFile, 'utf8')).items).toHaveLength(1);
+
+        var r = recorder();
+        var second = createOutboundQueue({ send: r.send, queueFile: queueFile, rateLimitMs: 0 });
+        second.start();
+        await second.whenIdle();
+        expect(r.calls.map(function(c) { return c.text; })).toEqual(['survives restart']);
+        expect(JSON.parse(fs.readFileSync(queueFile, 'utf8')).items).toEqual([]);
+        second.stop();
+    });
+
+    test('keeps attachment content out of the queue file until it is sent', async function() {
+        var queueFile = path.join(dir, 'queue.json');
+        var first = createOutboundQueue({ send: recorder().send, queueFile: queueFile });
+        var item = first.enqueue({
+            destination: dest('a'),
+            text: 'photo',
+            photo: { filename: 'cat.png', contentType: 'image/png', content: Buffer.from('png bytes').toString('base64'), encoding: 'base64' },
+        });
+        first.enqueue({ destination: dest('a'), text: 'notes', document: { filename: 'notes.md', contentType: 'text/markdown', content: '# Notes' } });
+        var saved = JSON.parse(fs.readFileSync(queueFile, 'utf8')).items;
+        expect(saved[0].photo).toEqual({ filename: 'cat.png', contentType: 'image/png', path: path.join(queueFile + '.files', item.id + '-photo') });
+        expect(fs.readFileSync(saved[0].photo.path, 'utf8')).toBe('png bytes');
+        expect(fs.readFileSync(saved[1].document.path, 'utf8')).toBe('# Notes');
+        expect(fs.readdirSync(queueFile + '.files')).toHaveLength(2);
+
+        var sent = [];
+        var second = createOutboundQueue({
+            send: function(i) { sent.push(fs.readFileSync((i.photo || i.document).path, 'utf8')); return Promise.resolve(); },
+            queueFile: queueFile,
+            rateLimitMs: 0,
+        });
+        second.start();
+        await second.whenIdle();
+        expect(sent).toEqual(['png bytes', '# Notes']);
+        expect(fs.readdirSync(queueFile + '.files')).toEqual([]);
+        second.stop();
+    });
+
+    test('leaves attachment content inline without a queue file', function() {
+        var queue = createOutboundQueue({ send: recorder().send });
+        var document = { filename: 'notes.md', content: '# Notes' };
+        expect(queue.enqueue({ destination: dest('a'), text: 'notes', document: document }).document).toBe(document);
+    });
+
+    test('pause holds sends until resume', async function() {
+        var r = recorder();
+        var queue = createOutboundQueue({ send: r.send, rateLimitMs: 0 });
+        queue.start();
+        queue.pause();
+        queue.enqueue({ destination: dest('a'), text: 'held' });
+        await new Promise(function(resolve) { setTimeout(resolve, 20); });
+        expect(r.calls).toEqual([]);
+        expect(queue.isPaused()).toBe(true);
+
+        queue.resume();
+        await queue.whenIdle();
+        expect(r.calls.map(function(c) { return c.text; })).toEqual(['held']);
+        queue.stop();
+    });
+
+    test('flush retries without waiting out the backoff', async function() {
+        var r = recorder({ flaky: 1 });
+        var queue = createOutboundQueue({ send: r.send, rateLimitMs: 0, baseDelayMs: 60000 });
+        queue.start();
+        queue.enqueue({ destination: dest('a'), text: 'flaky' });
+        await new Promise(function(resolve) { setTimeout(resolve, 20); });
+        expect(r.calls).toHaveLength(1);
+
+        queue.flush();
+        await queue.whenIdle();
+        expect(r.calls).toHaveLength(2);
+        queue.stop();
+    });
+
+    test('backoff doubles, caps and jitters into the upper half', function() {
+        var queue = createOutboundQueue({ send: recorder().send, baseDelayMs: 100, maxDelayMs: 1000, random: function() { return 0; } });
+        expect(queue.backoffDelay(1)).toBe(50);
+        expect(queue.backoffDelay(2)).toBe(100);
+        expect(queue.backoffDelay(3)).toBe(200);
+        expect(queue.backoffDelay(10)).toBe(500);
+
+        var high = createOutboundQueue({ send: recorder().send, baseDelayMs: 100, maxDelayMs: 1000, random: function() { return 1; } });
+        expect(high.backoffDelay(1)).toBe(100);
+        expect(high.backoffDelay(10)).toBe(1000);
+    });
+
+    test('whenIdle resolves immediately for an empty queue', async function() {
+        var queue = createOutboundQueue({ send: recorder().send });
+        await expect(queue.whenIdle()).resolves.toBeUndefined();
+    });
+});
+
+describe('takeDeadLetters', function() {
+    test('returns nothing when there is no file', function() {
+        expect(takeDeadLetters(path.join(dir, 'none.jsonl'))).toEqual({ path: null, records: [] });
+    });
+
+    test('moves the file aside and parses its records', function() {
+        var file = path.join(dir, 'dead.jsonl');
+        fs.writeFileSync(file, JSON.stringify({ text: 'a' }) + '\n' + 'garbage\n' + JSON.stringify({ text: 'b' }) + '\n');
+        var taken = takeDeadLetters(file);
+        expect(taken.records).toEqual([{ text: 'a' }, { text: 'b' }]);
+        expect(fs.existsSync(file)).toBe(false);
+        expect(fs.existsSync(taken.path)).toBe(true);
+    });
+
+    test('picks up a replay that was interrupted', function() {
+        var file = path.join(dir, 'dead.jsonl');
+        fs.writeFileSync(file + '.replaying', JSON.stringify({ text: 'left over' }) + '\n');
+        expect(takeDeadLetters(file).records).toEqual([{ text: 'left over' }]);
+    });
+});
@@ -0,0 +1,196 @@
+/**
+ * Redaction and content rules applied to replies before they leave the machine.
+ *
+ * Configured under `redaction` in the config file:
+ *   {
+ *     "builtins": ["aws-access-key", "bearer-token", "private-key", "env-secret", "api-token", "email"],
+ *     "patterns": [{ "name": "ticket", "pattern": "TCK-\\d+", "flags": "i", "replacement": "TCK-…" }],
+ *     "deny": ["CONFIDENTIAL", "/internal only/i"],
+ *     "allow": [],
+ *     "replacement": "[REDACTED:{name}]"
+ *   }
+ *
+ * `builtins` lists built-in detectors by name, or is true (all of them) or
+ * false (none). By default the secret detectors are on; `email` and
+ * `home-path` have to be asked for. `patterns` are extra regular expressions
+ * whose matches are replaced. A message containing any `deny` rule is not
+ * sent; with `allow` rules, a message must contain at least one of them to
+ * be sent. Rules are case-insensitive keywords, or /regex/flags.
+ */
+
+const PLACEHOLDER = '[REDACTED:{name}]';
+
+/**
+ * Built-in detectors, in the order they run: a whole assignment or key block
+ * goes before the token formats that may be inside it. Group 1, when a
+ * detector has one, is kept in front of the placeholder (e.g. the variable
+ * name of an assignment).
+ */
+const BUILTIN_DETECTORS = {
+    'private-key': /-----BEGIN [A-Z0-9 ]*PRIVATE KEY-----[\s\S]*?(?:-----END [A-Z0-9 ]*PRIVATE KEY-----|$)/g,
+    'env-secret': /(?<![A-Za-z0-9_])((?:export\s+)?[A-Z0-9_]*(?:KEY|TOKEN|SECRET|PASSWORD|PASSWD|CREDENTIALS?)[A-Z0-9_]*\s*=\s*)(?:"[^"\n]*"|'[^'\n]*'|[^\s"'`#]+)/g,
+    'bearer-token': /\b(Bearer\s+)[A-Za-z0-9._~+/-]{8,}=*/gi,
+    'aws-access-key': /\b(?:AKIA|ASIA|ABIA|ACCA)[0-9A-Z]{16}\b/g,
+    'api-token': /\b(?:sk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{30,}|github_pat_[A-Za-z0-9_]{30,}|xox[abprs]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})/g,
+    'email': /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/g,
+    'home-path': /((?:\/home|\/Users)\/)[^/\s`'"]+/g,
+};
+
+const DEFAULT_BUILTINS = ['private-key', 'aws-access-key', 'bearer-token', 'api-token', 'env-secret'];
+
+function compileRegex(source, flags, label) {
+    try {
+        return new RegExp(source, flags);
+    } catch (err) {
+        throw new Error(label + ' is not a valid regular expression: ' + err.message);
+    }
+}
+
+/**
+ * A deny/allow rule: "/regex/flags", or a keyword matched case-insensitively.
+ */
+function compileRule(rule, label) {
+    if (typeof rule !== 'string' || !rule) {
+        throw new Error(label + ' must be a keyword or a /regex/');
+    }
+    const regexMatch = rule.match(/^\/(.+)\/([a-z]*)$/);
+    const regex = regexMatch
+        ? compileRegex(regexMatch[1], regexMatch[2].replace('g', ''), label)
+        : new RegExp(rule.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    return { rule: rule, regex: regex };
+}
+
+function compileRules(rules, label) {
+    if (rules === undefined) return [];
+    if (!Array.isArray(rules)) throw new Error(label + ' must be an array');
+    return rules.map(function(rule, i) { return compileRule(rule, label + '[' + i + ']'); });
+}
+
+/**
+ * Validate the raw `redaction` setting and compile it. null gives the
+ * defaults. Throws an Error naming the offending entry; callers wrap it.
+ */
+function compileRedaction(raw) {
+    const settings = raw === null || raw === undefined ? {} : raw;
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new Error('redaction must be an object');
+    }
+    for (const key of Object.keys(settings)) {
+        if (!['builtins', 'patterns', 'deny', 'allow', 'replacement'].includes(key)) {
+            throw new Error('redaction has unknown key "' + key + '"');
+        }
+    }
+
+    let builtins = settings.builtins === undefined ? DEFAULT_BUILTINS : settings.builtins;
+    if (builtins === true) builtins = Object.keys(BUILTIN_DETECTORS);
+    if (builtins === false) builtins = [];
+    if (!Array.isArray(builtins)) {
+        throw new Error('redaction.builtins must be true, false or a list of detector names');
+    }
+    for (const name of builtins) {
+        if (!BUILTIN_DETECTORS[name]) {
+            throw new Error('redaction.builtins has unknown detector "' + name + '" (expected ' + Object.keys(BUILTIN_DETECTORS).join(', ') + ')');
+        }
+    }
+
+    const placeholder = settings.replacement === undefined ? PLACEHOLDER : settings.replacement;
+    if (typeof placeholder !== 'string') {
+        throw new Error('redaction.replacement must be a string');
+    }
+
+    const detectors = Object.keys(BUILTIN_DETECTORS).filter(function(name) {
+        return builtins.includes(name);
+    }).map(function(name) {
+        return { name: name, regex: BUILTIN_DETECTORS[name], replacement: null, keepPrefix: true };
+    });
+
+    const patterns = settings.patterns === undefined ? [] : settings.patterns;
+    if (!Array.isArray(patterns)) throw new Error('redaction.patterns must be an array');
+    patterns.forEach(function(pattern, i) {
+        const label = 'redaction.patterns[' + i + ']';
+        if (!pattern || typeof pattern !== 'object' || typeof pattern.pattern !== 'string' || !pattern.pattern) {
+            throw new Error(label + '.pattern must be a regular expression string');
+        }
+        if (pattern.replacement !== undefined && typeof pattern.replacement !== 'string') {
+            throw new Error(label + '.replacement must be a string');
+        }
+        const flags = (pattern.flags || '').replace('g', '') + 'g';
+        detectors.push({
+            name: pattern.name || 'pattern-' + i,
+            regex: compileRegex(pattern.pattern, flags, label + '.pattern'),
+            replacement: pattern.replacement === undefined ? null : pattern.replacement,
+            keepPrefix: false,
+        });
+    });
+
+    return {
+        detectors: detectors,
+        placeholder: placeholder,
+        deny: compileRules(settings.deny, 'redaction.deny'),
+        allow: compileRules(settings.allow, 'redaction.allow'),
+    };
+}
+
+const DEFAULT_REDACTION = compileRedaction(null);
+
+/**
+ * The redaction in effect for a config: the configured one, or the defaults.
+ */
+function redactionFor(config) {
+    return config.redaction || DEFAULT_REDACTION;
+}
+
+/**
+ * Why a message must not be sent under the deny/allow rules, or null if it may be.
+ */
+function blockReason(text, redaction) {
+    for (const deny of redaction.deny) {
+        if (deny.regex.test(text)) return 'deny rule ' + JSON.stringify(deny.rule);
+    }
+    if (redaction.allow.length > 0 && !redaction.allow.some(function(allow) { return allow.regex.test(text); })) {
+        return 'no allow rule matched';
+    }
+    return null;
+}
+
+/**
+ * Replace everything the detectors find. Returns { text, counts } where
+ * counts maps detector name to the number of replacements made.
+ */
+function redact(text, redaction) {
+    const counts = {};
+    let result = text;
+    for (const detector of redaction.detectors) {
+        const found = result.match(detector.regex);
+        if (!found) continue;
+        counts[detector.name] = found.length;
+        if (detector.replacement !== null) {
+            result = result.replace(detector.regex, detector.replacement);
+            continue;
+        }
+        const placeholder = redaction.placeholder.replace(/\{name\}/g, detector.name);
+        result = result.replace(detector.regex, function(match, prefix) {
+            return (detector.keepPrefix && typeof prefix === 'string' ? prefix : '') + placeholder;
+        });
+    }
+    return { text: result, counts: counts };
+}
+
+/**
+ * "2 aws-access-key, 1 email" for a redact() count map, or null if it is empty.
+ */
+function formatCounts(counts) {
+    const names = Object.keys(counts);
+    if (names.length === 0) return null;
+    return names.map(function(name) { return counts[name] + ' ' + name; }).join(', ');
+}
+
+module.exports = {
+    BUILTIN_DETECTORS: BUILTIN_DETECTORS,
+    DEFAULT_BUILTINS: DEFAULT_BUILTINS,
+    compileRedaction: compileRedaction,
+    redactionFor: redactionFor,
+    blockReason: blockReason,
+    redact: redact,
+    formatCounts: formatCounts,
+};
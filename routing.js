@@ -0,0 +1,163 @@
+const { FORMATS } = require('./formatter');
+const { THREAD_STYLES } = require('./threads');
+
+/**
+ * Routing rules: which runs get mirrored, and where to.
+ *
+ * A route looks like:
+ *   {
+ *     "name": "webchat-to-team",
+ *     "match": { "channel": "webchat", "session": "^ac75", "model": "opus", "agent": "^support$" },
+ *     "destinations": [{ "channel": "telegram", "target": "123456789", "transport": "cli", "format": "html", "threads": "topic" }],
+ *     "ignoreTag": "[mirrored]"
+ *   }
+ *
+ * `match.channel` is a messageChannel name, a list of names, or "*".
+ * `match.session`, `match.model` and `match.agent` are regular expressions.
+ * Omitted match fields match anything. A destination's `threads` ("topic" or
+ * "reply") gives each session its own thread there (see threads.js).
+ */
+
+const MATCH_KEYS = ['channel', 'session', 'model', 'agent'];
+
+/**
+ * Validate raw routes from the config file and compile their patterns.
+ * Throws an Error whose message names the offending route; callers wrap it.
+ */
+function compileRoutes(rawRoutes) {
+    if (!Array.isArray(rawRoutes)) {
+        throw new Error('routes must be an array');
+    }
+    return rawRoutes.map(function(raw, i) {
+        const label = 'routes[' + i + ']';
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+            throw new Error(label + ' must be an object');
+        }
+
+        const match = raw.match || {};
+        if (typeof match !== 'object' || Array.isArray(match)) {
+            throw new Error(label + '.match must be an object');
+        }
+        for (const key of Object.keys(match)) {
+            if (!MATCH_KEYS.includes(key)) {
+                throw new Error(label + '.match has unknown key "' + key + '" (expected ' + MATCH_KEYS.join(', ') + ')');
+            }
+        }
+
+        let channels = null;
+        if (match.channel !== undefined && match.channel !== '*') {
+            channels = Array.isArray(match.channel) ? match.channel : [match.channel];
+            if (channels.length === 0 || !channels.every(function(c) { return typeof c === 'string' && c; })) {
+                throw new Error(label + '.match.channel must be a channel name, a list of names, or "*"');
+            }
+        }
+
+        const destinations = raw.destinations;
+        if (!Array.isArray(destinations) || destinations.length === 0) {
+            throw new Error(label + '.destinations must be a non-empty array');
+        }
+        destinations.forEach(function(dest, j) {
+            const destLabel = label + '.destinations[' + j + ']';
+            if (!dest || typeof dest !== 'object') {
+                throw new Error(destLabel + ' must be an object');
+            }
+            if (typeof dest.channel !== 'string' || !dest.channel) {
+                throw new Error(destLabel + '.channel must be a non-empty string');
+            }
+            if (typeof dest.target !== 'string' || !dest.target) {
+                throw new Error(destLabel + '.target must be a non-empty string');
+            }
+            if (dest.transport !== undefined && (typeof dest.transport !== 'string' || !dest.transport)) {
+                throw new Error(destLabel + '.transport must be a transport name');
+            }
+            if (dest.format !== undefined && !FORMATS.includes(dest.format)) {
+                throw new Error(destLabel + '.format must be one of ' + FORMATS.join(', '));
+            }
+            if (dest.threads !== undefined && !THREAD_STYLES.includes(dest.threads)) {
+                throw new Error(destLabel + '.threads must be one of ' + THREAD_STYLES.join(', '));
+            }
+        });
+
+        if (raw.ignoreTag !== undefined && (typeof raw.ignoreTag !== 'string' || !raw.ignoreTag)) {
+            throw new Error(label + '.ignoreTag must be a non-empty string');
+        }
+
+        return {
+            name: raw.name || 'route-' + i,
+            channels: channels,
+            session: compilePattern(match.session, label + '.match.session'),
+            model: compilePattern(match.model, label + '.match.model'),
+            agent: compilePattern(match.agent, label + '.match.agent'),
+            destinations: destinations.map(function(dest) { return Object.assign({}, dest); }),
+            ignoreTag: raw.ignoreTag || null,
+        };
+    });
+}
+
+function compilePattern(source, label) {
+    if (source === undefined) return null;
+    if (typeof source !== 'string') {
+        throw new Error(label + ' must be a regular expression string');
+    }
+    try {
+        return new RegExp(source);
+    } catch (err) {
+        throw new Error(label + ' is not a valid regular expression: ' + err.message);
+    }
+}
+
+/**
+ * The single route the daemon used before routing existed:
+ * webchat replies to the configured Telegram target.
+ */
+function defaultRoutes(telegramTarget) {
+    return [{
+        name: 'default',
+        channels: ['webchat'],
+        session: null,
+        model: null,
+        agent: null,
+        destinations: [{ channel: 'telegram', target: telegramTarget }],
+        ignoreTag: null,
+    }];
+}
+
+/**
+ * The routes in effect for a config: the configured ones, or the default route.
+ */
+function routesFor(config) {
+    return config.routes || defaultRoutes(config.telegramTarget);
+}
+
+/**
+ * Return the routes that apply to a run ({ sessionId, messageChannel, model, agent }).
+ */
+function matchRoutes(routes, run) {
+    return routes.filter(function(route) {
+        if (route.channels && !route.channels.includes(run.messageChannel)) return false;
+        if (route.session && !route.session.test(run.sessionId || '')) return false;
+        if (route.model && !route.model.test(run.model || '')) return false;
+        if (route.agent && !route.agent.test(run.agent || '')) return false;
+        return true;
+    });
+}
+
+/**
+ * Every tag that marks a message as already mirrored. A reply carrying any
+ * of them is never mirrored again, so two opposite routes cannot ping-pong.
+ */
+function collectIgnoreTags(config) {
+    const tags = [config.ignoreTag];
+    for (const route of routesFor(config)) {
+        if (route.ignoreTag && !tags.includes(route.ignoreTag)) tags.push(route.ignoreTag);
+    }
+    return tags;
+}
+
+module.exports = {
+    compileRoutes: compileRoutes,
+    defaultRoutes: defaultRoutes,
+    routesFor: routesFor,
+    matchRoutes: matchRoutes,
+    collectIgnoreTags: collectIgnoreTags,
+};
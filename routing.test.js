@@ -0,0 +1,139 @@
+const {
+    compileRoutes,
+    defaultRoutes,
+    routesFor,
+    matchRoutes,
+    collectIgnoreTags,
+} = require('./routing');
+const { defaultConfig } = require('./config');
+
+function names(matched) {
+    return matched.map(function(r) { return r.name; });
+}
+
+function run(channel, sessionId, model) {
+    return { messageChannel: channel, sessionId: sessionId || 'sess-1', model: model || null };
+}
+
+describe('compileRoutes', function() {
+    test('compiles a minimal route', function() {
+        var routes = compileRoutes([{ destinations: [{ channel: 'telegram', target: '1' }] }]);
+        expect(routes).toHaveLength(1);
+        expect(routes[0].name).toBe('route-0');
+        expect(routes[0].channels).toBeNull();
+        expect(routes[0].ignoreTag).toBeNull();
+    });
+
+    test('accepts a single channel, a list, or "*"', function() {
+        var dest = [{ channel: 'telegram', target: '1' }];
+        var routes = compileRoutes([
+            { match: { channel: 'webchat' }, destinations: dest },
+            { match: { channel: ['webchat', 'telegram'] }, destinations: dest },
+            { match: { channel: '*' }, destinations: dest },
+        ]);
+        expect(routes[0].channels).toEqual(['webchat']);
+        expect(routes[1].channels).toEqual(['webchat', 'telegram']);
+        expect(routes[2].channels).toBeNull();
+    });
+
+    test('rejects non-arrays and malformed routes', function() {
+        expect(function() { compileRoutes({}); }).toThrow('routes must be an array');
+        expect(function() { compileRoutes(['x']); }).toThrow('routes[0] must be an object');
+        expect(function() { compileRoutes([{ destinations: [] }]); }).toThrow('routes[0].destinations must be a non-empty array');
+    });
+
+    test('rejects destinations without channel or target', function() {
+        expect(function() {
+            compileRoutes([{ destinations: [{ channel: 'telegram' }] }]);
+        }).toThrow('routes[0].destinations[0].target must be a non-empty string');
+        expect(function() {
+            compileRoutes([{ destinations: [{ target: '1' }] }]);
+        }).toThrow('routes[0].destinations[0].channel must be a non-empty string');
+    });
+
+    test('accepts known destination formats only', function() {
+        var routes = compileRoutes([{ destinations: [{ channel: 'telegram', target: '1', format: 'html' }] }]);
+        expect(routes[0].destinations[0].format).toBe('html');
+        expect(function() {
+            compileRoutes([{ destinations: [{ channel: 'telegram', target: '1', format: 'rtf' }] }]);
+        }).toThrow('routes[0].destinations[0].format must be one of markdown, markdownv2, html, plain');
+    });
+
+    test('accepts topic and reply threads only', function() {
+        var routes = compileRoutes([{ destinations: [{ channel: 'telegram', target: '1', threads: 'topic' }] }]);
+        expect(routes[0].destinations[0].threads).toBe('topic');
+        expect(function() {
+            compileRoutes([{ destinations: [{ channel: 'telegram', target: '1', threads: true }] }]);
+        }).toThrow('routes[0].destinations[0].threads must be one of topic, reply');
+    });
+
+    test('rejects unknown match keys and bad patterns', function() {
+        var dest = [{ channel: 'telegram', target: '1' }];
+        expect(function() { compileRoutes([{ match: { chanel: 'x' }, destinations: dest }]); })
+            .toThrow('routes[0].match has unknown key "chanel"');
+        expect(function() { compileRoutes([{ match: { session: '(' }, destinations: dest }]); })
+            .toThrow('routes[0].match.session is not a valid regular expression');
+        expect(function() { compileRoutes([{ match: { channel: [] }, destinations: dest }]); })
+            .toThrow('routes[0].match.channel');
+    });
+});
+
+describe('matchRoutes', function() {
+    var routes = compileRoutes([
+        { name: 'wc', match: { channel: 'webchat' }, destinations: [{ channel: 'telegram', target: '1' }] },
+        { name: 'tg', match: { channel: 'telegram' }, destinations: [{ channel: 'discord', target: 'c' }] },
+        { name: 'opus', match: { model: 'opus' }, destinations: [{ channel: 'telegram', target: '2' }] },
+        { name: 'team', match: { session: '^team-' }, destinations: [{ channel: 'telegram', target: '3' }] },
+    ]);
+
+    test('matches on channel', function() {
+        expect(names(matchRoutes(routes, run('webchat')))).toEqual(['wc']);
+        expect(names(matchRoutes(routes, run('telegram')))).toEqual(['tg']);
+        expect(names(matchRoutes(routes, run('heartbeat')))).toEqual([]);
+    });
+
+    test('matches on model and session patterns', function() {
+        expect(names(matchRoutes(routes, run('heartbeat', 'sess', 'claude-opus-4-5')))).toEqual(['opus']);
+        expect(names(matchRoutes(routes, run('webchat', 'team-42')))).toEqual(['wc', 'team']);
+    });
+
+    test('matches on the agent', function() {
+        var byAgent = compileRoutes([{ name: 'support', match: { agent: '^support$' }, destinations: [{ channel: 'telegram', target: '4' }] }]);
+        expect(names(matchRoutes(byAgent, Object.assign(run('webchat'), { agent: 'support' })))).toEqual(['support']);
+        expect(names(matchRoutes(byAgent, Object.assign(run('webchat'), { agent: 'main' })))).toEqual([]);
+        expect(names(matchRoutes(byAgent, run('webchat')))).toEqual([]);
+    });
+
+    test('a missing model never matches a model pattern', function() {
+        expect(names(matchRoutes(routes, run('heartbeat')))).not.toContain('opus');
+    });
+});
+
+describe('defaultRoutes / routesFor', function() {
+    test('default route mirrors webchat to the telegram target', function() {
+        var routes = defaultRoutes('123');
+        expect(names(matchRoutes(routes, run('webchat')))).toEqual(['default']);
+        expect(routes[0].destinations).toEqual([{ channel: 'telegram', target: '123' }]);
+    });
+
+    test('configured routes replace the default', function() {
+        var config = defaultConfig();
+        config.telegramTarget = '123';
+        expect(routesFor(config)[0].name).toBe('default');
+        config.routes = compileRoutes([{ name: 'custom', destinations: [{ channel: 'telegram', target: '9' }] }]);
+        expect(routesFor(config)[0].name).toBe('custom');
+    });
+});
+
+describe('collectIgnoreTags', function() {
+    test('includes the global tag and each distinct route tag', function() {
+        var config = defaultConfig();
+        config.routes = compileRoutes([
+            { destinations: [{ channel: 'telegram', target: '1' }], ignoreTag: '[a]' },
+            { destinations: [{ channel: 'telegram', target: '2' }], ignoreTag: '[a]' },
+            { destinations: [{ channel: 'telegram', target: '3' }], ignoreTag: '[b]' },
+            { destinations: [{ channel: 'telegram', target: '4' }] },
+        ]);
+        expect(collectIgnoreTags(config)).toEqual(['[mirrored]', '[a]', '[b]']);
+    });
+});
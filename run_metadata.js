@@ -0,0 +1,77 @@
+/**
+ * Run metadata from the `embedded run start/done` log lines, and the
+ * templated header/footer built from it.
+ *
+ * Templates use {name} placeholders:
+ *   {model} {provider} {thinking} {channel} {session} {agent} {runId}
+ *   {duration}   run time, e.g. "4.9s" or "2m 05s"
+ *   {tools}      the tool usage summary, e.g. "🔧 read×3 (1.2s)"
+ *   {<field>}    any other key=value field from the start or done line, as logged
+ *   {<name>=}    "name=value", e.g. {thinking=} -> "thinking=low"
+ * A placeholder with no value renders empty, along with one separator
+ * (" · ", " | ", " - ", ", ") next to it.
+ */
+
+/**
+ * Every key=value pair in a log message, as strings.
+ */
+function parseFields(msg) {
+    const fields = {};
+    const re = /([A-Za-z_][\w.-]*)=(\S*)/g;
+    let match;
+    while ((match = re.exec(msg)) !== null) {
+        fields[match[1]] = match[2];
+    }
+    return fields;
+}
+
+function formatDuration(ms) {
+    if (typeof ms !== 'number' || !Number.isFinite(ms)) return '';
+    if (ms < 60000) return (ms / 1000).toFixed(1) + 's';
+    const seconds = Math.round(ms / 1000);
+    return Math.floor(seconds / 60) + 'm ' + String(seconds % 60).padStart(2, '0') + 's';
+}
+
+/**
+ * Template values for a run: its start and done fields plus the named ones above.
+ */
+function templateValues(run, runId, extra) {
+    const fields = Object.assign({}, run.fields);
+    const durationMs = fields.durationMs !== undefined ? Number(fields.durationMs) : NaN;
+    return Object.assign(fields, {
+        model: run.model || fields.model,
+        channel: run.messageChannel,
+        session: run.sessionId,
+        agent: run.agent || fields.agent,
+        runId: runId,
+        duration: formatDuration(durationMs),
+    }, extra);
+}
+
+const SEPARATOR = '(?: [·|\\-–—] |, )';
+
+/**
+ * Fill in a template. Returns null if nothing but whitespace and separators
+ * is left, so an all-empty footer is not sent.
+ */
+function renderTemplate(template, values) {
+    const MISSING = '\u0000';
+    const text = template.replace(/\{([\w.-]+?)(=?)\}/g, function(whole, name, labelled) {
+        const value = values[name];
+        if (value === undefined || value === null || value === '') return MISSING;
+        return (labelled ? name + '=' : '') + value;
+    });
+    // Drop each missing value with one separator next to it.
+    return text
+        .replace(new RegExp(SEPARATOR + MISSING, 'g'), '')
+        .replace(new RegExp(MISSING + SEPARATOR, 'g'), '')
+        .replace(new RegExp(MISSING, 'g'), '')
+        .trim() || null;
+}
+
+module.exports = {
+    parseFields: parseFields,
+    formatDuration: formatDuration,
+    templateValues: templateValues,
+    renderTemplate: renderTemplate,
+};
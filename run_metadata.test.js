@@ -0,0 +1,56 @@
+const { parseFields, formatDuration, templateValues, renderTemplate } = require('./run_metadata');
+
+describe('parseFields', function() {
+    test('returns every key=value pair', function() {
+        expect(parseFields('embedded run done: runId=r1 sessionId=s1 durationMs=4881 aborted=false'))
+            .toEqual({ runId: 'r1', sessionId: 's1', durationMs: '4881', aborted: 'false' });
+    });
+
+    test('keeps empty values and ignores words without =', function() {
+        expect(parseFields('tool end: error= tool=bash done')).toEqual({ error: '', tool: 'bash' });
+    });
+});
+
+describe('formatDuration', function() {
+    test('formats seconds and minutes', function() {
+        expect(formatDuration(4881)).toBe('4.9s');
+        expect(formatDuration(59949)).toBe('59.9s');
+        expect(formatDuration(125000)).toBe('2m 05s');
+        expect(formatDuration(NaN)).toBe('');
+        expect(formatDuration(undefined)).toBe('');
+    });
+});
+
+describe('templateValues', function() {
+    test('combines fields with the named values', function() {
+        var run = { sessionId: 's1', messageChannel: 'webchat', model: 'opus', fields: { provider: 'anthropic', durationMs: '4881' } };
+        expect(templateValues(run, 'r1', { tools: null })).toEqual({
+            provider: 'anthropic',
+            durationMs: '4881',
+            model: 'opus',
+            channel: 'webchat',
+            session: 's1',
+            runId: 'r1',
+            duration: '4.9s',
+            tools: null,
+        });
+    });
+});
+
+describe('renderTemplate', function() {
+    var values = { model: 'claude-opus-4-5', thinking: 'low', duration: '4.9s' };
+
+    test('fills placeholders', function() {
+        expect(renderTemplate('{model} · {thinking=} · {duration}', values)).toBe('claude-opus-4-5 · thinking=low · 4.9s');
+    });
+
+    test('drops missing values with one separator', function() {
+        expect(renderTemplate('{model} · {provider} · {duration}', values)).toBe('claude-opus-4-5 · 4.9s');
+        expect(renderTemplate('{provider} · {model}', values)).toBe('claude-opus-4-5');
+        expect(renderTemplate('{model}, {provider=}', values)).toBe('claude-opus-4-5');
+    });
+
+    test('returns null when everything is missing', function() {
+        expect(renderTemplate('{a} · {b}', {})).toBeNull();
+    });
+});
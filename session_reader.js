@@ -0,0 +1,256 @@
+const fs = require('fs');
+
+/**
+ * Reading session transcripts (JSONL) from the end.
+ *
+ * Sessions grow to tens of megabytes of tool output, and a lookup only needs
+ * the last turn or so. Lines are read backwards from EOF in fixed-size
+ * blocks, and the reader keeps, per file, the message entries it has already
+ * parsed at the end of it along with the offsets they cover. The next lookup
+ * reads only what was appended since, and goes further back in the file only
+ * if the cached entries were not enough.
+ */
+
+const DEFAULT_BLOCK_SIZE = 64 * 1024;
+const DEFAULT_MAX_FILES = 64;
+// Bytes before the cached end that must be unchanged for the cache to be used.
+const FINGERPRINT_BYTES = 64;
+
+/**
+ * Yield the non-empty lines of fd between byte offsets `start` and `end`,
+ * last first, as { text, offset }. Lines are split on raw newline bytes so a
+ * multi-byte character is never cut in half.
+ */
+function* linesBackward(fd, start, end, blockSize) {
+    let pos = end;
+    let tail = []; // pieces of the line being read, in file order
+    while (pos > start) {
+        const size = Math.min(blockSize, pos - start);
+        pos -= size;
+        const block = Buffer.alloc(size);
+        fs.readSync(fd, block, 0, size, pos);
+
+        let lineEnd = size;
+        for (let i = size - 1; i >= 0; i--) {
+            if (block[i] !== 0x0a) continue;
+            const line = Buffer.concat([block.subarray(i + 1, lineEnd)].concat(tail));
+            tail = [];
+            if (line.length > 0) yield { text: line.toString('utf8'), offset: pos + i + 1 };
+            lineEnd = i;
+        }
+        if (lineEnd > 0) tail.unshift(block.subarray(0, lineEnd));
+    }
+    const first = Buffer.concat(tail);
+    if (first.length > 0) yield { text: first.toString('utf8'), offset: start };
+}
+
+function readRange(fd, start, end) {
+    const buffer = Buffer.alloc(end - start);
+    if (buffer.length > 0) fs.readSync(fd, buffer, 0, buffer.length, start);
+    return buffer;
+}
+
+/**
+ * When a transcript entry was written, in epoch milliseconds, from its own
+ * timestamp or its message's. Null if it has neither.
+ */
+function transcriptTime(entry) {
+    for (const value of [entry.timestamp, entry.message.timestamp]) {
+        if (typeof value === 'number' && Number.isFinite(value)) return value;
+        if (typeof value === 'string') {
+            const time = Date.parse(value);
+            if (!Number.isNaN(time)) return time;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse one transcript line into { message, runId, time }, or null if it is
+ * not a message entry (or not valid JSON).
+ */
+function parseMessageLine(text) {
+    let entry;
+    try {
+        entry = JSON.parse(text);
+    } catch {
+        return null;
+    }
+    if (!entry || entry.type !== 'message' || !entry.message) return null;
+    return {
+        message: entry.message,
+        runId: entry.runId || entry.message.runId || null,
+        time: transcriptTime(entry),
+    };
+}
+
+function isJson(text) {
+    try {
+        JSON.parse(text);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * The offset up to which fd holds complete lines. A last line without a
+ * newline counts if it parses; otherwise it is still being written.
+ */
+function completeEnd(fd, size, blockSize) {
+    if (size === 0) return 0;
+    const last = readRange(fd, size - 1, size);
+    if (last[0] === 0x0a) return size;
+    const line = linesBackward(fd, 0, size, blockSize).next().value;
+    return isJson(line.text) ? size : line.offset;
+}
+
+/**
+ * Create a reader with its own cache.
+ *
+ * Options: blockSize (default 64 KiB), maxFiles (files kept in the cache,
+ * least recently used dropped first, default 64).
+ *
+ * The cache for a file is dropped when the file is replaced, shrinks, or the
+ * bytes just before the cached end change, so a rewritten transcript is read
+ * afresh.
+ */
+function createSessionReader(options) {
+    const opts = options || {};
+    const blockSize = opts.blockSize || DEFAULT_BLOCK_SIZE;
+    const maxFiles = opts.maxFiles || DEFAULT_MAX_FILES;
+    // filePath -> { ino, start, end, fingerprint, entries: [{ offset, item }] }
+    const cache = new Map();
+
+    function fingerprint(fd, end) {
+        return readRange(fd, Math.max(0, end - FINGERPRINT_BYTES), end).toString('hex');
+    }
+
+    function remember(filePath, state) {
+        cache.delete(filePath);
+        cache.set(filePath, state);
+        if (cache.size > maxFiles) cache.delete(cache.keys().next().value);
+    }
+
+    /**
+     * Bring the cached state for a file up to date with what was appended.
+     */
+    function refresh(filePath, fd, stat) {
+        let state = cache.get(filePath);
+        if (state && (state.ino !== stat.ino || stat.size < state.end || fingerprint(fd, state.end) !== state.fingerprint)) {
+            state = null;
+        }
+
+        const end = completeEnd(fd, stat.size, blockSize);
+        if (!state) {
+            state = { ino: stat.ino, start: end, end: end, fingerprint: null, entries: [] };
+        } else if (end > state.end) {
+            const appended = readRange(fd, state.end, end);
+            let lineStart = 0;
+            while (lineStart < appended.length) {
+                let lineEnd = appended.indexOf(0x0a, lineStart);
+                if (lineEnd === -1) lineEnd = appended.length;
+                const item = parseMessageLine(appended.subarray(lineStart, lineEnd).toString('utf8'));
+                if (item) state.entries.push({ offset: state.end + lineStart, item: item });
+                lineStart = lineEnd + 1;
+            }
+            state.end = end;
+        }
+        state.fingerprint = fingerprint(fd, state.end);
+        return state;
+    }
+
+    /**
+     * Call visit(item) on each message entry of a file, newest first, until it
+     * returns true. Items are { message, runId, time } (runId and time null
+     * when the entry has none); unparseable lines are skipped. Returns false
+     * if the file cannot be read, true otherwise.
+     */
+    function walkBackward(filePath, visit) {
+        let fd;
+        try {
+            fd = fs.openSync(filePath, 'r');
+        } catch {
+            cache.delete(filePath);
+            return false;
+        }
+        try {
+            const state = refresh(filePath, fd, fs.fstatSync(fd));
+            remember(filePath, state);
+
+            for (let i = state.entries.length - 1; i >= 0; i--) {
+                if (visit(state.entries[i].item)) {
+                    // Keep what this lookup needed; later ones rarely need more.
+                    state.entries = state.entries.slice(i);
+                    state.start = state.entries[0].offset;
+                    return true;
+                }
+            }
+
+            const older = [];
+            for (const line of linesBackward(fd, 0, state.start, blockSize)) {
+                const item = parseMessageLine(line.text);
+                if (!item) continue;
+                older.push({ offset: line.offset, item: item });
+                if (visit(item)) {
+                    state.entries = older.reverse().concat(state.entries);
+                    state.start = line.offset;
+                    return true;
+                }
+            }
+            // Walked the whole file without stopping: don't cache all of it.
+            return true;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    return {
+        walkBackward: walkBackward,
+        forget: function(filePath) { cache.delete(filePath); },
+        clear: function() { cache.clear(); },
+    };
+}
+
+/**
+ * Call visit(item) for each message entry from the start of a transcript,
+ * oldest first, until it returns true. For the few lookups that need the
+ * beginning of a session (e.g. its first prompt); nothing is cached.
+ * Returns false if the file cannot be read.
+ */
+function walkForward(filePath, visit, blockSize) {
+    let fd;
+    try {
+        fd = fs.openSync(filePath, 'r');
+    } catch {
+        return false;
+    }
+    try {
+        const block = Buffer.alloc(blockSize || DEFAULT_BLOCK_SIZE);
+        let pending = Buffer.alloc(0);
+        let pos = 0;
+        for (;;) {
+            const bytesRead = fs.readSync(fd, block, 0, block.length, pos);
+            if (bytesRead === 0) return true;
+            pos += bytesRead;
+            let data = Buffer.concat([pending, block.subarray(0, bytesRead)]);
+            let newline;
+            while ((newline = data.indexOf(0x0a)) !== -1) {
+                const item = parseMessageLine(data.subarray(0, newline).toString('utf8'));
+                data = data.subarray(newline + 1);
+                if (item && visit(item)) return true;
+            }
+            pending = Buffer.from(data);
+        }
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = {
+    createSessionReader: createSessionReader,
+    walkForward: walkForward,
+    linesBackward: linesBackward,
+    parseMessageLine: parseMessageLine,
+    transcriptTime: transcriptTime,
+};
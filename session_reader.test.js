@@ -0,0 +1,219 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createSessionReader, walkForward, linesBackward, parseMessageLine } = require('./session_reader');
+
+var dir;
+var file;
+
+beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-reader-'));
+    file = path.join(dir, 'session.jsonl');
+});
+
+afterEach(function() {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function entry(role, text, extra) {
+    return JSON.stringify(Object.assign({ type: 'message', message: { role: role, content: [{ type: 'text', text: text }] } }, extra)) + '\n';
+}
+
+function texts(reader, limit) {
+    var seen = [];
+    reader.walkBackward(file, function(item) {
+        seen.push(item.message.content[0].text);
+        return seen.length === limit;
+    });
+    return seen;
+}
+
+function lastAssistant(reader) {
+    var text = null;
+    reader.walkBackward(file, function(item) {
+        if (item.message.role !== 'assistant') return false;
+        text = item.message.content[0].text;
+        return true;
+    });
+    return text;
+}
+
+function countReads() {
+    var spy = jest.spyOn(fs, 'readSync');
+    return function() {
+        return spy.mock.calls.reduce(function(sum, call) { return sum + call[3]; }, 0);
+    };
+}
+
+describe('linesBackward', function() {
+    test('yields lines last first with their offsets, across blocks', function() {
+        fs.writeFileSync(file, 'one\ntwo\n\nthree and more\nfour');
+        var fd = fs.openSync(file, 'r');
+        var lines = Array.from(linesBackward(fd, 0, fs.fstatSync(fd).size, 3));
+        fs.closeSync(fd);
+
+        expect(lines).toEqual([
+            { text: 'four', offset: 24 },
+            { text: 'three and more', offset: 9 },
+            { text: 'two', offset: 4 },
+            { text: 'one', offset: 0 },
+        ]);
+    });
+
+    test('does not cut multi-byte characters at block edges', function() {
+        fs.writeFileSync(file, 'héllo wörld 🙂\nnext\n');
+        var fd = fs.openSync(file, 'r');
+        var lines = Array.from(linesBackward(fd, 0, fs.fstatSync(fd).size, 2));
+        fs.closeSync(fd);
+
+        expect(lines.map(function(l) { return l.text; })).toEqual(['next', 'héllo wörld 🙂']);
+    });
+});
+
+describe('parseMessageLine', function() {
+    test('keeps message entries with their run ID and time', function() {
+        expect(parseMessageLine(entry('user', 'hi', { runId: 'r1', timestamp: '2026-02-01T10:00:00.000Z' }).trim())).toEqual({
+            message: { role: 'user', content: [{ type: 'text', text: 'hi' }] },
+            runId: 'r1',
+            time: Date.parse('2026-02-01T10:00:00.000Z'),
+        });
+        expect(parseMessageLine('{"type":"session"}')).toBeNull();
+        expect(parseMessageLine('{"type":"mess')).toBeNull();
+    });
+});
+
+describe('session reader', function() {
+    test('walks message entries newest first and stops when asked', function() {
+        fs.writeFileSync(file, entry('user', 'q') + '{"type":"session"}\nnot json\n' + entry('assistant', 'a1') + entry('assistant', 'a2'));
+        var reader = createSessionReader({ blockSize: 16 });
+
+        expect(texts(reader)).toEqual(['a2', 'a1', 'q']);
+        expect(texts(reader, 2)).toEqual(['a2', 'a1']);
+    });
+
+    test('returns false for a missing file', function() {
+        expect(createSessionReader().walkBackward(file, function() { return true; })).toBe(false);
+    });
+
+    test('reads only what was appended since the last lookup', function() {
+        fs.writeFileSync(file, entry('user', 'q1') + entry('assistant', 'a1'));
+        var reader = createSessionReader();
+        expect(lastAssistant(reader)).toBe('a1');
+
+        var appended = entry('user', 'q2') + entry('assistant', 'a2');
+        fs.appendFileSync(file, appended);
+        var bytesRead = countReads();
+        expect(lastAssistant(reader)).toBe('a2');
+        // The appended lines, plus the last byte and the fingerprint checks.
+        expect(bytesRead()).toBeLessThan(appended.length + 200);
+    });
+
+    test('reaches back past the cached entries when needed', function() {
+        fs.writeFileSync(file, entry('user', 'q1') + entry('assistant', 'a1') + entry('user', 'q2') + entry('assistant', 'a2'));
+        var reader = createSessionReader({ blockSize: 8 });
+
+        expect(texts(reader, 1)).toEqual(['a2']);
+        expect(texts(reader)).toEqual(['a2', 'q2', 'a1', 'q1']);
+        expect(texts(reader)).toEqual(['a2', 'q2', 'a1', 'q1']);
+    });
+
+    test('leaves a half-written last line for the next lookup', function() {
+        var half = entry('assistant', 'a2');
+        fs.writeFileSync(file, entry('assistant', 'a1') + half.substring(0, 20));
+        var reader = createSessionReader();
+        expect(lastAssistant(reader)).toBe('a1');
+
+        fs.appendFileSync(file, half.substring(20));
+        expect(lastAssistant(reader)).toBe('a2');
+    });
+
+    test('starts over when the file is rewritten', function() {
+        fs.writeFileSync(file, entry('assistant', 'first version of the reply'));
+        var reader = createSessionReader();
+        expect(lastAssistant(reader)).toBe('first version of the reply');
+
+        fs.writeFileSync(file, entry('assistant', 'short'));
+        expect(lastAssistant(reader)).toBe('short');
+
+        fs.writeFileSync(file, entry('assistant', 'a rewritten and much longer transcript entry'));
+        expect(lastAssistant(reader)).toBe('a rewritten and much longer transcript entry');
+    });
+});
+
+describe('walkForward', function() {
+    test('visits message entries oldest first until told to stop', function() {
+        fs.writeFileSync(file, '{"type":"session"}\n' + entry('user', 'first') + entry('assistant', 'a') + entry('user', 'second'));
+        var seen = [];
+        expect(walkForward(file, function(item) {
+            seen.push(item.message.content[0].text);
+            return seen.length === 2;
+        }, 8)).toBe(true);
+        expect(seen).toEqual(['first', 'a']);
+    });
+
+    test('returns false for a missing file', function() {
+        expect(walkForward(file, function() { return true; })).toBe(false);
+    });
+});
+
+describe('benchmark', function() {
+    // A long-lived session: 2,000 tool rounds of 8 KB each (about 16 MB), then a reply.
+    function writeLargeTranscript() {
+        var toolOutput = 'x'.repeat(8 * 1024);
+        var fd = fs.openSync(file, 'w');
+        fs.writeSync(fd, entry('user', 'Start'));
+        for (var i = 0; i < 2000; i++) {
+            fs.writeSync(fd, JSON.stringify({ type: 'message', message: { role: 'toolResult', content: [{ type: 'text', text: toolOutput }] } }) + '\n');
+        }
+        fs.writeSync(fd, entry('user', 'Question'));
+        fs.writeSync(fd, entry('assistant', 'Answer'));
+        fs.closeSync(fd);
+    }
+
+    function readWholeFile() {
+        var lines = fs.readFileSync(file, 'utf8').trim().split('\n');
+        for (var i = lines.length - 1; i >= 0; i--) {
+            var item = parseMessageLine(lines[i]);
+            if (item && item.message.role === 'assistant') return item.message.content[0].text;
+        }
+        return null;
+    }
+
+    function timed(fn) {
+        var started = process.hrtime.bigint();
+        var result = fn();
+        return { result: result, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+    }
+
+    test('reading from the end beats loading the whole transcript', function() {
+        writeLargeTranscript();
+        var size = fs.statSync(file).size;
+        var reader = createSessionReader();
+
+        var whole = timed(readWholeFile);
+        var bytesRead = countReads();
+        var first = timed(function() { return lastAssistant(reader); });
+        var firstBytes = bytesRead();
+
+        fs.appendFileSync(file, entry('user', 'Again') + entry('assistant', 'Second answer'));
+        var second = timed(function() { return lastAssistant(reader); });
+        var secondBytes = bytesRead() - firstBytes;
+
+        // MIRROR_BENCHMARK=1 npx jest session_reader prints the numbers.
+        if (process.env.MIRROR_BENCHMARK) {
+            console.log('[benchmark] ' + (size / 1048576).toFixed(1) + ' MB transcript: whole file ' + whole.ms.toFixed(1) +
+                ' ms, from the end ' + first.ms.toFixed(2) + ' ms (' + firstBytes + ' bytes), after an append ' +
+                second.ms.toFixed(2) + ' ms (' + secondBytes + ' bytes)');
+        }
+
+        expect(whole.result).toBe('Answer');
+        expect(first.result).toBe('Answer');
+        expect(second.result).toBe('Second answer');
+        expect(firstBytes).toBeLessThan(2 * 64 * 1024);
+        expect(secondBytes).toBeLessThan(1024);
+        expect(first.ms).toBeLessThan(whole.ms);
+        expect(second.ms).toBeLessThan(whole.ms);
+    });
+});
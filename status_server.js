@@ -0,0 +1,90 @@
+const http = require('http');
+
+/**
+ * Local HTTP server for watching a running daemon:
+ *   GET /healthz   JSON health; 200 while a log is being followed, 503 otherwise
+ *   GET /status    JSON with open runs, queue depth, the current log and offset
+ *   GET /metrics   counters and gauges in the Prometheus text format
+ *
+ * Options:
+ *   port, host      where to listen (port 0 picks a free one)
+ *   health() -> { healthy, ... }   the body of /healthz
+ *   status() -> object             the body of /status
+ *   metrics() -> string            the body of /metrics
+ *
+ * Returns { start() -> Promise<{ host, port }>, stop() -> Promise, address() }.
+ */
+function createStatusServer(options) {
+    const opts = options || {};
+    let server = null;
+
+    function sendJson(res, statusCode, body) {
+        res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(body, null, 2) + '\n');
+    }
+
+    function handle(req, res) {
+        const pathname = new URL(req.url, 'http://localhost').pathname;
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            res.writeHead(405, { Allow: 'GET, HEAD' });
+            res.end();
+            return;
+        }
+        if (pathname === '/healthz') {
+            const health = opts.health();
+            sendJson(res, health.healthy ? 200 : 503, health);
+        } else if (pathname === '/status') {
+            sendJson(res, 200, opts.status());
+        } else if (pathname === '/metrics') {
+            res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+            res.end(opts.metrics());
+        } else {
+            sendJson(res, 404, { error: 'Not found; try /healthz, /status or /metrics' });
+        }
+    }
+
+    function start() {
+        if (server) return Promise.resolve(address());
+        server = http.createServer(function(req, res) {
+            try {
+                handle(req, res);
+            } catch (err) {
+                sendJson(res, 500, { error: err.message });
+            }
+        });
+        return new Promise(function(resolve, reject) {
+            server.once('error', function(err) {
+                server = null;
+                reject(err);
+            });
+            server.listen(opts.port, opts.host, function() {
+                resolve(address());
+            });
+        });
+    }
+
+    function stop() {
+        if (!server) return Promise.resolve();
+        const closing = server;
+        server = null;
+        return new Promise(function(resolve) {
+            closing.close(function() { resolve(); });
+            if (closing.closeAllConnections) closing.closeAllConnections();
+        });
+    }
+
+    function address() {
+        const addr = server && server.address();
+        return addr ? { host: addr.address, port: addr.port } : null;
+    }
+
+    return {
+        start: start,
+        stop: stop,
+        address: address,
+    };
+}
+
+module.exports = {
+    createStatusServer: createStatusServer,
+};
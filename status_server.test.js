@@ -0,0 +1,67 @@
+const http = require('http');
+
+const { createStatusServer } = require('./status_server');
+
+function get(address, pathname, method) {
+    return new Promise(function(resolve, reject) {
+        var req = http.request({ host: address.host, port: address.port, path: pathname, method: method || 'GET' }, function(res) {
+            var body = '';
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) { body += chunk; });
+            res.on('end', function() { resolve({ status: res.statusCode, type: res.headers['content-type'], body: body }); });
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+describe('status server', function() {
+    var server;
+    var healthy;
+
+    beforeEach(function() {
+        healthy = true;
+        server = createStatusServer({
+            port: 0,
+            host: '127.0.0.1',
+            health: function() { return { healthy: healthy, tail: healthy ? 'following' : 'missing' }; },
+            status: function() { return { queue: { depth: 2 } }; },
+            metrics: function() { return 'mirror_queue_depth 2\n'; },
+        });
+    });
+
+    afterEach(function() {
+        return server.stop();
+    });
+
+    test('serves health, status and metrics', async function() {
+        var address = await server.start();
+        expect(address.port).toBeGreaterThan(0);
+
+        var health = await get(address, '/healthz');
+        expect(health.status).toBe(200);
+        expect(JSON.parse(health.body)).toEqual({ healthy: true, tail: 'following' });
+
+        var status = await get(address, '/status?verbose=1');
+        expect(JSON.parse(status.body)).toEqual({ queue: { depth: 2 } });
+
+        var metrics = await get(address, '/metrics');
+        expect(metrics.type).toMatch(/^text\/plain; version=0\.0\.4/);
+        expect(metrics.body).toBe('mirror_queue_depth 2\n');
+    });
+
+    test('answers 503 when unhealthy, 404 and 405 otherwise', async function() {
+        var address = await server.start();
+        healthy = false;
+        expect((await get(address, '/healthz')).status).toBe(503);
+        expect((await get(address, '/nope')).status).toBe(404);
+        expect((await get(address, '/status', 'POST')).status).toBe(405);
+    });
+
+    test('start rejects when the port is taken', async function() {
+        var address = await server.start();
+        var other = createStatusServer({ port: address.port, host: '127.0.0.1' });
+        await expect(other.start()).rejects.toThrow(/EADDRINUSE/);
+        expect(other.address()).toBeNull();
+    });
+});
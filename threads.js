@@ -0,0 +1,139 @@
+/**
+ * One thread per session in a destination chat.
+ *
+ * A route destination with `"threads": "topic"` gets a forum topic for each
+ * session, and one with `"threads": "reply"` a reply thread: a first message
+ * with the session's title that every later message replies to. The thread
+ * is created through the destination's transport (its createThread) when the
+ * first message for the session is sent. The mapping from session to thread
+ * is kept in the checkpoint, so later replies land in the same thread after
+ * a restart.
+ */
+
+const THREAD_STYLES = ['topic', 'reply'];
+
+// Telegram allows 128 characters in a topic name; titles stay well short of it.
+const TITLE_LENGTH = 64;
+
+/**
+ * A thread title from a session's first user message: its first line,
+ * shortened. Falls back to the session ID when there is no text.
+ */
+function threadTitle(text, sessionId) {
+    const line = (text || '').split('\n').map(function(l) { return l.trim(); }).find(Boolean);
+    if (!line) return 'Session ' + String(sessionId).substring(0, 8);
+    const title = line.replace(/\s+/g, ' ');
+    return title.length > TITLE_LENGTH ? title.substring(0, TITLE_LENGTH - 1).trimEnd() + '…' : title;
+}
+
+/**
+ * The key a destination's threads are kept under. The style is part of it,
+ * so switching a destination from topics to replies starts new threads.
+ */
+function destinationKey(destination) {
+    return destination.channel + ':' + destination.target + '#' + destination.threads;
+}
+
+/**
+ * Create the registry of session threads per destination.
+ *
+ * Options: onCreated(destination, sessionId, title, threadId), called when a
+ * thread has been created (e.g. to mark the checkpoint dirty).
+ */
+function createThreadRegistry(options) {
+    const opts = options || {};
+    const threads = new Map(); // destinationKey -> Map(sessionId -> thread ID)
+    const creating = new Map(); // destinationKey + '\n' + sessionId -> Promise
+
+    function byDestination(key) {
+        let sessions = threads.get(key);
+        if (!sessions) {
+            sessions = new Map();
+            threads.set(key, sessions);
+        }
+        return sessions;
+    }
+
+    /**
+     * Resolve the thread for a session in a destination as { style, id },
+     * creating it through the transport if it does not exist yet. Concurrent
+     * calls for the same session share one creation.
+     */
+    function resolve(destination, sessionId, title, transport) {
+        const key = destinationKey(destination);
+        const style = destination.threads;
+        const known = byDestination(key).get(sessionId);
+        if (known !== undefined) return Promise.resolve({ style: style, id: known });
+
+        const creatingKey = key + '\n' + sessionId;
+        if (creating.has(creatingKey)) return creating.get(creatingKey);
+        const promise = new Promise(function(resolveCreate) {
+            resolveCreate(transport.createThread({
+                channel: destination.channel,
+                target: destination.target,
+                title: title,
+                style: style,
+            }));
+        }).then(function(id) {
+            creating.delete(creatingKey);
+            byDestination(key).set(sessionId, id);
+            if (opts.onCreated) opts.onCreated(destination, sessionId, title, id);
+            return { style: style, id: id };
+        }, function(err) {
+            creating.delete(creatingKey);
+            throw err;
+        });
+        creating.set(creatingKey, promise);
+        return promise;
+    }
+
+    function has(destination, sessionId) {
+        return byDestination(destinationKey(destination)).has(sessionId);
+    }
+
+    /**
+     * Drop a session's thread, e.g. after the chat says it no longer
+     * exists; the next message creates a new one.
+     */
+    function forget(destination, sessionId) {
+        byDestination(destinationKey(destination)).delete(sessionId);
+    }
+
+    /**
+     * { destinationKey: { sessionId: threadId } }, for the checkpoint.
+     */
+    function snapshot() {
+        const result = {};
+        for (const [key, sessions] of threads) {
+            if (sessions.size > 0) result[key] = Object.fromEntries(sessions);
+        }
+        return result;
+    }
+
+    function restore(saved) {
+        for (const key of Object.keys(saved || {})) {
+            const sessions = byDestination(key);
+            for (const sessionId of Object.keys(saved[key])) sessions.set(sessionId, saved[key][sessionId]);
+        }
+    }
+
+    function clear() {
+        threads.clear();
+        creating.clear();
+    }
+
+    return {
+        resolve: resolve,
+        has: has,
+        forget: forget,
+        snapshot: snapshot,
+        restore: restore,
+        clear: clear,
+    };
+}
+
+module.exports = {
+    THREAD_STYLES: THREAD_STYLES,
+    threadTitle: threadTitle,
+    createThreadRegistry: createThreadRegistry,
+};
@@ -0,0 +1,91 @@
+const { threadTitle, createThreadRegistry } = require('./threads');
+
+var destination = { channel: 'telegram', target: '-100', threads: 'topic' };
+
+function fakeTransport() {
+    var created = [];
+    return {
+        created: created,
+        createThread: function(thread) {
+            created.push(thread);
+            return Promise.resolve(100 + created.length);
+        },
+    };
+}
+
+describe('threadTitle', function() {
+    test('uses the first non-empty line, shortened', function() {
+        expect(threadTitle('\n  Plan the   offsite  \nwith details', 's1')).toBe('Plan the offsite');
+        var title = threadTitle('x'.repeat(100), 's1');
+        expect(title).toHaveLength(64);
+        expect(title.endsWith('…')).toBe(true);
+    });
+
+    test('falls back to the session ID', function() {
+        expect(threadTitle(null, 'ac751bd1-ea97-44c1')).toBe('Session ac751bd1');
+        expect(threadTitle('   ', 'abc')).toBe('Session abc');
+    });
+});
+
+describe('thread registry', function() {
+    test('creates a thread once per session, even for concurrent sends', async function() {
+        var registry = createThreadRegistry();
+        var transport = fakeTransport();
+
+        var threads = await Promise.all([
+            registry.resolve(destination, 's1', 'First', transport),
+            registry.resolve(destination, 's1', 'First', transport),
+            registry.resolve(destination, 's2', 'Second', transport),
+        ]);
+
+        expect(threads).toEqual([{ style: 'topic', id: 101 }, { style: 'topic', id: 101 }, { style: 'topic', id: 102 }]);
+        expect(transport.created).toEqual([
+            { channel: 'telegram', target: '-100', title: 'First', style: 'topic' },
+            { channel: 'telegram', target: '-100', title: 'Second', style: 'topic' },
+        ]);
+        expect(await registry.resolve(destination, 's1', 'First', transport)).toEqual({ style: 'topic', id: 101 });
+        expect(transport.created).toHaveLength(2);
+    });
+
+    test('keeps threads apart per destination and style', async function() {
+        var registry = createThreadRegistry();
+        var transport = fakeTransport();
+        await registry.resolve(destination, 's1', 'T', transport);
+        await registry.resolve(Object.assign({}, destination, { threads: 'reply' }), 's1', 'T', transport);
+        await registry.resolve(Object.assign({}, destination, { target: '-200' }), 's1', 'T', transport);
+        expect(transport.created).toHaveLength(3);
+    });
+
+    test('calls onCreated, and tries again after a failed creation', async function() {
+        var onCreated = jest.fn();
+        var registry = createThreadRegistry({ onCreated: onCreated });
+        var failing = { createThread: function() { return Promise.reject(new Error('Bad Request: not enough rights')); } };
+
+        await expect(registry.resolve(destination, 's1', 'T', failing)).rejects.toThrow('not enough rights');
+        expect(registry.has(destination, 's1')).toBe(false);
+
+        await registry.resolve(destination, 's1', 'T', fakeTransport());
+        expect(onCreated).toHaveBeenCalledWith(destination, 's1', 'T', 101);
+    });
+
+    test('snapshot and restore carry the mapping over a restart', async function() {
+        var registry = createThreadRegistry();
+        await registry.resolve(destination, 's1', 'T', fakeTransport());
+        var saved = JSON.parse(JSON.stringify(registry.snapshot()));
+        expect(saved).toEqual({ 'telegram:-100#topic': { s1: 101 } });
+
+        var restarted = createThreadRegistry();
+        restarted.restore(saved);
+        var transport = fakeTransport();
+        expect(await restarted.resolve(destination, 's1', 'T', transport)).toEqual({ style: 'topic', id: 101 });
+        expect(transport.created).toEqual([]);
+    });
+
+    test('forget makes the next message start a new thread', async function() {
+        var registry = createThreadRegistry();
+        var transport = fakeTransport();
+        await registry.resolve(destination, 's1', 'T', transport);
+        registry.forget(destination, 's1');
+        expect(await registry.resolve(destination, 's1', 'T', transport)).toEqual({ style: 'topic', id: 102 });
+    });
+});
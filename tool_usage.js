@@ -0,0 +1,78 @@
+/**
+ * Tool usage per run, built from `embedded run tool start/end` log events.
+ *
+ * A run's usage is a plain, JSON-serialisable list of calls so it can live
+ * on the tracked run and be saved in the checkpoint with it:
+ *   [{ tool, toolCallId, startedAt, endedAt, failed }]
+ * Times are epoch milliseconds taken from the log lines.
+ */
+
+/**
+ * Record a parsed tool event ({ phase, tool, toolCallId, at, durationMs,
+ * failed }) into a run's list of calls. Returns the list.
+ */
+function recordToolEvent(calls, event) {
+    const list = calls || [];
+    const open = event.toolCallId
+        ? list.find(function(c) { return c.toolCallId === event.toolCallId && c.endedAt === null; })
+        : null;
+
+    if (event.phase === 'start') {
+        if (!open) {
+            list.push({ tool: event.tool, toolCallId: event.toolCallId, startedAt: event.at, endedAt: null, failed: false });
+        }
+        return list;
+    }
+
+    // An end without a start we saw (e.g. it was logged before a restart
+    // without a checkpoint) still counts the call.
+    const call = open || { tool: event.tool, toolCallId: event.toolCallId, startedAt: null, endedAt: null, failed: false };
+    if (!open) list.push(call);
+    call.endedAt = event.at;
+    if (event.durationMs !== null && event.durationMs !== undefined) {
+        call.startedAt = event.at - event.durationMs;
+    }
+    call.failed = Boolean(event.failed);
+    return list;
+}
+
+/**
+ * Count calls per tool (in order of first use), failures, and total time
+ * spent in tools. Returns { tools: [{ name, count, failed }], totalMs }.
+ */
+function summarizeTools(calls) {
+    const byName = new Map();
+    let totalMs = 0;
+    for (const call of calls || []) {
+        let entry = byName.get(call.tool);
+        if (!entry) {
+            entry = { name: call.tool, count: 0, failed: 0 };
+            byName.set(call.tool, entry);
+        }
+        entry.count++;
+        if (call.failed) entry.failed++;
+        if (call.startedAt !== null && call.endedAt !== null) {
+            totalMs += Math.max(0, call.endedAt - call.startedAt);
+        }
+    }
+    return { tools: Array.from(byName.values()), totalMs: totalMs };
+}
+
+/**
+ * One-line footer such as "🔧 read×3, bash×1 ✗1 (4.9s)", or null if no
+ * tools were used.
+ */
+function formatToolSummary(calls) {
+    const summary = summarizeTools(calls);
+    if (summary.tools.length === 0) return null;
+    const parts = summary.tools.map(function(t) {
+        return t.name + '×' + t.count + (t.failed ? ' ✗' + t.failed : '');
+    });
+    return '🔧 ' + parts.join(', ') + ' (' + (summary.totalMs / 1000).toFixed(1) + 's)';
+}
+
+module.exports = {
+    recordToolEvent: recordToolEvent,
+    summarizeTools: summarizeTools,
+    formatToolSummary: formatToolSummary,
+};
@@ -0,0 +1,71 @@
+const { recordToolEvent, summarizeTools, formatToolSummary } = require('./tool_usage');
+
+function start(tool, id, at) {
+    return { phase: 'start', tool: tool, toolCallId: id, at: at, durationMs: null, failed: false };
+}
+
+function end(tool, id, at, failed) {
+    return { phase: 'end', tool: tool, toolCallId: id, at: at, durationMs: null, failed: Boolean(failed) };
+}
+
+describe('recordToolEvent', function() {
+    test('pairs start and end by toolCallId', function() {
+        var calls = recordToolEvent(null, start('read', 'c1', 1000));
+        recordToolEvent(calls, start('bash', 'c2', 1100));
+        recordToolEvent(calls, end('bash', 'c2', 1600, true));
+        recordToolEvent(calls, end('read', 'c1', 1200));
+        expect(calls).toEqual([
+            { tool: 'read', toolCallId: 'c1', startedAt: 1000, endedAt: 1200, failed: false },
+            { tool: 'bash', toolCallId: 'c2', startedAt: 1100, endedAt: 1600, failed: true },
+        ]);
+    });
+
+    test('ignores a repeated start', function() {
+        var calls = recordToolEvent(null, start('read', 'c1', 1000));
+        recordToolEvent(calls, start('read', 'c1', 1000));
+        expect(calls).toHaveLength(1);
+    });
+
+    test('counts an end without a start, timed by durationMs when given', function() {
+        var calls = recordToolEvent(null, { phase: 'end', tool: 'web_fetch', toolCallId: 'c9', at: 5000, durationMs: 750, failed: false });
+        expect(calls).toEqual([{ tool: 'web_fetch', toolCallId: 'c9', startedAt: 4250, endedAt: 5000, failed: false }]);
+    });
+});
+
+describe('summarizeTools', function() {
+    test('counts per tool in order of first use and sums finished calls', function() {
+        var calls = [
+            { tool: 'read', startedAt: 0, endedAt: 1000, failed: false },
+            { tool: 'bash', startedAt: 1000, endedAt: 3500, failed: true },
+            { tool: 'read', startedAt: 3500, endedAt: 4000, failed: false },
+            { tool: 'read', startedAt: 4000, endedAt: null, failed: false },
+        ];
+        expect(summarizeTools(calls)).toEqual({
+            tools: [{ name: 'read', count: 3, failed: 0 }, { name: 'bash', count: 1, failed: 1 }],
+            totalMs: 4000,
+        });
+    });
+});
+
+describe('formatToolSummary', function() {
+    test('formats a compact footer', function() {
+        var calls = [];
+        ['c1', 'c2', 'c3'].forEach(function(id, i) {
+            recordToolEvent(calls, start('read', id, i * 1000));
+            recordToolEvent(calls, end('read', id, i * 1000 + 900));
+        });
+        recordToolEvent(calls, start('bash', 'c4', 5000));
+        recordToolEvent(calls, end('bash', 'c4', 7200));
+        expect(formatToolSummary(calls)).toBe('🔧 read×3, bash×1 (4.9s)');
+    });
+
+    test('marks failures', function() {
+        var calls = [{ tool: 'bash', startedAt: 0, endedAt: 100, failed: true }, { tool: 'bash', startedAt: 100, endedAt: 200, failed: false }];
+        expect(formatToolSummary(calls)).toBe('🔧 bash×2 ✗1 (0.2s)');
+    });
+
+    test('returns null when no tools ran', function() {
+        expect(formatToolSummary(null)).toBeNull();
+        expect(formatToolSummary([])).toBeNull();
+    });
+});
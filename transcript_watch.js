@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Wait for a file to contain something, then for it to settle.
+ *
+ * `read()` is called whenever the file may have changed and returns the
+ * value being waited for, or null if it is not there yet. The promise
+ * resolves with that value once it has been found and the file's size and
+ * mtime have not changed for `stableMs`, or with null after `timeoutMs`.
+ * The file is watched through its directory (it may not exist yet) and
+ * polled every `pollMs` as a fallback.
+ *
+ * Options: stableMs (default 500), timeoutMs (default 15000), pollMs (default 100).
+ */
+function waitForStableMatch(filePath, read, options) {
+    const opts = options || {};
+    const stableMs = opts.stableMs === undefined ? 500 : opts.stableMs;
+    const timeoutMs = opts.timeoutMs === undefined ? 15000 : opts.timeoutMs;
+    const pollMs = opts.pollMs || 100;
+
+    return new Promise(function(resolve) {
+        const deadline = Date.now() + timeoutMs;
+        let signature = null;
+        let changedAt = Date.now();
+        let timer = null;
+        let watcher = null;
+        let done = false;
+
+        function finish(value) {
+            done = true;
+            if (timer) clearTimeout(timer);
+            if (watcher) watcher.close();
+            resolve(value);
+        }
+
+        function statSignature() {
+            try {
+                const stat = fs.statSync(filePath);
+                return stat.size + ':' + stat.mtimeMs;
+            } catch {
+                return 'missing';
+            }
+        }
+
+        function check() {
+            if (done) return;
+            if (timer) clearTimeout(timer);
+            timer = null;
+
+            const now = Date.now();
+            const current = statSignature();
+            if (current !== signature) {
+                signature = current;
+                changedAt = now;
+            }
+
+            const value = current === 'missing' ? null : read();
+            if (value !== null && now - changedAt >= stableMs) return finish(value);
+            if (now >= deadline) return finish(null);
+
+            const wait = value !== null ? changedAt + stableMs - now : pollMs;
+            timer = setTimeout(check, Math.max(1, Math.min(wait, deadline - now)));
+            // The daemon's log follower keeps the process alive; a pending wait should not.
+            timer.unref();
+        }
+
+        try {
+            watcher = fs.watch(path.dirname(filePath), function(eventType, name) {
+                if (!name || name === path.basename(filePath)) check();
+            });
+            watcher.unref();
+            watcher.on('error', function() {
+                watcher.close();
+                watcher = null;
+            });
+        } catch {
+            watcher = null;
+        }
+        check();
+    });
+}
+
+module.exports = {
+    waitForStableMatch: waitForStableMatch,
+};
@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { waitForStableMatch } = require('./transcript_watch');
+
+var dir;
+var file;
+
+beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-watch-'));
+    file = path.join(dir, 'session.jsonl');
+});
+
+afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function readReply() {
+    try {
+        var match = fs.readFileSync(file, 'utf8').match(/reply:(\w+)/g);
+        return match ? match[match.length - 1] : null;
+    } catch {
+        return null;
+    }
+}
+
+function later(ms, fn) {
+    return new Promise(function(resolve) {
+        setTimeout(function() { resolve(fn()); }, ms);
+    });
+}
+
+describe('waitForStableMatch', function() {
+    test('resolves at once when the value is there and stableMs is 0', async function() {
+        fs.writeFileSync(file, 'reply:one\n');
+        await expect(waitForStableMatch(file, readReply, { stableMs: 0 })).resolves.toBe('reply:one');
+    });
+
+    test('waits for the file to be created', async function() {
+        var waiting = waitForStableMatch(file, readReply, { stableMs: 0, pollMs: 20, timeoutMs: 2000 });
+        await later(50, function() { fs.writeFileSync(file, 'reply:late\n'); });
+        await expect(waiting).resolves.toBe('reply:late');
+    });
+
+    test('waits until the file stops changing', async function() {
+        fs.writeFileSync(file, 'reply:partial\n');
+        var started = Date.now();
+        var waiting = waitForStableMatch(file, readReply, { stableMs: 150, pollMs: 20, timeoutMs: 2000 });
+        await later(80, function() { fs.appendFileSync(file, 'reply:final\n'); });
+
+        await expect(waiting).resolves.toBe('reply:final');
+        expect(Date.now() - started).toBeGreaterThanOrEqual(200);
+    });
+
+    test('resolves null after the timeout', async function() {
+        fs.writeFileSync(file, 'nothing yet\n');
+        var started = Date.now();
+        await expect(waitForStableMatch(file, readReply, { stableMs: 0, pollMs: 20, timeoutMs: 100 })).resolves.toBeNull();
+        expect(Date.now() - started).toBeGreaterThanOrEqual(95);
+    });
+});
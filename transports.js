@@ -0,0 +1,490 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const { spawn } = require('child_process');
+const { PARSE_MODES } = require('./formatter');
+
+/**
+ * Delivery transports. Each one is an object with
+ *   send({ channel, target, text, format?, document?, photo? }) -> Promise
+ * that resolves once the message has been handed off, with { messageId,
+ * chatId? } when the transport learns the sent message's ID, and rejects
+ * with an Error describing why it was not. `format` names the markup `text` is in
+ * (see formatter.js). `document` is a file attachment and `photo` an image
+ * to show inline; `text` is then the caption. Both are
+ *   { filename, content, contentType?, encoding? } or { filename, path, contentType? }
+ * where `encoding: 'base64'` marks binary content and `path` is a file on
+ * this machine (see attachments.js). Content with neither is text.
+ * `thread` is { style: 'topic'|'reply', id } to send into a session's thread
+ * (see threads.js).
+ *
+ * Transports that can start threads also have
+ *   createThread({ channel, target, title, style }) -> Promise<thread ID>
+ * which creates a forum topic (style "topic") or posts the title as the
+ * message later ones reply to (style "reply"). Transports that can put a
+ * message into an OpenClaw session (see bridge.js) have
+ *   inject({ sessionId, agent, text }) -> Promise
+ *
+ * Transports are declared by name in the config file and picked per
+ * destination with `"transport": "<name>"` (default "cli"):
+ *
+ *   "transports": {
+ *     "bot":    { "type": "http", "flavor": "telegram", "token": "123:abc" },
+ *     "outbox": { "type": "file", "path": "/var/spool/mirror/outbox.jsonl" }
+ *   }
+ */
+
+const TRANSPORT_TYPES = ['cli', 'http', 'file'];
+const HTTP_FLAVORS = ['gateway', 'telegram'];
+const DEFAULT_TRANSPORT = 'cli';
+
+/**
+ * The bytes of a document or photo.
+ */
+function fileContent(file) {
+    if (file.path) return fs.readFileSync(file.path);
+    return file.encoding === 'base64' ? Buffer.from(file.content, 'base64') : file.content;
+}
+
+/**
+ * Runs `openclaw message send` with an argument array, never through a
+ * shell, so message text is passed through byte for byte.
+ */
+function createCliTransport(options) {
+    const opts = options || {};
+    const command = opts.command || 'openclaw';
+    const timeoutMs = opts.timeoutMs || 15000;
+
+    function run(args) {
+        return new Promise(function(resolve, reject) {
+            const child = spawn(command, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+            let stderr = '';
+            let settled = false;
+
+            const timer = setTimeout(function() {
+                if (settled) return;
+                settled = true;
+                child.kill('SIGKILL');
+                reject(new Error(command + ' timed out after ' + timeoutMs + 'ms'));
+            }, timeoutMs);
+
+            child.stderr.on('data', function(data) {
+                stderr += data;
+            });
+            child.on('error', function(err) {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                reject(new Error('Cannot run ' + command + ': ' + err.message));
+            });
+            child.on('close', function(code) {
+                if (settled) return;
+                settled = true;
+                clearTimeout(timer);
+                if (code === 0) {
+                    resolve();
+                } else {
+                    reject(new Error(command + ' exited with code ' + code + (stderr.trim() ? ': ' + stderr.trim() : '')));
+                }
+            });
+        });
+    }
+
+    return {
+        type: 'cli',
+        // Runs `openclaw agent --session-id <id> --message <text>`.
+        inject: function(request) {
+            const args = ['agent', '--session-id', request.sessionId, '--message', request.text];
+            if (request.agent) args.push('--agent', request.agent);
+            return run(args);
+        },
+        send: function(message) {
+            const args = ['message', 'send', '--channel', message.channel, '--target', message.target, '--message', message.text];
+            if (message.thread) {
+                args.push(message.thread.style === 'topic' ? '--thread-id' : '--reply-to', String(message.thread.id));
+            }
+            const file = message.photo || message.document;
+            if (!file) return run(args);
+            if (file.path) return run(args.concat(['--media', file.path]));
+
+            // Other attachments go through a temp file passed with --media.
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'openclaw-mirror-'));
+            const filePath = path.join(dir, path.basename(file.filename));
+            fs.writeFileSync(filePath, fileContent(file));
+            const cleanup = function() {
+                fs.rmSync(dir, { recursive: true, force: true });
+            };
+            return run(args.concat(['--media', filePath])).then(cleanup, function(err) {
+                cleanup();
+                throw err;
+            });
+        },
+    };
+}
+
+function post(url, payload, contentType, headers, timeoutMs) {
+    return new Promise(function(resolve, reject) {
+        const parsed = new URL(url);
+        const client = parsed.protocol === 'https:' ? https : http;
+        const req = client.request(parsed, {
+            method: 'POST',
+            headers: Object.assign({
+                'Content-Type': contentType,
+                'Content-Length': Buffer.byteLength(payload),
+            }, headers),
+            timeout: timeoutMs,
+        }, function(res) {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', function(chunk) {
+                data += chunk;
+            });
+            res.on('end', function() {
+                resolve({ status: res.statusCode, body: data });
+            });
+        });
+        req.on('timeout', function() {
+            req.destroy(new Error('Request to ' + parsed.origin + ' timed out after ' + timeoutMs + 'ms'));
+        });
+        req.on('error', reject);
+        req.end(payload);
+    });
+}
+
+function postJson(url, body, headers, timeoutMs) {
+    return post(url, JSON.stringify(body), 'application/json', headers, timeoutMs);
+}
+
+/**
+ * POST multipart/form-data with plain fields and one file part.
+ */
+function postMultipart(url, fields, file, headers, timeoutMs) {
+    const boundary = '----openclaw-mirror-' + crypto.randomBytes(12).toString('hex');
+    const parts = [];
+    for (const name of Object.keys(fields)) {
+        parts.push(Buffer.from('--' + boundary + '\r\nContent-Disposition: form-data; name="' + name + '"\r\n\r\n' + fields[name] + '\r\n'));
+    }
+    parts.push(Buffer.from('--' + boundary + '\r\nContent-Disposition: form-data; name="' + file.field + '"; filename="' +
+        file.filename.replace(/"/g, '') + '"\r\nContent-Type: ' + file.contentType + '\r\n\r\n'));
+    parts.push(Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content));
+    parts.push(Buffer.from('\r\n--' + boundary + '--\r\n'));
+    return post(url, Buffer.concat(parts), 'multipart/form-data; boundary=' + boundary, headers, timeoutMs);
+}
+
+/**
+ * Posts to an HTTP endpoint. Flavors:
+ *   gateway   POST {baseUrl}{path} with { channel, target, message, format?, document?, photo? },
+ *             optional bearer token; inject() posts { sessionId, agent?, message }
+ *             to {baseUrl}{injectPath} (default /api/sessions/send)
+ *   telegram  POST {baseUrl}/bot{token}/sendMessage with { chat_id, text, parse_mode? },
+ *             or sendDocument / sendPhoto (multipart) when the message has a document or photo;
+ *             threads are forum topics (createForumTopic) or reply chains
+ * `baseUrl` is configurable so tests and staging can point at a local stub.
+ */
+function createHttpTransport(options) {
+    const opts = options || {};
+    const flavor = opts.flavor || 'gateway';
+    const timeoutMs = opts.timeoutMs || 15000;
+
+    let baseUrl = opts.baseUrl || (flavor === 'telegram' ? 'https://api.telegram.org' : 'http://127.0.0.1:18789');
+    baseUrl = baseUrl.replace(/\/+$/, '');
+
+    function request(message) {
+        if (flavor === 'telegram') {
+            const method = baseUrl + '/bot' + opts.token;
+            const fields = { chat_id: message.target };
+            const parseMode = PARSE_MODES[message.format];
+            if (message.thread && message.thread.style === 'topic') fields.message_thread_id = message.thread.id;
+            if (message.thread && message.thread.style === 'reply') fields.reply_to_message_id = message.thread.id;
+            const file = message.photo || message.document;
+            if (file) {
+                const field = message.photo ? 'photo' : 'document';
+                fields.caption = message.text;
+                if (parseMode) fields.parse_mode = parseMode;
+                return postMultipart(method + (message.photo ? '/sendPhoto' : '/sendDocument'), fields, {
+                    field: field,
+                    filename: file.filename,
+                    contentType: file.contentType || 'text/markdown',
+                    content: fileContent(file),
+                }, {}, timeoutMs);
+            }
+            fields.text = message.text;
+            if (parseMode) fields.parse_mode = parseMode;
+            return postJson(method + '/sendMessage', fields, {}, timeoutMs);
+        }
+        const body = { channel: message.channel, target: message.target, message: message.text };
+        if (message.format && message.format !== 'markdown') body.format = message.format;
+        if (message.document) body.document = message.document;
+        if (message.photo) body.photo = message.photo;
+        if (message.thread) body.thread = message.thread;
+        return postJson(baseUrl + (opts.path || '/api/message/send'), body,
+            opts.token ? { Authorization: 'Bearer ' + opts.token } : {}, timeoutMs);
+    }
+
+    /**
+     * Throw unless the response is a success; returns the Bot API's `result`
+     * for the telegram flavor, and the parsed JSON body (if any) for gateways.
+     */
+    function checkResponse(res) {
+        if (res.status < 200 || res.status >= 300) {
+            throw new Error('HTTP ' + res.status + ' from ' + flavor + ': ' + res.body.substring(0, 200));
+        }
+        if (flavor !== 'telegram') {
+            try {
+                return JSON.parse(res.body);
+            } catch {
+                return null;
+            }
+        }
+        let parsed = null;
+        try {
+            parsed = JSON.parse(res.body);
+        } catch {
+            // fall through to the check below
+        }
+        if (!parsed || parsed.ok !== true) {
+            throw new Error('Telegram rejected the message: ' + res.body.substring(0, 200));
+        }
+        return parsed.result;
+    }
+
+    const transport = {
+        type: 'http',
+        send: function(message) {
+            // A photo or document that cannot be read rejects like a failed request.
+            return new Promise(function(resolve) {
+                resolve(request(message));
+            }).then(function(res) {
+                const result = checkResponse(res);
+                if (!result || typeof result !== 'object') return undefined;
+                if (flavor === 'telegram') {
+                    if (result.message_id === undefined) return undefined;
+                    return { messageId: String(result.message_id), chatId: result.chat ? String(result.chat.id) : null };
+                }
+                return result.messageId === undefined ? undefined : { messageId: String(result.messageId), chatId: result.chatId ? String(result.chatId) : null };
+            });
+        },
+    };
+    if (flavor === 'gateway') {
+        transport.inject = function(request) {
+            const body = { sessionId: request.sessionId, message: request.text };
+            if (request.agent) body.agent = request.agent;
+            return postJson(baseUrl + (opts.injectPath || '/api/sessions/send'), body,
+                opts.token ? { Authorization: 'Bearer ' + opts.token } : {}, timeoutMs).then(function(res) {
+                checkResponse(res);
+            });
+        };
+    }
+    if (flavor === 'telegram') {
+        transport.createThread = function(thread) {
+            const method = baseUrl + '/bot' + opts.token;
+            const call = thread.style === 'topic'
+                ? postJson(method + '/createForumTopic', { chat_id: thread.target, name: thread.title }, {}, timeoutMs)
+                : postJson(method + '/sendMessage', { chat_id: thread.target, text: thread.title }, {}, timeoutMs);
+            return call.then(function(res) {
+                const result = checkResponse(res) || {};
+                const id = thread.style === 'topic' ? result.message_thread_id : result.message_id;
+                if (id === undefined) throw new Error('Telegram did not return a thread ID: ' + res.body.substring(0, 200));
+                return id;
+            });
+        };
+    }
+    return transport;
+}
+
+/**
+ * Appends each message as one JSON line to an outbox file, for another
+ * process to pick up (or for inspecting what would have been sent).
+ */
+function createFileTransport(options) {
+    const filePath = options.path;
+
+    function append(record) {
+        return fs.promises.mkdir(path.dirname(filePath), { recursive: true }).then(function() {
+            return fs.promises.appendFile(filePath, JSON.stringify(record) + '\n');
+        });
+    }
+
+    return {
+        type: 'file',
+        send: function(message) {
+            const record = {
+                time: new Date().toISOString(),
+                channel: message.channel,
+                target: message.target,
+                text: message.text,
+            };
+            if (message.format && message.format !== 'markdown') record.format = message.format;
+            if (message.document) record.document = message.document;
+            if (message.photo) record.photo = message.photo;
+            if (message.thread) record.thread = message.thread;
+            return append(record);
+        },
+        inject: function(request) {
+            return append({
+                time: new Date().toISOString(),
+                inject: { sessionId: request.sessionId, agent: request.agent || null, text: request.text },
+            });
+        },
+        // Threads get a random ID, recorded so the reader can create them on its side.
+        createThread: function(thread) {
+            const id = crypto.randomBytes(6).toString('hex');
+            return append({
+                time: new Date().toISOString(),
+                channel: thread.channel,
+                target: thread.target,
+                thread: { style: thread.style, id: id, title: thread.title },
+            }).then(function() {
+                return id;
+            });
+        },
+    };
+}
+
+function createTransport(spec) {
+    switch (spec.type) {
+    case 'cli':
+        return createCliTransport(spec);
+    case 'http':
+        return createHttpTransport(spec);
+    case 'file':
+        return createFileTransport(spec);
+    default:
+        throw new Error('Unknown transport type "' + spec.type + '"');
+    }
+}
+
+/**
+ * Validate the `transports` config section. Entries that are already
+ * transport objects (anything with a send function) are passed through,
+ * which lets code embedding the daemon supply its own.
+ */
+function compileTransports(raw) {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+        throw new Error('transports must be an object mapping names to transport settings');
+    }
+    const result = {};
+    for (const name of Object.keys(raw)) {
+        const spec = raw[name];
+        const label = 'transports.' + name;
+        if (spec && typeof spec.send === 'function') {
+            result[name] = spec;
+            continue;
+        }
+        if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+            throw new Error(label + ' must be an object');
+        }
+        if (!TRANSPORT_TYPES.includes(spec.type)) {
+            throw new Error(label + '.type must be one of ' + TRANSPORT_TYPES.join(', '));
+        }
+        if (spec.type === 'http') {
+            if (spec.flavor !== undefined && !HTTP_FLAVORS.includes(spec.flavor)) {
+                throw new Error(label + '.flavor must be one of ' + HTTP_FLAVORS.join(', '));
+            }
+            if (spec.flavor === 'telegram' && (typeof spec.token !== 'string' || !spec.token)) {
+                throw new Error(label + '.token is required for the telegram flavor');
+            }
+            if (spec.baseUrl !== undefined) {
+                try {
+                    new URL(spec.baseUrl);
+                } catch {
+                    throw new Error(label + '.baseUrl is not a valid URL: ' + spec.baseUrl);
+                }
+            }
+        }
+        if (spec.type === 'file' && (typeof spec.path !== 'string' || !spec.path)) {
+            throw new Error(label + '.path is required for file transports');
+        }
+        result[name] = Object.assign({}, spec);
+    }
+    return result;
+}
+
+/**
+ * Whether a destination's transport name can be resolved against a config.
+ */
+function hasTransport(config, name) {
+    return name === DEFAULT_TRANSPORT || Boolean(config.transports && config.transports[name]);
+}
+
+/**
+ * Whether a named transport can create threads: the telegram http flavor,
+ * file transports, and supplied transport objects with a createThread.
+ */
+function canCreateThreads(config, name) {
+    const spec = config.transports && config.transports[name];
+    if (!spec) return false;
+    if (typeof spec.send === 'function') return typeof spec.createThread === 'function';
+    return spec.type === 'file' || (spec.type === 'http' && spec.flavor === 'telegram');
+}
+
+/**
+ * Whether a named transport can inject messages into sessions: cli, the
+ * gateway http flavor, file, and supplied transport objects with an inject.
+ */
+function canInject(config, name) {
+    const spec = config.transports && config.transports[name];
+    if (!spec) return name === DEFAULT_TRANSPORT;
+    if (typeof spec.send === 'function') return typeof spec.inject === 'function';
+    return spec.type !== 'http' || (spec.flavor || 'gateway') === 'gateway';
+}
+
+/**
+ * Whether a named transport reports the ids of the messages it sends, which
+ * the reply bridge needs: http transports of either flavor, and supplied
+ * transport objects (which may or may not; we cannot tell). cli and file
+ * transports never do.
+ */
+function reportsMessageIds(config, name) {
+    const spec = config.transports && config.transports[name];
+    if (!spec) return false;
+    return typeof spec.send === 'function' || spec.type === 'http';
+}
+
+// Transport instances, created on first use and shared per config object.
+const instances = new WeakMap();
+
+/**
+ * The transport instance for a destination.
+ */
+function getTransport(destination, config) {
+    const name = destination.transport || DEFAULT_TRANSPORT;
+    let byName = instances.get(config);
+    if (!byName) {
+        byName = new Map();
+        instances.set(config, byName);
+    }
+    if (byName.has(name)) return byName.get(name);
+
+    const spec = (config.transports && config.transports[name]) || (name === DEFAULT_TRANSPORT ? { type: 'cli' } : null);
+    if (!spec) throw new Error('Unknown transport "' + name + '"');
+    const transport = typeof spec.send === 'function' ? spec : createTransport(spec);
+    byName.set(name, transport);
+    return transport;
+}
+
+/**
+ * Drop the transport instances made for a config, so the next getTransport()
+ * builds them from its current `transports` (e.g. after a reload).
+ */
+function forgetTransports(config) {
+    instances.delete(config);
+}
+
+module.exports = {
+    DEFAULT_TRANSPORT: DEFAULT_TRANSPORT,
+    createCliTransport: createCliTransport,
+    createHttpTransport: createHttpTransport,
+    createFileTransport: createFileTransport,
+    createTransport: createTransport,
+    compileTransports: compileTransports,
+    hasTransport: hasTransport,
+    canCreateThreads: canCreateThreads,
+    canInject: canInject,
+    reportsMessageIds: reportsMessageIds,
+    forgetTransports: forgetTransports,
+    getTransport: getTransport,
+};
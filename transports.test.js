@@ -0,0 +1,362 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+
+const {
+    createCliTransport,
+    createHttpTransport,
+    createFileTransport,
+    compileTransports,
+    hasTransport,
+    getTransport,
+    forgetTransports,
+} = require('./transports');
+
+var dir;
+
+beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mirror-transport-'));
+});
+
+afterEach(function() {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+var message = { channel: 'telegram', target: '42', text: '[mirrored] hello' };
+
+function writeScript(name, body) {
+    var file = path.join(dir, name);
+    fs.writeFileSync(file, '#!/bin/sh\n' + body + '\n');
+    fs.chmodSync(file, 0o755);
+    return file;
+}
+
+describe('createCliTransport', function() {
+    test('passes arguments without a shell', async function() {
+        var out = path.join(dir, 'args.txt');
+        var script = writeScript('fake-openclaw', 'for a in "$@"; do printf "%s\\n--\\n" "$a"; done > "' + out + '"');
+        var text = 'Run `id` "$HOME" \\ $(whoami); echo pwned';
+
+        await createCliTransport({ command: script }).send({ channel: 'telegram', target: '42', text: text });
+
+        var args = fs.readFileSync(out, 'utf8').split('\n--\n').filter(function(a) { return a !== ''; });
+        expect(args).toEqual(['message', 'send', '--channel', 'telegram', '--target', '42', '--message', text]);
+    });
+
+    test('injects into a session with openclaw agent', async function() {
+        var out = path.join(dir, 'args.txt');
+        var script = writeScript('fake-openclaw', 'for a in "$@"; do printf "%s\n--\n" "$a"; done > "' + out + '"');
+
+        await createCliTransport({ command: script }).inject({ sessionId: 's1', agent: 'work', text: '[telegram reply] Friday' });
+
+        var args = fs.readFileSync(out, 'utf8').split('\n--\n').filter(function(a) { return a !== ''; });
+        expect(args).toEqual(['agent', '--session-id', 's1', '--message', '[telegram reply] Friday', '--agent', 'work']);
+    });
+
+    test('passes the thread as --thread-id or --reply-to', async function() {
+        var out = path.join(dir, 'args.txt');
+        var script = writeScript('fake-openclaw', 'printf "%s " "$@" >> "' + out + '"; echo >> "' + out + '"');
+        var transport = createCliTransport({ command: script });
+
+        await transport.send(Object.assign({ thread: { style: 'topic', id: 77 } }, message));
+        await transport.send(Object.assign({ thread: { style: 'reply', id: 9 } }, message));
+
+        var lines = fs.readFileSync(out, 'utf8').trim().split('\n');
+        expect(lines[0]).toContain('--thread-id 77');
+        expect(lines[1]).toContain('--reply-to 9');
+    });
+
+    test('passes attachments given by path straight to --media', async function() {
+        var out = path.join(dir, 'args.txt');
+        var script = writeScript('fake-openclaw', 'for a in "$@"; do printf "%s\n--\n" "$a"; done > "' + out + '"');
+
+        await createCliTransport({ command: script }).send(Object.assign({ photo: { filename: 'shot.png', path: '/tmp/shot.png' } }, message));
+
+        var args = fs.readFileSync(out, 'utf8').split('\n--\n').filter(function(a) { return a !== ''; });
+        expect(args.slice(-2)).toEqual(['--media', '/tmp/shot.png']);
+    });
+
+    test('rejects with stderr on a non-zero exit', async function() {
+        var script = writeScript('failing', 'echo "target not found" >&2; exit 3');
+        await expect(createCliTransport({ command: script }).send(message))
+            .rejects.toThrow('exited with code 3: target not found');
+    });
+
+    test('rejects when the command is missing', async function() {
+        await expect(createCliTransport({ command: path.join(dir, 'nope') }).send(message))
+            .rejects.toThrow('Cannot run');
+    });
+
+    test('rejects and kills the process on timeout', async function() {
+        var script = writeScript('slow', 'exec sleep 5');
+        await expect(createCliTransport({ command: script, timeoutMs: 100 }).send(message))
+            .rejects.toThrow('timed out after 100ms');
+    });
+
+    test('attaches a document through a temp file passed with --media', async function() {
+        var out = path.join(dir, 'media.txt');
+        var script = writeScript('fake-openclaw', 'while [ "$#" -gt 0 ]; do if [ "$1" = "--media" ]; then cat "$2" > "' + out + '"; echo "$2" >> "' + out + '.path"; fi; shift; done');
+
+        await createCliTransport({ command: script }).send(Object.assign({ document: { filename: 'reply.md', content: '# Title\n' } }, message));
+
+        expect(fs.readFileSync(out, 'utf8')).toBe('# Title\n');
+        var tempPath = fs.readFileSync(out + '.path', 'utf8').trim();
+        expect(path.basename(tempPath)).toBe('reply.md');
+        expect(fs.existsSync(tempPath)).toBe(false);
+    });
+});
+
+describe('createHttpTransport', function() {
+    var server;
+    var baseUrl;
+    var requests;
+    var reply;
+
+    beforeEach(function(done) {
+        requests = [];
+        reply = { status: 200, body: '{"ok":true}' };
+        server = http.createServer(function(req, res) {
+            var body = '';
+            req.on('data', function(chunk) { body += chunk; });
+            req.on('end', function() {
+                var json = /json/.test(req.headers['content-type']);
+                requests.push({ method: req.method, url: req.url, headers: req.headers, body: json ? JSON.parse(body) : body });
+                res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+                res.end(reply.body);
+            });
+        });
+        server.listen(0, '127.0.0.1', function() {
+            baseUrl = 'http://127.0.0.1:' + server.address().port;
+            done();
+        });
+    });
+
+    afterEach(function(done) {
+        server.close(done);
+    });
+
+    test('gateway flavor posts channel, target and message', async function() {
+        await createHttpTransport({ baseUrl: baseUrl + '/', token: 'secret' }).send(message);
+        expect(requests).toHaveLength(1);
+        expect(requests[0].method).toBe('POST');
+        expect(requests[0].url).toBe('/api/message/send');
+        expect(requests[0].headers.authorization).toBe('Bearer secret');
+        expect(requests[0].body).toEqual({ channel: 'telegram', target: '42', message: '[mirrored] hello' });
+    });
+
+    test('gateway path is configurable', async function() {
+        await createHttpTransport({ baseUrl: baseUrl, path: '/v2/send' }).send(message);
+        expect(requests[0].url).toBe('/v2/send');
+        expect(requests[0].headers.authorization).toBeUndefined();
+    });
+
+    test('telegram flavor calls sendMessage on the bot API', async function() {
+        await createHttpTransport({ flavor: 'telegram', baseUrl: baseUrl, token: '123:abc' }).send(message);
+        expect(requests[0].url).toBe('/bot123:abc/sendMessage');
+        expect(requests[0].body).toEqual({ chat_id: '42', text: '[mirrored] hello' });
+    });
+
+    test('telegram flavor resolves with the sent message ID', async function() {
+        reply = { status: 200, body: '{"ok":true,"result":{"message_id":55,"chat":{"id":-100123}}}' };
+        expect(await createHttpTransport({ flavor: 'telegram', baseUrl: baseUrl, token: 't' }).send(message))
+            .toEqual({ messageId: '55', chatId: '-100123' });
+    });
+
+    test('gateway flavor resolves with a message ID when the gateway returns one', async function() {
+        reply = { status: 200, body: '{"ok":true,"messageId":"m-1"}' };
+        expect(await createHttpTransport({ baseUrl: baseUrl }).send(message)).toEqual({ messageId: 'm-1', chatId: null });
+        reply = { status: 200, body: '{"ok":true}' };
+        expect(await createHttpTransport({ baseUrl: baseUrl }).send(message)).toBeUndefined();
+    });
+
+    test('gateway flavor injects into sessions', async function() {
+        await createHttpTransport({ baseUrl: baseUrl, token: 'secret', injectPath: '/in' })
+            .inject({ sessionId: 's1', agent: 'main', text: 'hello' });
+        expect(requests[0].url).toBe('/in');
+        expect(requests[0].headers.authorization).toBe('Bearer secret');
+        expect(requests[0].body).toEqual({ sessionId: 's1', agent: 'main', message: 'hello' });
+        expect(createHttpTransport({ flavor: 'telegram', token: 't' }).inject).toBeUndefined();
+    });
+
+    test('telegram flavor sets parse_mode from the message format', async function() {
+        var transport = createHttpTransport({ flavor: 'telegram', baseUrl: baseUrl, token: 't' });
+        await transport.send(Object.assign({ format: 'markdownv2' }, message));
+        await transport.send(Object.assign({ format: 'html' }, message));
+        await transport.send(Object.assign({ format: 'plain' }, message));
+        expect(requests.map(function(r) { return r.body.parse_mode; })).toEqual(['MarkdownV2', 'HTML', undefined]);
+    });
+
+    test('telegram flavor uploads documents with sendDocument', async function() {
+        var doc = { filename: 'reply-run-1.md', content: '# Long reply\n\nbody' };
+        await createHttpTransport({ flavor: 'telegram', baseUrl: baseUrl, token: '123:abc' })
+            .send(Object.assign({ document: doc }, message));
+
+        expect(requests[0].url).toBe('/bot123:abc/sendDocument');
+        expect(requests[0].headers['content-type']).toMatch(/^multipart\/form-data; boundary=/);
+        expect(requests[0].body).toContain('name="chat_id"\r\n\r\n42\r\n');
+        expect(requests[0].body).toContain('name="caption"\r\n\r\n[mirrored] hello\r\n');
+        expect(requests[0].body).toContain('name="document"; filename="reply-run-1.md"');
+        expect(requests[0].body).toContain('# Long reply\n\nbody');
+    });
+
+    test('telegram flavor uploads photos with sendPhoto, decoding base64 content', async function() {
+        var photo = { filename: 'chart.png', contentType: 'image/png', content: Buffer.from('PNG bytes').toString('base64'), encoding: 'base64' };
+        await createHttpTransport({ flavor: 'telegram', baseUrl: baseUrl, token: '123:abc' })
+            .send(Object.assign({ photo: photo }, message));
+
+        expect(requests[0].url).toBe('/bot123:abc/sendPhoto');
+        expect(requests[0].body).toContain('name="photo"; filename="chart.png"\r\nContent-Type: image/png\r\n\r\nPNG bytes\r\n');
+    });
+
+    test('telegram flavor reads documents given by path, and rejects when the file is gone', async function() {
+        var file = path.join(dir, 'report.pdf');
+        fs.writeFileSync(file, '%PDF-1.4');
+        var transport = createHttpTransport({ flavor: 'telegram', baseUrl: baseUrl, token: 't' });
+        await transport.send(Object.assign({ document: { filename: 'report.pdf', contentType: 'application/pdf', path: file } }, message));
+        expect(requests[0].body).toContain('Content-Type: application/pdf\r\n\r\n%PDF-1.4\r\n');
+
+        fs.rmSync(file);
+        await expect(transport.send(Object.assign({ document: { filename: 'report.pdf', path: file } }, message)))
+            .rejects.toThrow('ENOENT');
+    });
+
+    test('telegram flavor creates forum topics and sends into them', async function() {
+        reply = { status: 200, body: '{"ok":true,"result":{"message_thread_id":77,"name":"Plan"}}' };
+        var transport = createHttpTransport({ flavor: 'telegram', baseUrl: baseUrl, token: 't' });
+
+        expect(await transport.createThread({ channel: 'telegram', target: '-100', title: 'Plan', style: 'topic' })).toBe(77);
+        await transport.send(Object.assign({}, message, { thread: { style: 'topic', id: 77 } }));
+
+        expect(requests[0].url).toBe('/bott/createForumTopic');
+        expect(requests[0].body).toEqual({ chat_id: '-100', name: 'Plan' });
+        expect(requests[1].body).toEqual({ chat_id: '42', text: '[mirrored] hello', message_thread_id: 77 });
+    });
+
+    test('telegram flavor starts reply threads with a title message', async function() {
+        reply = { status: 200, body: '{"ok":true,"result":{"message_id":9}}' };
+        var transport = createHttpTransport({ flavor: 'telegram', baseUrl: baseUrl, token: 't' });
+
+        expect(await transport.createThread({ channel: 'telegram', target: '42', title: 'Plan', style: 'reply' })).toBe(9);
+        await transport.send(Object.assign({}, message, { thread: { style: 'reply', id: 9 } }));
+
+        expect(requests[0].body).toEqual({ chat_id: '42', text: 'Plan' });
+        expect(requests[1].body.reply_to_message_id).toBe(9);
+    });
+
+    test('telegram thread creation fails without an ID', async function() {
+        reply = { status: 200, body: '{"ok":true,"result":true}' };
+        await expect(createHttpTransport({ flavor: 'telegram', baseUrl: baseUrl, token: 't' })
+            .createThread({ channel: 'telegram', target: '42', title: 'Plan', style: 'topic' }))
+            .rejects.toThrow('Telegram did not return a thread ID');
+        expect(createHttpTransport({ baseUrl: baseUrl }).createThread).toBeUndefined();
+    });
+
+    test('gateway flavor includes the document in the JSON body', async function() {
+        var doc = { filename: 'reply.md', content: 'text' };
+        await createHttpTransport({ baseUrl: baseUrl }).send(Object.assign({ document: doc, format: 'html' }, message));
+        expect(requests[0].body.document).toEqual(doc);
+        expect(requests[0].body.format).toBe('html');
+    });
+
+    test('non-2xx responses reject', async function() {
+        reply = { status: 429, body: '{"ok":false,"description":"Too Many Requests"}' };
+        await expect(createHttpTransport({ baseUrl: baseUrl }).send(message)).rejects.toThrow('HTTP 429');
+    });
+
+    test('telegram ok:false rejects', async function() {
+        reply = { status: 200, body: '{"ok":false}' };
+        await expect(createHttpTransport({ flavor: 'telegram', baseUrl: baseUrl, token: 't' }).send(message))
+            .rejects.toThrow('Telegram rejected the message');
+    });
+
+    test('connection errors reject', async function() {
+        await expect(createHttpTransport({ baseUrl: 'http://127.0.0.1:1' }).send(message)).rejects.toThrow();
+    });
+});
+
+describe('createFileTransport', function() {
+    test('appends one JSON line per message', async function() {
+        var outbox = path.join(dir, 'spool', 'outbox.jsonl');
+        var transport = createFileTransport({ path: outbox });
+        await transport.send(message);
+        await transport.send({ channel: 'discord', target: 'c1', text: 'second' });
+
+        var lines = fs.readFileSync(outbox, 'utf8').trim().split('\n').map(JSON.parse);
+        expect(lines).toHaveLength(2);
+        expect(lines[0]).toMatchObject({ channel: 'telegram', target: '42', text: '[mirrored] hello' });
+        expect(lines[1]).toMatchObject({ channel: 'discord', target: 'c1', text: 'second' });
+        expect(typeof lines[0].time).toBe('string');
+    });
+
+    test('records threads and their creation', async function() {
+        var outbox = path.join(dir, 'outbox.jsonl');
+        var transport = createFileTransport({ path: outbox });
+        var id = await transport.createThread({ channel: 'telegram', target: '42', title: 'Plan', style: 'topic' });
+        await transport.send(Object.assign({ thread: { style: 'topic', id: id } }, message));
+
+        var lines = fs.readFileSync(outbox, 'utf8').trim().split('\n').map(JSON.parse);
+        expect(lines[0].thread).toEqual({ style: 'topic', id: id, title: 'Plan' });
+        expect(lines[1].thread).toEqual({ style: 'topic', id: id });
+    });
+
+    test('records attached documents', async function() {
+        var outbox = path.join(dir, 'outbox.jsonl');
+        await createFileTransport({ path: outbox }).send(Object.assign({ document: { filename: 'a.md', content: 'x' } }, message));
+        expect(JSON.parse(fs.readFileSync(outbox, 'utf8')).document).toEqual({ filename: 'a.md', content: 'x' });
+    });
+});
+
+describe('compileTransports', function() {
+    test('accepts valid specs', function() {
+        var compiled = compileTransports({
+            cli2: { type: 'cli', command: '/opt/openclaw/bin/openclaw' },
+            bot: { type: 'http', flavor: 'telegram', token: '1:a', baseUrl: 'http://localhost:8081' },
+            outbox: { type: 'file', path: '/tmp/outbox.jsonl' },
+        });
+        expect(Object.keys(compiled)).toEqual(['cli2', 'bot', 'outbox']);
+    });
+
+    test('rejects bad specs with the transport name', function() {
+        expect(function() { compileTransports([]); }).toThrow('transports must be an object');
+        expect(function() { compileTransports({ x: { type: 'smtp' } }); }).toThrow('transports.x.type must be one of cli, http, file');
+        expect(function() { compileTransports({ x: { type: 'http', flavor: 'slack' } }); }).toThrow('transports.x.flavor');
+        expect(function() { compileTransports({ x: { type: 'http', flavor: 'telegram' } }); }).toThrow('transports.x.token is required');
+        expect(function() { compileTransports({ x: { type: 'http', baseUrl: 'not a url' } }); }).toThrow('transports.x.baseUrl is not a valid URL');
+        expect(function() { compileTransports({ x: { type: 'file' } }); }).toThrow('transports.x.path is required');
+    });
+
+    test('passes through transport objects', function() {
+        var custom = { send: function() { return Promise.resolve(); } };
+        expect(compileTransports({ custom: custom }).custom).toBe(custom);
+    });
+});
+
+describe('getTransport', function() {
+    test('defaults to the cli transport', function() {
+        var config = { transports: null };
+        expect(hasTransport(config, 'cli')).toBe(true);
+        expect(getTransport({ channel: 'telegram', target: '1' }, config).type).toBe('cli');
+    });
+
+    test('resolves named transports and reuses instances', function() {
+        var config = { transports: { outbox: { type: 'file', path: path.join(dir, 'o.jsonl') } } };
+        var a = getTransport({ transport: 'outbox' }, config);
+        expect(a.type).toBe('file');
+        expect(getTransport({ transport: 'outbox' }, config)).toBe(a);
+    });
+
+    test('forgetTransports rebuilds them from the current settings', function() {
+        var config = { transports: { outbox: { type: 'file', path: path.join(dir, 'a.jsonl') } } };
+        var a = getTransport({ transport: 'outbox' }, config);
+        config.transports = { outbox: { type: 'file', path: path.join(dir, 'b.jsonl') } };
+        expect(getTransport({ transport: 'outbox' }, config)).toBe(a);
+        forgetTransports(config);
+        expect(getTransport({ transport: 'outbox' }, config)).not.toBe(a);
+    });
+
+    test('unknown names throw', function() {
+        expect(hasTransport({}, 'bot')).toBe(false);
+        expect(function() { getTransport({ transport: 'bot' }, {}); }).toThrow('Unknown transport "bot"');
+    });
+});